@@ -0,0 +1,48 @@
+import { NextResponse } from "next/server";
+import { RequestError, errorResponse } from "../../../../lib/errors.js";
+import { deleteCampaign, getCampaign, getCast, summarizeCast, updateCampaign } from "../../../../lib/casts.js";
+import { listHistory } from "../../../../lib/history.js";
+
+export const dynamic = "force-dynamic";
+
+// The campaign with its cast and its frames, newest first (?page=&pageSize=)
+export async function GET(req, { params }) {
+  try {
+    const query = new URL(req.url).searchParams;
+    const campaign = await getCampaign(params.id);
+    const cast = await Promise.all(campaign.cast.map(async (id) => summarizeCast(await getCast(id))));
+    const frames = await listHistory({ campaign: campaign.id, page: query.get("page") || undefined, pageSize: query.get("pageSize") || undefined });
+    frames.items = frames.items.map((item) => ({
+      ...item,
+      thumbUrl: `/api/history/${item.id}/image?thumb=1`,
+      imageUrl: `/api/history/${item.id}/image`,
+    }));
+    return NextResponse.json({ ...campaign, castMembers: cast, frames });
+  } catch (err) {
+    return errorResponse(err, "Error reading campaign");
+  }
+}
+
+// Any of { name, notes, cast }
+export async function PATCH(req, { params }) {
+  try {
+    let patch;
+    try {
+      patch = await req.json();
+    } catch {
+      throw new RequestError("Body is not valid JSON.");
+    }
+    return NextResponse.json(await updateCampaign(params.id, patch || {}));
+  } catch (err) {
+    return errorResponse(err, "Error updating campaign");
+  }
+}
+
+export async function DELETE(req, { params }) {
+  try {
+    await deleteCampaign(params.id);
+    return NextResponse.json({ deleted: params.id });
+  } catch (err) {
+    return errorResponse(err, "Error deleting campaign");
+  }
+}
@@ -0,0 +1,29 @@
+import { NextResponse } from "next/server";
+import { RequestError, errorResponse } from "../../../lib/errors.js";
+import { createCampaign, listCampaigns } from "../../../lib/casts.js";
+
+export const dynamic = "force-dynamic";
+
+export async function GET() {
+  try {
+    return NextResponse.json({ campaigns: await listCampaigns() });
+  } catch (err) {
+    return errorResponse(err, "Error listing campaigns");
+  }
+}
+
+// Body: { name, notes?, cast: castId | [castId per model] }
+export async function POST(req) {
+  try {
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      throw new RequestError("Body is not valid JSON.");
+    }
+    const campaign = await createCampaign(body || {});
+    return NextResponse.json(campaign, { status: 201 });
+  } catch (err) {
+    return errorResponse(err, "Error saving campaign");
+  }
+}
@@ -0,0 +1,37 @@
+import { NextResponse } from "next/server";
+import { RequestError, errorResponse } from "../../../../lib/errors.js";
+import { deleteCast, getCast, updateCast } from "../../../../lib/casts.js";
+
+export const dynamic = "force-dynamic";
+
+export async function GET(req, { params }) {
+  try {
+    return NextResponse.json(await getCast(params.id));
+  } catch (err) {
+    return errorResponse(err, "Error reading cast");
+  }
+}
+
+// Any of { name, notes, face, skinTone, hair, features, reference }; reference: null removes the image
+export async function PATCH(req, { params }) {
+  try {
+    let patch;
+    try {
+      patch = await req.json();
+    } catch {
+      throw new RequestError("Body is not valid JSON.");
+    }
+    return NextResponse.json(await updateCast(params.id, patch || {}));
+  } catch (err) {
+    return errorResponse(err, "Error updating cast");
+  }
+}
+
+export async function DELETE(req, { params }) {
+  try {
+    await deleteCast(params.id);
+    return NextResponse.json({ deleted: params.id });
+  } catch (err) {
+    return errorResponse(err, "Error deleting cast");
+  }
+}
@@ -0,0 +1,30 @@
+import { NextResponse } from "next/server";
+import { RequestError, errorResponse } from "../../../lib/errors.js";
+import { createCast, listCasts, summarizeCast } from "../../../lib/casts.js";
+
+export const dynamic = "force-dynamic";
+
+export async function GET() {
+  try {
+    const casts = await listCasts();
+    return NextResponse.json({ casts: casts.map(summarizeCast) });
+  } catch (err) {
+    return errorResponse(err, "Error listing casts");
+  }
+}
+
+// Body: { name, notes?, face?, skinTone?, hair?, features?, reference?: { name, type, dataUrl } }
+export async function POST(req) {
+  try {
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      throw new RequestError("Body is not valid JSON.");
+    }
+    const cast = await createCast(body || {});
+    return NextResponse.json(cast, { status: 201 });
+  } catch (err) {
+    return errorResponse(err, "Error saving cast");
+  }
+}
@@ -0,0 +1,24 @@
+import { NextResponse } from "next/server";
+import { errorResponse } from "../../../lib/errors.js";
+import { buildExportBundle, parseExportIds, parseExportOptions } from "../../../lib/export.js";
+
+export const dynamic = "force-dynamic";
+
+// ZIP of history frames: ?ids=a,b&formats=jpeg,png,webp,avif,tiff&sizes=full,2048,1080[&crops=1:1,9:16]
+export async function GET(req) {
+  try {
+    const params = new URL(req.url).searchParams;
+    const ids = parseExportIds(params.get("ids"));
+    const options = parseExportOptions({ formats: params.get("formats"), sizes: params.get("sizes"), crops: params.get("crops") });
+    const { buffer, filename } = await buildExportBundle(ids, options);
+    return new NextResponse(buffer, {
+      headers: {
+        "Content-Type": "application/zip",
+        "Content-Disposition": `attachment; filename="${filename}"`,
+        "Content-Length": String(buffer.length),
+      },
+    });
+  } catch (err) {
+    return errorResponse(err, "Error building export bundle");
+  }
+}
@@ -0,0 +1,29 @@
+import { NextResponse } from "next/server";
+import sharp from "sharp";
+import { errorResponse } from "../../../../../lib/errors.js";
+import { readHistoryImage } from "../../../../../lib/history.js";
+
+export const dynamic = "force-dynamic";
+
+// The stored JPEG under its FASHION_ filename; ?thumb=1 for the gallery thumbnail,
+// ?source=1 for the provider's uncropped image (crop previews), ?mask=1 for a
+// retouched version's mask, ?deliverable=<name> for a skincare inset or panel
+export async function GET(req, { params }) {
+  try {
+    const query = new URL(req.url).searchParams;
+    const kind = query.get("source") ? "source" : query.get("mask") ? "mask" : query.get("thumb") ? "thumb" : "image";
+    const { entry, deliverable, buffer } = await readHistoryImage(params.id, { kind, deliverable: query.get("deliverable") || undefined });
+    const stored = !deliverable && (kind === "source" || kind === "mask");
+    const format = stored ? (await sharp(buffer).metadata()).format : "jpeg";
+    const filename = deliverable ? deliverable.filename : stored ? entry.filename.replace(/\.jpg$/i, `.${kind}.${format}`) : entry.filename;
+    return new NextResponse(buffer, {
+      headers: {
+        "Content-Type": `image/${format}`,
+        "Content-Disposition": `inline; filename="${filename}"`,
+        "Cache-Control": "private, max-age=31536000, immutable",
+      },
+    });
+  } catch (err) {
+    return errorResponse(err, "Error reading history image");
+  }
+}
@@ -0,0 +1,22 @@
+import { NextResponse } from "next/server";
+import { RequestError, errorResponse } from "../../../../../lib/errors.js";
+import { getHistoryEntry } from "../../../../../lib/history.js";
+
+export const dynamic = "force-dynamic";
+
+// The frame's render recipe as a download named after the JPEG
+export async function GET(req, { params }) {
+  try {
+    const entry = await getHistoryEntry(params.id);
+    if (!entry.recipe) throw new RequestError(`History entry "${params.id}" has no recipe.`, { status: 404 });
+    const name = String(entry.filename || params.id).replace(/\.jpg$/i, "");
+    return new NextResponse(JSON.stringify(entry.recipe, null, 2), {
+      headers: {
+        "Content-Type": "application/json",
+        "Content-Disposition": `attachment; filename="${name}.recipe.json"`,
+      },
+    });
+  } catch (err) {
+    return errorResponse(err, "Error reading recipe");
+  }
+}
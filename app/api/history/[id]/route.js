@@ -0,0 +1,25 @@
+import { NextResponse } from "next/server";
+import { errorResponse } from "../../../../lib/errors.js";
+import { deleteHistoryEntry, getHistoryEntry, listVersions } from "../../../../lib/history.js";
+
+export const dynamic = "force-dynamic";
+
+export async function GET(req, { params }) {
+  try {
+    const entry = await getHistoryEntry(params.id);
+    // The original and all its retouches, when this frame has any
+    const versions = await listVersions(entry.retouch?.rootId || entry.id);
+    return NextResponse.json({ ...entry, imageUrl: `/api/history/${entry.id}/image`, versions: versions.length > 1 ? versions : [] });
+  } catch (err) {
+    return errorResponse(err, "Error reading history entry");
+  }
+}
+
+export async function DELETE(req, { params }) {
+  try {
+    await deleteHistoryEntry(params.id);
+    return NextResponse.json({ deleted: params.id });
+  } catch (err) {
+    return errorResponse(err, "Error deleting history entry");
+  }
+}
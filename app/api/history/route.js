@@ -0,0 +1,30 @@
+import { NextResponse } from "next/server";
+import { errorResponse } from "../../../lib/errors.js";
+import { listHistory } from "../../../lib/history.js";
+
+export const dynamic = "force-dynamic";
+
+// ?page=&pageSize=&filmStock=&lightingPreset=&campaign=&from=YYYY-MM-DD&to=YYYY-MM-DD
+export async function GET(req) {
+  try {
+    const params = new URL(req.url).searchParams;
+    const result = await listHistory({
+      filmStock: params.get("filmStock") || undefined,
+      lightingPreset: params.get("lightingPreset") || undefined,
+      campaign: params.get("campaign") || undefined,
+      from: params.get("from") || undefined,
+      to: params.get("to") || undefined,
+      page: params.get("page") || undefined,
+      pageSize: params.get("pageSize") || undefined,
+    });
+    // Thumbnails and full images are served by /api/history/:id/image
+    result.items = result.items.map((item) => ({
+      ...item,
+      thumbUrl: `/api/history/${item.id}/image?thumb=1`,
+      imageUrl: `/api/history/${item.id}/image`,
+    }));
+    return NextResponse.json(result);
+  } catch (err) {
+    return errorResponse(err, "Error listing history");
+  }
+}
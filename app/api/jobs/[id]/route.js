@@ -0,0 +1,23 @@
+import { NextResponse } from "next/server";
+import { errorResponse } from "../../../../lib/errors.js";
+import { cancelJob, getJob } from "../../../../lib/jobs.js";
+import { identify } from "../../../../lib/usage.js";
+
+export const dynamic = "force-dynamic";
+
+export async function GET(req, { params }) {
+  try {
+    return NextResponse.json(getJob(params.id, { user: identify(req) }));
+  } catch (err) {
+    return errorResponse(err, "Error reading job");
+  }
+}
+
+// Cancel a queued or running job
+export async function DELETE(req, { params }) {
+  try {
+    return NextResponse.json(cancelJob(params.id, { user: identify(req) }));
+  } catch (err) {
+    return errorResponse(err, "Error cancelling job");
+  }
+}
@@ -0,0 +1,31 @@
+import { NextResponse } from "next/server";
+import { errorResponse } from "../../../lib/errors.js";
+import { prepareJob } from "../../../lib/handlers.js";
+import { listJobs, submitJob } from "../../../lib/jobs.js";
+import { identify } from "../../../lib/usage.js";
+
+export const dynamic = "force-dynamic";
+
+export async function GET(req) {
+  try {
+    return NextResponse.json({ jobs: listJobs({ user: identify(req) }) });
+  } catch (err) {
+    return errorResponse(err, "Error listing jobs");
+  }
+}
+
+// Same multipart body as /api/generate-image (or /api/sweep with type=sweep).
+// Answers 202 at once; poll the job for status and result.
+export async function POST(req) {
+  try {
+    const user = identify(req);
+    const formData = await req.formData();
+    const job = submitJob(await prepareJob(formData.get("type") || "generate", formData, { user }));
+    return NextResponse.json(
+      { id: job.id, type: job.type, status: job.status, statusUrl: `/api/jobs/${job.id}` },
+      { status: 202, headers: { Location: `/api/jobs/${job.id}` } }
+    );
+  } catch (err) {
+    return errorResponse(err, "Error submitting job");
+  }
+}
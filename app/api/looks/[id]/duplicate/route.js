@@ -0,0 +1,19 @@
+import { NextResponse } from "next/server";
+import { errorResponse } from "../../../../../lib/errors.js";
+import { duplicateLook } from "../../../../../lib/looks.js";
+
+// Body (optional): { name } for the copy; defaults to "<name> (copy)"
+export async function POST(req, { params }) {
+  try {
+    let body = {};
+    try {
+      body = await req.json();
+    } catch {
+      // no body: keep the default name
+    }
+    const look = await duplicateLook(params.id, { name: body?.name });
+    return NextResponse.json(look, { status: 201 });
+  } catch (err) {
+    return errorResponse(err, "Error duplicating look");
+  }
+}
@@ -0,0 +1,49 @@
+import { NextResponse } from "next/server";
+import { RequestError, errorResponse } from "../../../../lib/errors.js";
+import { deleteLook, getLook, updateLook } from "../../../../lib/looks.js";
+
+export const dynamic = "force-dynamic";
+
+// ?download=1 returns the look as an attachment, ready to share or import
+export async function GET(req, { params }) {
+  try {
+    const look = await getLook(params.id);
+    if (new URL(req.url).searchParams.get("download")) {
+      const { builtIn: _builtIn, ...file } = look;
+      const slug = look.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "look";
+      return new NextResponse(JSON.stringify(file, null, 2), {
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Disposition": `attachment; filename="look-${slug}.json"`,
+        },
+      });
+    }
+    return NextResponse.json(look);
+  } catch (err) {
+    return errorResponse(err, "Error reading look");
+  }
+}
+
+// Rename or re-save: any of { name, notes, selection, references }
+export async function PATCH(req, { params }) {
+  try {
+    let patch;
+    try {
+      patch = await req.json();
+    } catch {
+      throw new RequestError("Body is not valid JSON.");
+    }
+    return NextResponse.json(await updateLook(params.id, patch || {}));
+  } catch (err) {
+    return errorResponse(err, "Error updating look");
+  }
+}
+
+export async function DELETE(req, { params }) {
+  try {
+    await deleteLook(params.id);
+    return NextResponse.json({ deleted: params.id });
+  } catch (err) {
+    return errorResponse(err, "Error deleting look");
+  }
+}
@@ -0,0 +1,19 @@
+import { NextResponse } from "next/server";
+import { RequestError, errorResponse } from "../../../../lib/errors.js";
+import { importLook } from "../../../../lib/looks.js";
+
+// Body: a look file as produced by GET /api/looks/:id?download=1
+export async function POST(req) {
+  try {
+    let doc;
+    try {
+      doc = await req.json();
+    } catch {
+      throw new RequestError("Look file is not valid JSON.");
+    }
+    const look = await importLook(doc);
+    return NextResponse.json(look, { status: 201 });
+  } catch (err) {
+    return errorResponse(err, "Error importing look");
+  }
+}
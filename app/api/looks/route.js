@@ -0,0 +1,31 @@
+import { NextResponse } from "next/server";
+import { RequestError, errorResponse } from "../../../lib/errors.js";
+import { createLook, listLooks, summarizeLook } from "../../../lib/looks.js";
+
+export const dynamic = "force-dynamic";
+
+export async function GET() {
+  try {
+    const looks = await listLooks();
+    return NextResponse.json({ looks: looks.map(summarizeLook) });
+  } catch (err) {
+    return errorResponse(err, "Error listing looks");
+  }
+}
+
+// Body: { name, notes?, selection, references? }
+export async function POST(req) {
+  try {
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      throw new RequestError("Body is not valid JSON.");
+    }
+    const look = await createLook(body || {});
+    return NextResponse.json(look, { status: 201 });
+  } catch (err) {
+    return errorResponse(err, "Error saving look");
+  }
+}
+
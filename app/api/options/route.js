@@ -0,0 +1,11 @@
+import { NextResponse } from "next/server";
+import { buildSchema } from "../../../lib/schema.js";
+import { listFilmStocks } from "../../../lib/film.js";
+import { listCaptionVoices } from "../../../lib/captions.js";
+
+// Custom film profiles and caption voices are read from the environment at runtime
+export const dynamic = "force-dynamic";
+
+export async function GET() {
+  return NextResponse.json(buildSchema({ filmStocks: listFilmStocks(), captionVoices: listCaptionVoices() }));
+}
@@ -0,0 +1,46 @@
+import { NextResponse } from "next/server";
+import { RequestError, errorResponse } from "../../../lib/errors.js";
+import { readHistoryImage } from "../../../lib/history.js";
+import { loadRecipe, prepareJob } from "../../../lib/handlers.js";
+import { jobResult, submitJob } from "../../../lib/jobs.js";
+import { replayPost, sha256 } from "../../../lib/recipe.js";
+import { identify } from "../../../lib/usage.js";
+
+// Multipart body:
+//   historyId  a stored frame, or
+//   recipe     a recipe JSON (text field or uploaded .recipe.json file)
+//   mode       "post" (default): re-run post-processing on the stored source image
+//              "regenerate": call the provider again with the recipe's prompt and size
+//   poseRef / wardrobeRef  re-uploaded references when regenerating a conditioned frame;
+//              a cast's identity reference is attached again while the cast exists
+// Regenerating runs as a job (lib/handlers.js), so it waits its turn for the provider.
+async function replayStoredSource(recipe) {
+  const sourceId = recipe.source?.historyId;
+  if (!sourceId) throw new RequestError("This recipe has no stored source image; use mode=regenerate.");
+  const { buffer: source } = await readHistoryImage(sourceId, { kind: "source" });
+  if (sha256(source) !== recipe.source.sha256) {
+    throw new RequestError("The stored source image does not match the recipe.", { status: 409 });
+  }
+  const result = await replayPost(recipe, source);
+  return NextResponse.json({
+    mode: "post",
+    imageUrl: `data:image/jpeg;base64,${result.buffer.toString("base64")}`,
+    filename: recipe.output.filename,
+    sha256: result.sha256,
+    expectedSha256: recipe.output.sha256,
+    matches: result.matches,
+    exact: result.exact,
+  });
+}
+
+export async function POST(req) {
+  try {
+    const formData = await req.formData();
+    const mode = formData.get("mode") || "post";
+    if (mode === "post") return await replayStoredSource(await loadRecipe(formData));
+    if (mode === "regenerate") return NextResponse.json(await jobResult(submitJob(await prepareJob("regenerate", formData, { user: identify(req) }))));
+    throw new RequestError('mode must be "post" or "regenerate".');
+  } catch (err) {
+    return errorResponse(err, "Error replaying recipe");
+  }
+}
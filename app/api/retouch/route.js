@@ -0,0 +1,22 @@
+import { NextResponse } from "next/server";
+import { errorResponse } from "../../../lib/errors.js";
+import { prepareRetouch } from "../../../lib/handlers.js";
+import { jobResult, submitJob } from "../../../lib/jobs.js";
+import { identify } from "../../../lib/usage.js";
+
+// Multipart body:
+//   historyId    the frame to retouch (any version)
+//   mask         PNG the shape of the delivered frame; painted (opaque) pixels are repainted
+//   instruction  what to change there, e.g. "hair back to jet black, no highlights"
+//   provider     optional; defaults to the provider that made the frame
+// Answers like a single render, plus `historyId` of the new version and `retouch`.
+// The retouch runs as a job, so it takes its turn for the provider.
+export async function POST(req) {
+  try {
+    const user = identify(req);
+    const spec = await prepareRetouch(await req.formData(), { user });
+    return NextResponse.json(await jobResult(submitJob(spec)));
+  } catch (err) {
+    return errorResponse(err, "Error retouching image");
+  }
+}
@@ -0,0 +1,17 @@
+import { NextResponse } from "next/server";
+import { errorResponse } from "../../../lib/errors.js";
+import { prepareSweep } from "../../../lib/handlers.js";
+import { jobResult, submitJob } from "../../../lib/jobs.js";
+import { identify } from "../../../lib/usage.js";
+
+// Same multipart body as /api/generate-image, plus
+// "sweep": { "axes": [{ "key": "lightingPreset", "values": [...] }, { "key": "filmStock" }] }
+export async function POST(req) {
+  try {
+    const user = identify(req);
+    const spec = await prepareSweep(await req.formData(), { user });
+    return NextResponse.json(await jobResult(submitJob(spec)));
+  } catch (err) {
+    return errorResponse(err, "Error running sweep");
+  }
+}
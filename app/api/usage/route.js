@@ -0,0 +1,15 @@
+import { NextResponse } from "next/server";
+import { errorResponse } from "../../../lib/errors.js";
+import { identify, usageSummary } from "../../../lib/usage.js";
+
+export const dynamic = "force-dynamic";
+
+// Spend for the caller and the whole studio; ?month=YYYY-MM for an earlier month
+export async function GET(req) {
+  try {
+    const month = new URL(req.url).searchParams.get("month") || undefined;
+    return NextResponse.json(await usageSummary(identify(req), { month }));
+  } catch (err) {
+    return errorResponse(err, "Error reading usage");
+  }
+}
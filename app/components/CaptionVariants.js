@@ -0,0 +1,33 @@
+"use client";
+
+import React from "react";
+
+const VARIANTS = [
+  { key: "short", label: "Short" },
+  { key: "editorial", label: "Editorial" },
+  { key: "social", label: "Social post" },
+  { key: "alt", label: "Alt text" },
+];
+
+// Every caption variant of a frame (lib/captions.js), each with a copy button
+export default function CaptionVariants({ captions }) {
+  if (!captions) return null;
+  return (
+    <details className="mt-2 max-w-xl mx-auto text-left text-sm">
+      <summary className="cursor-pointer">Captions</summary>
+      <div className="mt-2 space-y-2">
+        {VARIANTS.filter((v) => captions[v.key]).map((v) => (
+          <div key={v.key} className="p-2 rounded-lg border border-zinc-200 dark:border-zinc-800">
+            <div className="flex items-center justify-between text-xs text-zinc-500">
+              {v.label}
+              <button onClick={() => navigator.clipboard?.writeText(captions[v.key])} className="underline">
+                Copy
+              </button>
+            </div>
+            <div className={`whitespace-pre-wrap ${v.key === "alt" ? "" : "italic"}`}>{captions[v.key]}</div>
+          </div>
+        ))}
+      </div>
+    </details>
+  );
+}
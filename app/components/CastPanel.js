@@ -0,0 +1,161 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+
+const DESCRIPTORS = [
+  { key: "face", label: "Face", placeholder: "oval face, high cheekbones, light freckles" },
+  { key: "skinTone", label: "Skin tone", placeholder: "warm olive, neutral undertone" },
+  { key: "hair", label: "Natural hair", placeholder: "dark brown, naturally wavy, collarbone length" },
+  { key: "features", label: "Distinguishing features", placeholder: "small scar through the left eyebrow" },
+];
+
+const EMPTY_CAST = { name: "", face: "", skinTone: "", hair: "", features: "" };
+
+// Cast profiles and campaigns (lib/casts.js). `casting` is what the next render
+// sends: { cast: [ids, one per model], campaign: id | "" }; a campaign brings
+// its own cast.
+export default function CastPanel({ casting, onChange, fileToDataUrl }) {
+  const [casts, setCasts] = useState([]);
+  const [campaigns, setCampaigns] = useState([]);
+  const [draft, setDraft] = useState(EMPTY_CAST);
+  const [reference, setReference] = useState(null);
+  const [campaignName, setCampaignName] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const send = async (url, method = "GET", body) => {
+    const res = await fetch(url, {
+      method,
+      headers: body === undefined ? undefined : { "Content-Type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const out = await res.json();
+    if (!res.ok) throw new Error(out.error || `Request failed (${res.status})`);
+    return out;
+  };
+
+  const refresh = async () => {
+    const [c, p] = await Promise.all([send("/api/casts"), send("/api/campaigns")]);
+    setCasts(c.casts);
+    setCampaigns(p.campaigns);
+  };
+
+  useEffect(() => {
+    refresh().catch((err) => setError(err?.message || String(err)));
+  }, []);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      await refresh();
+    } catch (err) {
+      setError(err?.message || String(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const saveCast = () =>
+    run(async () => {
+      const ref = reference && { name: reference.name, dataUrl: await fileToDataUrl(reference) };
+      await send("/api/casts", "POST", { ...draft, name: draft.name.trim(), ...(ref && { reference: ref }) });
+      setDraft(EMPTY_CAST);
+      setReference(null);
+    });
+
+  const removeCast = (cast) => {
+    if (window.confirm(`Delete cast "${cast.name}"?`)) {
+      run(async () => {
+        await send(`/api/casts/${cast.id}`, "DELETE");
+        onChange({ ...casting, cast: casting.cast.filter((id) => id !== cast.id) });
+      });
+    }
+  };
+
+  // Cast members play models 1, 2, … in the order they are picked
+  const toggleCast = (id) =>
+    onChange({ campaign: "", cast: casting.cast.includes(id) ? casting.cast.filter((c) => c !== id) : [...casting.cast, id] });
+
+  const saveCampaign = () =>
+    run(async () => {
+      const campaign = await send("/api/campaigns", "POST", { name: campaignName.trim(), cast: casting.cast });
+      onChange({ cast: [], campaign: campaign.id });
+      setCampaignName("");
+    });
+
+  const activeCampaign = campaigns.find((c) => c.id === casting.campaign);
+  const castName = (id) => casts.find((c) => c.id === id)?.name || id;
+
+  return (
+    <details className="mb-6 rounded-xl border border-zinc-200 dark:border-zinc-800 p-4">
+      <summary className="cursor-pointer font-medium">
+        Cast & campaigns
+        {activeCampaign && <span className="ml-2 text-sm font-normal text-zinc-500">campaign: {activeCampaign.name}</span>}
+        {!activeCampaign && casting.cast.length > 0 && <span className="ml-2 text-sm font-normal text-zinc-500">cast: {casting.cast.map(castName).join(", ")}</span>}
+      </summary>
+      {error && <div className="mt-2 text-sm text-red-700">{error}</div>}
+
+      <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+        <label>
+          Campaign{" "}
+          <select value={casting.campaign} onChange={(e) => onChange({ cast: [], campaign: e.target.value })} className="px-2 py-1 rounded border bg-white/70 dark:bg-zinc-800/70">
+            <option value="">None</option>
+            {campaigns.map((c) => (
+              <option key={c.id} value={c.id}>
+                {c.name} ({c.cast.map(castName).join(", ") || "no cast"})
+              </option>
+            ))}
+          </select>
+        </label>
+        <input value={campaignName} onChange={(e) => setCampaignName(e.target.value)} placeholder="New campaign name" className="px-3 py-1 rounded-lg border bg-white/70 dark:bg-zinc-800/70" />
+        <button onClick={saveCampaign} disabled={busy || !campaignName.trim()} className="underline text-indigo-600 disabled:opacity-50">
+          Start campaign with the picked cast
+        </button>
+      </div>
+
+      <ul className="mt-3 divide-y divide-zinc-200 dark:divide-zinc-800 text-sm">
+        {casts.map((cast) => {
+          const picked = casting.cast.indexOf(cast.id);
+          return (
+            <li key={cast.id} className="py-2 flex flex-wrap items-center gap-2">
+              <label className="mr-auto flex items-start gap-2">
+                <input type="checkbox" checked={picked >= 0} onChange={() => toggleCast(cast.id)} disabled={!!casting.campaign} className="mt-1" />
+                <span>
+                  {cast.name}
+                  {picked >= 0 && <span className="ml-2 text-xs text-zinc-500">model {picked + 1}</span>}
+                  {cast.reference && <span className="ml-2 text-xs text-zinc-500">+ identity ref</span>}
+                  <span className="block text-xs text-zinc-500">{cast.wording}</span>
+                </span>
+              </label>
+              <button onClick={() => removeCast(cast)} disabled={busy} className="underline text-red-700">
+                Delete
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+
+      <div className="mt-3 grid gap-2 md:grid-cols-2 text-sm">
+        <input value={draft.name} onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value }))} placeholder="Cast name" className="px-3 py-2 rounded-lg border bg-white/70 dark:bg-zinc-800/70" />
+        {DESCRIPTORS.map((d) => (
+          <input
+            key={d.key}
+            value={draft[d.key]}
+            onChange={(e) => setDraft((p) => ({ ...p, [d.key]: e.target.value }))}
+            placeholder={`${d.label}: ${d.placeholder}`}
+            className="px-3 py-2 rounded-lg border bg-white/70 dark:bg-zinc-800/70"
+          />
+        ))}
+        <label className="px-3 py-2 rounded-lg border cursor-pointer">
+          {reference ? reference.name : "Identity reference (optional)…"}
+          <input type="file" accept="image/*" className="hidden" onChange={(e) => setReference(e.target.files?.[0] || null)} />
+        </label>
+        <button onClick={saveCast} disabled={busy || !draft.name.trim()} className="px-4 py-2 rounded-lg font-semibold bg-indigo-600 text-white disabled:opacity-50">
+          Save cast
+        </button>
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,88 @@
+"use client";
+
+import React, { useState } from "react";
+import { ASPECT_PRESETS, cropBox, cropCenter, parseAspect } from "../../lib/aspect.js";
+
+const percent = (value, of) => `${(value / of) * 100}%`;
+
+const boxStyle = (box, crop) => ({
+  left: percent(box.left, crop.sourceWidth),
+  top: percent(box.top, crop.sourceHeight),
+  width: percent(box.width, crop.sourceWidth),
+  height: percent(box.height, crop.sourceHeight),
+});
+
+// The provider's full image with the delivered crop and overlays for other
+// ratios, cut around the same centre the export uses. Clicking the image picks
+// a focal point for the next render.
+export default function CropPreview({ historyId, crop, exportOptions, focalPoint, onFocalPoint, onClearFocalPoint }) {
+  const [overlays, setOverlays] = useState(["1:1 (Square)", "9:16 (Vertical)", "16:9 (Landscape)"]);
+  if (!historyId || !crop?.sourceWidth) return null;
+
+  const center = cropCenter(crop);
+  const toggle = (label) => setOverlays((p) => (p.includes(label) ? p.filter((l) => l !== label) : [...p, label]));
+  const pick = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    onFocalPoint({ x: Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)), y: Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height)) });
+  };
+  const exportUrl = `/api/export?${new URLSearchParams({
+    ids: historyId,
+    formats: exportOptions.formats.join(","),
+    sizes: exportOptions.sizes.join(","),
+    crops: overlays.join(","),
+  })}`;
+
+  return (
+    <details className="mt-4 max-w-xl mx-auto text-left text-sm">
+      <summary className="cursor-pointer">Crop preview</summary>
+      <div className="mt-2 flex flex-wrap gap-2">
+        {ASPECT_PRESETS.map((label) => (
+          <button
+            key={label}
+            onClick={() => toggle(label)}
+            className={`px-3 py-1 rounded-full border text-xs ${overlays.includes(label) ? "bg-amber-500 text-white border-amber-500" : "border-zinc-300 dark:border-zinc-700"}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <div className="relative mt-3 cursor-crosshair" onClick={pick}>
+        <img src={`/api/history/${historyId}/image?source=1`} alt="provider image" className="w-full rounded-lg" />
+        <div className="absolute border-2 border-indigo-500 pointer-events-none" style={boxStyle(crop, crop)}>
+          <span className="absolute top-0 left-0 px-1 text-[10px] bg-indigo-500 text-white">delivered · {crop.strategy}</span>
+        </div>
+        {overlays.map((label) => {
+          const aspect = parseAspect(label);
+          const box = cropBox(crop.sourceWidth, crop.sourceHeight, aspect.ratio, center);
+          return (
+            <div key={label} className="absolute border border-dashed border-amber-400 pointer-events-none" style={boxStyle(box, crop)}>
+              <span className="absolute bottom-0 right-0 px-1 text-[10px] bg-amber-500 text-white">{label.split(" ")[0]}</span>
+            </div>
+          );
+        })}
+        {crop.focal && (
+          <div
+            className="absolute w-3 h-3 -ml-1.5 -mt-1.5 rounded-full border-2 border-white bg-indigo-500 pointer-events-none"
+            style={{ left: percent(crop.focal.x, 1), top: percent(crop.focal.y, 1) }}
+          />
+        )}
+      </div>
+      <div className="mt-2 flex flex-wrap items-center gap-3 text-xs text-zinc-500">
+        <span>Click the image to set the focal point for the next render.</span>
+        {focalPoint && (
+          <span>
+            Next render: focal point {focalPoint}{" "}
+            <button onClick={onClearFocalPoint} className="underline">
+              clear
+            </button>
+          </span>
+        )}
+        {overlays.length > 0 && (
+          <a href={exportUrl} className="underline text-indigo-600">
+            Export these crops (.zip)
+          </a>
+        )}
+      </div>
+    </details>
+  );
+}
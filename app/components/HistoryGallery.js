@@ -0,0 +1,231 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import { authHeaders } from "./apiKey.js";
+import CaptionVariants from "./CaptionVariants.js";
+import QcReport from "./QcReport.js";
+import SkincareDeliverables from "./SkincareDeliverables.js";
+import RetouchPanel from "./RetouchPanel.js";
+
+// Every saved generation, newest first, with filters and paging from /api/history
+export default function HistoryGallery({ filmStocks = [], lightingPresets = [], exportOptions = { formats: ["jpeg"], sizes: ["full"] } }) {
+  const [filters, setFilters] = useState({ filmStock: "", lightingPreset: "", campaign: "", from: "", to: "" });
+  const [campaigns, setCampaigns] = useState([]);
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState(null);
+  const [open, setOpen] = useState(null);
+  const [error, setError] = useState(null);
+  const [replay, setReplay] = useState(null);
+
+  const load = async () => {
+    const params = new URLSearchParams({ page: String(page), pageSize: "24" });
+    for (const [key, value] of Object.entries(filters)) if (value) params.set(key, value);
+    try {
+      const res = await fetch(`/api/history?${params}`);
+      const out = await res.json();
+      if (!res.ok) throw new Error(out.error || "Could not load history");
+      setResult(out);
+      setError(null);
+    } catch (err) {
+      setError(err?.message || String(err));
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, [page, filters]);
+
+  useEffect(() => {
+    fetch("/api/campaigns")
+      .then((res) => (res.ok ? res.json() : null))
+      .then((out) => out && setCampaigns(out.campaigns))
+      .catch(() => {});
+  }, []);
+
+  const setFilter = (key, value) => {
+    setFilters((p) => ({ ...p, [key]: value }));
+    setPage(1);
+  };
+
+  const openEntry = async (id) => {
+    const res = await fetch(`/api/history/${id}`);
+    const out = await res.json();
+    if (!res.ok) return setError(out.error || "Could not load entry");
+    setOpen(out);
+    setReplay(null);
+  };
+
+  // mode "post" re-runs post-processing on the stored source; "regenerate" calls the provider again
+  const runReplay = async (entry, mode) => {
+    setReplay({ mode, running: true });
+    const formData = new FormData();
+    formData.append("historyId", entry.id);
+    formData.append("mode", mode);
+    try {
+      const res = await fetch("/api/replay", { method: "POST", body: formData, headers: authHeaders() });
+      const out = await res.json();
+      setReplay(res.ok ? { mode, ...out } : { mode, error: out.error || "Replay failed" });
+      if (res.ok && mode === "regenerate") load();
+    } catch (err) {
+      setReplay({ mode, error: err?.message || String(err) });
+    }
+  };
+
+  const removeEntry = async (entry) => {
+    if (!window.confirm(`Delete ${entry.filename} from history?`)) return;
+    const res = await fetch(`/api/history/${entry.id}`, { method: "DELETE" });
+    if (!res.ok) return setError((await res.json()).error || "Delete failed");
+    setOpen(null);
+    load();
+  };
+
+  const exportUrl = (entry) =>
+    `/api/export?${new URLSearchParams({ ids: entry.id, formats: exportOptions.formats.join(","), sizes: exportOptions.sizes.join(",") })}`;
+
+  const select = (key, values, label) => (
+    <select value={filters[key]} onChange={(e) => setFilter(key, e.target.value)} className="px-3 py-2 rounded-lg border bg-white/70 dark:bg-zinc-800/70 text-sm">
+      <option value="">{label}</option>
+      {values.map((v) => (
+        <option key={v} value={v}>
+          {v}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div>
+      <div className="mb-4 flex flex-wrap items-center gap-2 text-sm">
+        {select("filmStock", filmStocks, "Any film stock")}
+        {select("lightingPreset", lightingPresets, "Any lighting")}
+        {campaigns.length > 0 && (
+          <select value={filters.campaign} onChange={(e) => setFilter("campaign", e.target.value)} className="px-3 py-2 rounded-lg border bg-white/70 dark:bg-zinc-800/70 text-sm">
+            <option value="">Any campaign</option>
+            {campaigns.map((c) => (
+              <option key={c.id} value={c.id}>
+                {c.name}
+              </option>
+            ))}
+          </select>
+        )}
+        <label>
+          From <input type="date" value={filters.from} onChange={(e) => setFilter("from", e.target.value)} className="px-2 py-1 rounded border bg-white/70 dark:bg-zinc-800/70" />
+        </label>
+        <label>
+          To <input type="date" value={filters.to} onChange={(e) => setFilter("to", e.target.value)} className="px-2 py-1 rounded border bg-white/70 dark:bg-zinc-800/70" />
+        </label>
+        {result && <span className="ml-auto text-zinc-500">{result.total} frames</span>}
+      </div>
+      {error && <div className="mb-4 text-sm text-red-700">{error}</div>}
+
+      {open && (
+        <div className="mb-6 p-4 rounded-xl border border-zinc-200 dark:border-zinc-800">
+          <div className="flex flex-wrap gap-6">
+            <img src={open.imageUrl} alt={open.captions?.alt || open.filename} className="max-h-[480px] rounded-xl shadow" />
+            <div className="flex-1 min-w-[260px] text-sm space-y-2">
+              <div className="font-mono text-xs">{open.filename}</div>
+              <div className="text-zinc-500">{new Date(open.createdAt).toLocaleString()} · {open.provider?.name} {open.provider?.size}</div>
+              {open.caption && <div className="italic whitespace-pre-wrap">{open.caption}</div>}
+              <CaptionVariants captions={open.captions} />
+              {open.retouch && (
+                <div className="text-xs text-zinc-500">
+                  Version {open.retouch.version}, retouched from{" "}
+                  <button onClick={() => openEntry(open.retouch.parentId)} className="underline">
+                    its parent
+                  </button>
+                  : “{open.retouch.instruction}”
+                </div>
+              )}
+              {open.versions?.length > 0 && (
+                <div className="flex flex-wrap gap-2">
+                  {open.versions.map((v) => (
+                    <button key={v.id} onClick={() => openEntry(v.id)} title={v.retouch?.instruction || "original"} className="text-xs text-center">
+                      <img src={`/api/history/${v.id}/image?thumb=1`} alt={v.filename} className={`w-14 rounded border ${v.id === open.id ? "border-indigo-600" : ""}`} />
+                      v{v.retouch?.version || 1}
+                    </button>
+                  ))}
+                </div>
+              )}
+              <div className="flex gap-3">
+                <a href={open.imageUrl} download={open.filename} className="underline text-indigo-600">Download</a>
+                {open.recipe && <a href={`/api/history/${open.id}/recipe`} className="underline text-indigo-600">Recipe</a>}
+                <a href={exportUrl(open)} title={`${exportOptions.formats.join(", ")} at ${exportOptions.sizes.join(", ")}`} className="underline text-indigo-600">Export ZIP</a>
+                {open.recipe && <button onClick={() => runReplay(open, "post")} className="underline">Replay post</button>}
+                {open.recipe && <button onClick={() => runReplay(open, "regenerate")} className="underline">Regenerate</button>}
+                <button onClick={() => removeEntry(open)} className="underline text-red-700">Delete</button>
+                <button onClick={() => setOpen(null)} className="underline">Close</button>
+              </div>
+              {replay && (
+                <div className="text-xs">
+                  {replay.running && <span>Running {replay.mode === "post" ? "post-processing replay" : "regeneration"}…</span>}
+                  {replay.error && <span className="text-red-700">{replay.error}</span>}
+                  {replay.mode === "post" && replay.sha256 && (
+                    <span className={replay.matches ? "text-green-700" : "text-amber-700"}>
+                      {replay.matches ? "Byte-identical to the stored JPEG" : replay.exact ? "Output differs from the stored JPEG" : "Output differs: post-processing pipeline has changed since this render"} (sha256 {replay.sha256.slice(0, 12)}…)
+                    </span>
+                  )}
+                  {replay.mode === "regenerate" && replay.imageUrl && (
+                    <span className="flex items-center gap-2">
+                      <img src={replay.imageUrl} alt="regenerated" className="w-16 rounded" /> Regenerated and saved to history.
+                    </span>
+                  )}
+                </div>
+              )}
+              <QcReport qc={open.qc} />
+              <SkincareDeliverables deliverables={open.deliverables} historyId={open.id} imageUrl={open.imageUrl} />
+              <RetouchPanel
+                historyId={open.id}
+                onRetouched={(out) => {
+                  openEntry(out.historyId);
+                  load();
+                }}
+              />
+              <details>
+                <summary className="cursor-pointer">Shoot Sheet</summary>
+                <pre className="text-xs whitespace-pre-wrap bg-zinc-900 text-zinc-50 p-3 rounded">{open.shootSheet}</pre>
+              </details>
+              <details>
+                <summary className="cursor-pointer">Prompt</summary>
+                <pre className="text-xs whitespace-pre-wrap bg-zinc-900 text-zinc-50 p-3 rounded max-h-80 overflow-auto">{open.prompt}</pre>
+              </details>
+              <details>
+                <summary className="cursor-pointer">EXIF</summary>
+                <pre className="text-xs whitespace-pre-wrap bg-zinc-900 text-zinc-50 p-3 rounded">{JSON.stringify(open.exif, null, 2)}</pre>
+              </details>
+              <details>
+                <summary className="cursor-pointer">Payload</summary>
+                <pre className="text-xs whitespace-pre-wrap bg-zinc-900 text-zinc-50 p-3 rounded">{JSON.stringify(open.payload, null, 2)}</pre>
+              </details>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-6 gap-3">
+        {result?.items.map((item) => (
+          <button key={item.id} onClick={() => openEntry(item.id)} className="text-left">
+            <img src={item.thumbUrl} alt={item.filename} loading="lazy" className={`w-full rounded-lg border ${open?.id === item.id ? "border-indigo-600" : ""}`} />
+            <div className="mt-1 text-xs text-zinc-500 truncate">{item.settings?.filmStock} · {item.settings?.lightingPreset}</div>
+            {item.campaign && <div className="text-xs text-indigo-600 truncate">{item.campaign.name}</div>}
+            <div className="text-xs text-zinc-400">{item.date}</div>
+          </button>
+        ))}
+      </div>
+      {result && result.total === 0 && <div className="text-sm text-zinc-500">Nothing here yet — generated images appear automatically.</div>}
+
+      {result && result.pages > 1 && (
+        <div className="mt-4 flex items-center justify-center gap-3 text-sm">
+          <button onClick={() => setPage((p) => Math.max(1, p - 1))} disabled={page <= 1} className="px-3 py-1 rounded border disabled:opacity-40">
+            Previous
+          </button>
+          <span>
+            Page {result.page} of {result.pages}
+          </span>
+          <button onClick={() => setPage((p) => Math.min(result.pages, p + 1))} disabled={page >= result.pages} className="px-3 py-1 rounded border disabled:opacity-40">
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,162 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+
+// Saved looks: list, save, rename, duplicate, delete, apply, import and export.
+// The list is cached in localStorage so looks show up instantly (and offline);
+// the server copy under /api/looks is the source of truth.
+const CACHE_KEY = "model_gen.looks";
+
+const readCache = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(CACHE_KEY) || "[]");
+  } catch {
+    return [];
+  }
+};
+
+const writeCache = (looks) => {
+  try {
+    window.localStorage.setItem(CACHE_KEY, JSON.stringify(looks));
+  } catch {
+    // storage full or disabled: the server list still works
+  }
+};
+
+const hasReferences = (look) => Object.keys(look.references || {}).length > 0;
+
+export default function LooksPanel({ captureLook, onApply }) {
+  const [looks, setLooks] = useState([]);
+  const [name, setName] = useState("");
+  const [activeId, setActiveId] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const refresh = async () => {
+    const res = await fetch("/api/looks");
+    const out = await res.json();
+    if (!res.ok) throw new Error(out.error || "Could not load looks");
+    setLooks(out.looks);
+    writeCache(out.looks);
+  };
+
+  useEffect(() => {
+    setLooks(readCache());
+    refresh().catch((err) => setError(err?.message || String(err)));
+  }, []);
+
+  // Run a server action, then reload the list; errors land in the panel
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      await refresh();
+    } catch (err) {
+      setError(err?.message || String(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const send = async (url, method, body) => {
+    const res = await fetch(url, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const out = await res.json();
+    if (!res.ok) {
+      const details = out.invalidValues?.map((v) => `${v.key}=${JSON.stringify(v.value)}`).join(", ");
+      throw new Error(details ? `${out.error} — ${details}` : out.error || `Request failed (${res.status})`);
+    }
+    return out;
+  };
+
+  const saveNew = () =>
+    run(async () => {
+      const look = await send("/api/looks", "POST", { name: name.trim(), ...(await captureLook()) });
+      setActiveId(look.id);
+      setName("");
+    });
+
+  const update = (look) => run(async () => send(`/api/looks/${look.id}`, "PATCH", await captureLook()));
+
+  const rename = (look) => {
+    const next = window.prompt("Rename look", look.name);
+    if (next && next.trim() !== look.name) run(() => send(`/api/looks/${look.id}`, "PATCH", { name: next.trim() }));
+  };
+
+  const duplicate = (look) => run(() => send(`/api/looks/${look.id}/duplicate`, "POST"));
+
+  const remove = (look) => {
+    if (window.confirm(`Delete look "${look.name}"?`)) run(() => send(`/api/looks/${look.id}`, "DELETE"));
+  };
+
+  const importFile = (file) =>
+    run(async () => {
+      let doc;
+      try {
+        doc = JSON.parse(await file.text());
+      } catch {
+        throw new Error(`${file.name} is not a look file`);
+      }
+      await send("/api/looks/import", "POST", doc);
+    });
+
+  // The cached list has no reference images; fetch the full look when it has any
+  const apply = (look) =>
+    run(async () => {
+      const full = hasReferences(look) ? await send(`/api/looks/${look.id}`, "GET") : look;
+      await onApply(full);
+      setActiveId(look.id);
+    });
+
+  return (
+    <details className="mb-6 rounded-xl border border-zinc-200 dark:border-zinc-800 p-4">
+      <summary className="cursor-pointer font-medium">Looks ({looks.length})</summary>
+      <div className="mt-3 flex flex-wrap items-center gap-2">
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Name this look"
+          className="px-3 py-2 rounded-lg border bg-white/70 dark:bg-zinc-800/70 text-sm"
+        />
+        <button onClick={saveNew} disabled={busy || !name.trim()} className="px-4 py-2 rounded-lg text-sm font-semibold bg-indigo-600 text-white disabled:opacity-50">
+          Save current as look
+        </button>
+        <label className="px-4 py-2 rounded-lg text-sm border cursor-pointer">
+          Import…
+          <input
+            type="file"
+            accept="application/json,.json"
+            className="hidden"
+            onChange={(e) => {
+              if (e.target.files?.[0]) importFile(e.target.files[0]);
+              e.target.value = "";
+            }}
+          />
+        </label>
+      </div>
+      {error && <div className="mt-2 text-sm text-red-700">{error}</div>}
+      <ul className="mt-3 divide-y divide-zinc-200 dark:divide-zinc-800">
+        {looks.map((look) => (
+          <li key={look.id} className={`py-2 flex flex-wrap items-center gap-2 ${activeId === look.id ? "font-semibold" : ""}`}>
+            <span className="mr-auto">
+              {look.name}
+              {look.builtIn && <span className="ml-2 text-xs text-zinc-500">built-in</span>}
+              {hasReferences(look) && <span className="ml-2 text-xs text-zinc-500">+ {Object.keys(look.references).join(" + ")} ref</span>}
+              {look.notes && <span className="block text-xs font-normal text-zinc-500">{look.notes}</span>}
+            </span>
+            <button onClick={() => apply(look)} disabled={busy} className="text-sm underline text-indigo-600">Apply</button>
+            {!look.builtIn && <button onClick={() => update(look)} disabled={busy} className="text-sm underline">Update</button>}
+            {!look.builtIn && <button onClick={() => rename(look)} disabled={busy} className="text-sm underline">Rename</button>}
+            <button onClick={() => duplicate(look)} disabled={busy} className="text-sm underline">Duplicate</button>
+            <a href={`/api/looks/${look.id}?download=1`} className="text-sm underline">Export</a>
+            {!look.builtIn && <button onClick={() => remove(look)} disabled={busy} className="text-sm underline text-red-700">Delete</button>}
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+}
@@ -0,0 +1,64 @@
+"use client";
+
+import React from "react";
+
+// How many people are in the shot, and a card per model for what sets them
+// apart. Anything left on "Same as shot" follows the shot-wide selections;
+// positions left on "Auto" spread the group across the frame.
+export default function ModelEditor({ countField, detailsField, count, details = [], onChange }) {
+  if (!countField || !detailsField) return null;
+  const total = count || 1;
+
+  const setCount = (n) => onChange({ modelCount: n, modelDetails: details.slice(0, n) });
+  const setDetail = (index, key, value) => {
+    const next = Array.from({ length: Math.max(details.length, index + 1) }, (_, i) => ({ ...details[i] }));
+    if (value) next[index][key] = value;
+    else delete next[index][key];
+    // Trailing models with nothing of their own need no entry
+    while (next.length && !Object.keys(next[next.length - 1]).length) next.pop();
+    onChange({ modelCount: total, modelDetails: next });
+  };
+
+  return (
+    <div className="mb-6">
+      <h2 className="text-lg font-medium mb-2">{countField.label}</h2>
+      <div className="flex flex-wrap gap-2">
+        {countField.values.map((n) => (
+          <button
+            key={n}
+            onClick={() => setCount(n)}
+            className={`px-4 py-2 rounded-full border text-sm transition ${total === n ? "bg-indigo-600 text-white border-indigo-600 shadow" : "bg-white/70 dark:bg-zinc-800/70 text-zinc-800 dark:text-zinc-100 border-zinc-300 dark:border-zinc-700 hover:bg-zinc-50 dark:hover:bg-zinc-800"}`}
+          >
+            {n}
+          </button>
+        ))}
+      </div>
+
+      <h2 className="text-lg font-medium mt-4 mb-2">{detailsField.label}</h2>
+      <div className="grid gap-3 sm:grid-cols-2 lg:grid-cols-3">
+        {Array.from({ length: total }, (_, i) => (
+          <div key={i} className="p-3 rounded-xl border border-zinc-200 dark:border-zinc-800 text-sm space-y-2">
+            <div className="font-medium">Model {i + 1}</div>
+            {detailsField.itemFields.map((item) => (
+              <label key={item.key} className="flex items-center justify-between gap-2">
+                <span className="text-zinc-500">{item.label}</span>
+                <select
+                  value={details[i]?.[item.key] || ""}
+                  onChange={(e) => setDetail(i, item.key, e.target.value)}
+                  className="px-2 py-1 rounded border bg-white/70 dark:bg-zinc-800/70 max-w-[60%]"
+                >
+                  <option value="">{item.inherits ? "Same as shot" : "Auto"}</option>
+                  {(item.values || []).map((v) => (
+                    <option key={v} value={v}>
+                      {v}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+"use client";
+
+import React from "react";
+
+const BADGES = {
+  pass: "bg-emerald-100 text-emerald-800 dark:bg-emerald-900/40 dark:text-emerald-200",
+  warn: "bg-amber-100 text-amber-800 dark:bg-amber-900/40 dark:text-amber-200",
+  fail: "bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-200",
+};
+
+function Badge({ status }) {
+  return <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${BADGES[status] || ""}`}>{status}</span>;
+}
+
+// The automated QC report of a delivered frame (lib/qc.js): one row per check
+// with its measurement and the checklist rule it stands for. Closed unless
+// something needs a look.
+export default function QcReport({ qc }) {
+  if (!qc?.checks) return null;
+  const before = Object.fromEntries((qc.corrected?.before.checks || []).map((c) => [c.id, c]));
+
+  return (
+    <details open={qc.status !== "pass"} className="mt-4 max-w-xl mx-auto text-left text-sm">
+      <summary className="cursor-pointer">
+        Quality control <Badge status={qc.status} />
+        {qc.corrected && <span className="ml-2 text-xs text-zinc-500">auto-corrected: {qc.corrected.applied.join(", ")}</span>}
+      </summary>
+      <table className="mt-2 w-full text-xs">
+        <tbody>
+          {qc.checks.map((c) => (
+            <tr key={c.id} className="align-top border-t border-zinc-200 dark:border-zinc-800">
+              <td className="py-1 pr-2">
+                <Badge status={c.status} />
+              </td>
+              <td className="py-1 pr-2">
+                <div className="font-medium">{c.label}</div>
+                <div className="text-zinc-500">
+                  {c.section} · {c.rule}
+                </div>
+              </td>
+              <td className="py-1 text-right whitespace-nowrap">
+                {before[c.id] && before[c.id].value !== c.value && <span className="text-zinc-400 line-through mr-1">{before[c.id].value}</span>}
+                {c.value}
+                <div className="text-zinc-500">{c.unit}</div>
+                {c.detail && <div className="text-zinc-400">{c.detail}</div>}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="mt-1 text-xs text-zinc-500">Heuristic pixel checks; a flag is a prompt to look, not a verdict.</div>
+    </details>
+  );
+}
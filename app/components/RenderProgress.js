@@ -0,0 +1,81 @@
+"use client";
+
+import React from "react";
+import { FRAME_STAGES, STAGES } from "../../lib/progress.js";
+
+const STAGE_IDS = new Set(STAGES.map((s) => s.id));
+
+const seconds = (ms) => `${(ms / 1000).toFixed(ms < 10000 ? 2 : 1)}s`;
+
+// Staged progress for a streamed render: a top bar sized by finished stages and
+// a checklist with how long each stage took. Without events (plans, sweeps) the
+// bar just pulses while `loading`. `onCancel` adds a cancel button.
+export default function RenderProgress({ loading, events = [], onCancel }) {
+  const frameCount = events.find((e) => e.frames)?.frames || events.find((e) => e.stage === "validated")?.variations || 1;
+  const expected = STAGES.length + FRAME_STAGES.length * (frameCount - 1);
+  const failed = events.find((e) => e.stage === "error");
+  const finished = events.some((e) => e.stage === "done");
+  const progress = finished ? 100 : Math.min(95, (events.filter((e) => STAGE_IDS.has(e.stage)).length / expected) * 100);
+
+  // Per stage: how many times it has been reported and the time spent on it
+  const seen = {};
+  for (const e of events) {
+    const s = (seen[e.stage] ||= { count: 0, ms: 0 });
+    s.count += 1;
+    s.ms += e.ms;
+  }
+  const total = events.length ? events[events.length - 1].at : 0;
+  const hiccups = events.filter((e) => e.stage === "provider-retry" || e.stage === "provider-fallback");
+  const current = STAGES.find((s) => !seen[s.id]);
+
+  return (
+    <>
+      <div
+        className={`fixed top-0 left-0 h-[3px] transition-all duration-300 ease-out bg-indigo-600 ${
+          loading && !events.length ? "w-full animate-pulse" : ""
+        } ${loading ? "opacity-100" : "opacity-0"}`}
+        style={{ width: events.length ? `${progress}%` : undefined, zIndex: 50 }}
+      ></div>
+      {events.length > 0 && (
+        <div className="mt-4 p-4 rounded-xl border border-zinc-200 dark:border-zinc-800 text-sm">
+          <div className="mb-2 flex justify-between font-medium">
+            <span>
+              {failed ? "Render failed" : finished ? "Render complete" : "Rendering…"}
+              {loading && onCancel && (
+                <button onClick={onCancel} className="ml-3 text-xs font-normal underline text-red-700">
+                  Cancel
+                </button>
+              )}
+            </span>
+            <span className="font-mono text-zinc-500">{seconds(total)}</span>
+          </div>
+          <ol className="space-y-1">
+            {STAGES.map((stage) => {
+              const s = seen[stage.id];
+              const perFrame = FRAME_STAGES.includes(stage.id) && frameCount > 1;
+              const complete = s && (!perFrame || s.count >= frameCount);
+              const active = !failed && loading && (stage === current || (s && !complete));
+              const broke = failed && stage === current;
+              return (
+                <li key={stage.id} className={`flex justify-between ${complete ? "" : broke ? "text-red-700" : active ? "text-indigo-600" : "text-zinc-400"}`}>
+                  <span>
+                    {complete ? "✓" : broke ? "✗" : active ? "…" : "·"} {stage.label}
+                    {perFrame && s && ` (${s.count}/${frameCount})`}
+                  </span>
+                  {s && <span className="font-mono text-xs">{seconds(s.ms)}</span>}
+                </li>
+              );
+            })}
+          </ol>
+          {hiccups.map((e, i) => (
+            <div key={i} className="mt-1 text-xs text-amber-700">
+              {e.stage === "provider-retry"
+                ? `${e.provider} attempt ${e.attempt} failed (${e.status}); retrying in ${seconds(e.waitMs)}`
+                : `${e.from} unavailable; falling back to ${e.to}`}
+            </div>
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
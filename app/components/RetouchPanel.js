@@ -0,0 +1,121 @@
+"use client";
+
+import React, { useEffect, useRef, useState } from "react";
+import { authHeaders } from "./apiKey.js";
+
+// Paint over a stored frame and say what to fix there. /api/retouch repaints
+// only the painted region and saves the result as the frame's next version.
+export default function RetouchPanel({ historyId, onRetouched }) {
+  const canvasRef = useRef(null);
+  const last = useRef(null);
+  const [brush, setBrush] = useState(40);
+  const [instruction, setInstruction] = useState("");
+  const [painted, setPainted] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  const clear = () => {
+    const canvas = canvasRef.current;
+    if (canvas) canvas.getContext("2d").clearRect(0, 0, canvas.width, canvas.height);
+    setPainted(false);
+  };
+
+  useEffect(() => {
+    clear();
+    setStatus(null);
+  }, [historyId]);
+
+  if (!historyId) return null;
+
+  // The canvas works at the image's own resolution, so the mask matches the delivered frame
+  const sizeCanvas = (e) => {
+    canvasRef.current.width = e.target.naturalWidth;
+    canvasRef.current.height = e.target.naturalHeight;
+    setPainted(false);
+  };
+
+  const stroke = (e) => {
+    if (!last.current) return;
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const scale = canvas.width / rect.width;
+    const point = { x: (e.clientX - rect.left) * scale, y: (e.clientY - rect.top) * scale };
+    const ctx = canvas.getContext("2d");
+    ctx.strokeStyle = "#f43f5e";
+    ctx.lineWidth = brush * scale;
+    ctx.lineCap = "round";
+    ctx.beginPath();
+    ctx.moveTo(last.current.x, last.current.y);
+    ctx.lineTo(point.x, point.y);
+    ctx.stroke();
+    last.current = point;
+    setPainted(true);
+  };
+
+  const start = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const scale = canvasRef.current.width / rect.width;
+    last.current = { x: (e.clientX - rect.left) * scale, y: (e.clientY - rect.top) * scale };
+    stroke(e);
+  };
+
+  const submit = async () => {
+    setStatus({ running: true });
+    const mask = await new Promise((resolve) => canvasRef.current.toBlob(resolve, "image/png"));
+    const formData = new FormData();
+    formData.append("historyId", historyId);
+    formData.append("instruction", instruction);
+    formData.append("mask", mask, "mask.png");
+    try {
+      const res = await fetch("/api/retouch", { method: "POST", body: formData, headers: authHeaders() });
+      const out = await res.json();
+      if (!res.ok) throw new Error(out.error || "Retouch failed");
+      setStatus(null);
+      setInstruction("");
+      onRetouched(out);
+    } catch (err) {
+      setStatus({ error: err?.message || String(err) });
+    }
+  };
+
+  return (
+    <details className="mt-4 max-w-xl mx-auto text-left text-sm">
+      <summary className="cursor-pointer">Retouch</summary>
+      <div className="relative mt-2 cursor-crosshair touch-none">
+        <img src={`/api/history/${historyId}/image`} alt="frame to retouch" onLoad={sizeCanvas} className="w-full rounded-lg" />
+        <canvas
+          ref={canvasRef}
+          className="absolute inset-0 w-full h-full opacity-50 rounded-lg"
+          onPointerDown={start}
+          onPointerMove={stroke}
+          onPointerUp={() => (last.current = null)}
+          onPointerLeave={() => (last.current = null)}
+        />
+      </div>
+      <div className="mt-2 flex flex-wrap items-center gap-3 text-xs">
+        <label className="flex items-center gap-2">
+          Brush <input type="range" min="8" max="120" value={brush} onChange={(e) => setBrush(Number(e.target.value))} />
+        </label>
+        <button onClick={clear} className="underline">
+          Clear mask
+        </button>
+        <span className="text-zinc-500">Paint over the part to fix; everything else is kept.</span>
+      </div>
+      <div className="mt-2 flex gap-2">
+        <input
+          value={instruction}
+          onChange={(e) => setInstruction(e.target.value)}
+          placeholder="e.g. hair back to jet black, no highlights"
+          className="flex-1 px-3 py-2 rounded-lg border bg-white/70 dark:bg-zinc-800/70"
+        />
+        <button
+          onClick={submit}
+          disabled={!painted || !instruction.trim() || status?.running}
+          className="px-4 py-2 rounded-lg bg-indigo-600 text-white disabled:opacity-40"
+        >
+          {status?.running ? "Retouching…" : "Retouch"}
+        </button>
+      </div>
+      {status?.error && <div className="mt-2 text-xs text-red-700">{status.error}</div>}
+    </details>
+  );
+}
@@ -0,0 +1,83 @@
+"use client";
+
+import React, { useState } from "react";
+
+const REGIONS = [
+  { id: "forehead", label: "Forehead" },
+  { id: "underEye", label: "Under-eye" },
+  { id: "cheek", label: "Cheek" },
+];
+
+const percent = (value, of) => `${(value / of) * 100}%`;
+
+// Skincare Focus Mode deliverables of a frame (lib/skincare.js): the macro
+// insets and panels with download links, and the inset boxes over the frame.
+// With `onSkinInset`, clicking the frame places the chosen region's inset for
+// the next render.
+export default function SkincareDeliverables({ deliverables, historyId, imageUrl, skinInsets = {}, onSkinInset, onClearSkinInsets }) {
+  const [region, setRegion] = useState("cheek");
+  const [size, setSize] = useState(null);
+  if (!deliverables?.length) return null;
+
+  const urlFor = (d) => (historyId ? `/api/history/${historyId}/image?deliverable=${d.name}` : d.imageUrl);
+  const insets = deliverables.filter((d) => d.kind === "inset");
+  const pick = (e) => {
+    if (!onSkinInset) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    onSkinInset(region, { x: Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)), y: Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height)) });
+  };
+
+  return (
+    <details className="mt-4 max-w-xl mx-auto text-left text-sm">
+      <summary className="cursor-pointer">Skincare deliverables</summary>
+      <div className="mt-2 grid grid-cols-3 gap-3">
+        {deliverables.map((d) => (
+          <a key={d.name} href={urlFor(d)} download={d.filename} title={d.filename} className="text-xs text-center">
+            <img src={urlFor(d)} alt={d.label || d.filename} className="w-full h-28 object-contain rounded border border-zinc-200 dark:border-zinc-800" />
+            {d.label || (d.name === "texture-panel" ? "Texture panel" : "Before / after")}
+            <div className="text-zinc-500">
+              {d.width}×{d.height}
+              {d.located && ` · ${d.located === "manual" ? "placed" : d.located}`}
+            </div>
+          </a>
+        ))}
+      </div>
+      <div className="relative mt-3 cursor-crosshair" onClick={pick}>
+        <img src={imageUrl} alt="inset regions" onLoad={(e) => setSize({ width: e.target.naturalWidth, height: e.target.naturalHeight })} className="w-full rounded-lg" />
+        {size &&
+          insets.map((d) => (
+            <div
+              key={d.name}
+              className="absolute border-2 border-white pointer-events-none"
+              style={{ left: percent(d.box.left, size.width), top: percent(d.box.top, size.height), width: percent(d.box.width, size.width), height: percent(d.box.height, size.height) }}
+            >
+              <span className="absolute top-0 left-0 px-1 text-[10px] bg-white text-zinc-900">{d.label}</span>
+            </div>
+          ))}
+        {Object.entries(skinInsets).map(([id, point]) => {
+          const [x, y] = point.split(",").map(Number);
+          return <div key={id} className="absolute w-3 h-3 -ml-1.5 -mt-1.5 rounded-full border-2 border-white bg-indigo-500 pointer-events-none" style={{ left: percent(x, 1), top: percent(y, 1) }} />;
+        })}
+      </div>
+      {onSkinInset && (
+        <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-zinc-500">
+          {REGIONS.map((r) => (
+            <button
+              key={r.id}
+              onClick={() => setRegion(r.id)}
+              className={`px-3 py-1 rounded-full border ${region === r.id ? "bg-indigo-600 text-white border-indigo-600" : "border-zinc-300 dark:border-zinc-700"}`}
+            >
+              {r.label}
+            </button>
+          ))}
+          <span>Click the image to place this inset for the next render.</span>
+          {Object.keys(skinInsets).length > 0 && (
+            <button onClick={onClearSkinInsets} className="underline">
+              back to auto
+            </button>
+          )}
+        </div>
+      )}
+    </details>
+  );
+}
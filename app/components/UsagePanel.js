@@ -0,0 +1,92 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import { authHeaders, getApiKey, setApiKey } from "./apiKey.js";
+
+const usd = (value) => `$${Number(value || 0).toFixed(2)}`;
+const ofLimit = (used, limit, format = String) => (limit ? `${format(used)} / ${format(limit)}` : format(used));
+
+// Spend for this browser's API key and the studio, from /api/usage. Reloads
+// whenever `refreshKey` changes (the page bumps it after each render).
+export default function UsagePanel({ refreshKey }) {
+  const [usage, setUsage] = useState(null);
+  const [error, setError] = useState(null);
+  const [key, setKey] = useState("");
+
+  const load = async () => {
+    try {
+      const res = await fetch("/api/usage", { headers: authHeaders() });
+      const out = await res.json();
+      if (!res.ok) throw new Error(out.error || "Could not load usage");
+      setUsage(out);
+      setError(null);
+    } catch (err) {
+      setUsage(null);
+      setError(err?.message || String(err));
+    }
+  };
+
+  useEffect(() => {
+    setKey(getApiKey());
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [refreshKey]);
+
+  const saveKey = () => {
+    setApiKey(key.trim());
+    load();
+  };
+
+  const { quotas, you, studio } = usage || {};
+  return (
+    <details className="mb-6 rounded-xl border border-zinc-200 dark:border-zinc-800 p-4 text-sm">
+      <summary className="cursor-pointer font-medium">
+        Usage
+        {usage && (
+          <span className="ml-2 font-normal text-zinc-500">
+            {usage.user} · today {ofLimit(you.today.images, quotas.dailyImages)} images · month {usd(you.month.costUsd)}
+          </span>
+        )}
+        {error && <span className="ml-2 font-normal text-red-700">{error}</span>}
+      </summary>
+      <div className="mt-3 flex flex-wrap items-center gap-2">
+        <input
+          type="password"
+          value={key}
+          onChange={(e) => setKey(e.target.value)}
+          placeholder="Studio API key"
+          className="px-3 py-2 rounded-lg border bg-white/70 dark:bg-zinc-800/70"
+        />
+        <button onClick={saveKey} className="px-4 py-2 rounded-lg border">
+          Save key
+        </button>
+      </div>
+      {usage && (
+        <table className="mt-3 text-left">
+          <tbody>
+            <tr>
+              <th className="pr-4 font-medium">You today</th>
+              <td>{ofLimit(you.today.images, quotas.dailyImages)} images · {usd(you.today.costUsd)} · {you.today.failures} failed calls</td>
+            </tr>
+            <tr>
+              <th className="pr-4 font-medium">You this month</th>
+              <td>{ofLimit(you.month.images, quotas.monthlyImages)} images · {usd(you.month.costUsd)}</td>
+            </tr>
+            <tr>
+              <th className="pr-4 font-medium">Studio this month</th>
+              <td>{studio.month.images} images · {ofLimit(studio.month.costUsd, quotas.spendCapUsd, usd)}</td>
+            </tr>
+            {Object.entries(studio.byUser).map(([user, t]) => (
+              <tr key={user} className="text-zinc-500">
+                <th className="pr-4 font-normal">{user}</th>
+                <td>{t.images} images · {usd(t.costUsd)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </details>
+  );
+}
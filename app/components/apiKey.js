@@ -0,0 +1,21 @@
+// The studio API key this browser sends (see STUDIO_API_KEYS in the README);
+// empty while the studio runs without keys
+const API_KEY_STORAGE = "model_gen.apiKey";
+
+export function getApiKey() {
+  try {
+    return window.localStorage.getItem(API_KEY_STORAGE) || "";
+  } catch {
+    return "";
+  }
+}
+
+export function setApiKey(key) {
+  if (key) window.localStorage.setItem(API_KEY_STORAGE, key);
+  else window.localStorage.removeItem(API_KEY_STORAGE);
+}
+
+export function authHeaders(headers = {}) {
+  const key = getApiKey();
+  return key ? { ...headers, "X-API-Key": key } : headers;
+}
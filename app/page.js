@@ -4,87 +4,71 @@
 // Categories follow a logical creative flow...
 import React, { useState, useEffect } from "react";
 import { Upload } from "lucide-react";
+import { OPTION_SCHEMA, sweepableFields } from "../lib/schema.js";
+import { formatFocalPoint, parseAspect } from "../lib/aspect.js";
+import LooksPanel from "./components/LooksPanel.js";
+import CastPanel from "./components/CastPanel.js";
+import HistoryGallery from "./components/HistoryGallery.js";
+import RenderProgress from "./components/RenderProgress.js";
+import UsagePanel from "./components/UsagePanel.js";
+import CropPreview from "./components/CropPreview.js";
+import ModelEditor from "./components/ModelEditor.js";
+import RetouchPanel from "./components/RetouchPanel.js";
+import QcReport from "./components/QcReport.js";
+import CaptionVariants from "./components/CaptionVariants.js";
+import SkincareDeliverables from "./components/SkincareDeliverables.js";
+import { authHeaders } from "./components/apiKey.js";
 
 
-const DATA = {
-  // --- EDITORIAL STYLE REFERENCES ---
-  editorialStyle: [
-    "Helmut Newton (bold black & white glamour)",
-    "Peter Lindbergh (natural daylight & emotion)",
-    "Corinne Day (grunge realism)",
-    "Steven Meisel (polished fantasy)",
-    "Ellen von Unwerth (playful feminine energy)",
-    "Juergen Teller (flash rawness)",
-    "David Sims (experimental minimalism)",
-    "Nick Knight (experimental color)",
-    "Terry Richardson (raw high-flash portraits)",
-    "Nan Goldin (intimate realism)",
-    "Herb Ritts (sculptural light)",
-    "Patrick Demarchelier (classic elegance)",
-    "Mario Sorrenti (dreamlike sensual minimalism)",
-    "Mario Testino (luxury candid)",
-    "Annie Leibovitz (cinematic storytelling)",
-    "Bruce Weber (youthful Americana energy)"
-  ],
-
-  // --- MODEL SETUP ---
-  models: ["Female", "Male"],
-  ethnicities: ["Caucasian","Black","East Asian","South Asian","Latina","Mixed","Middle Eastern","Indigenous"],
-  ageGroups: ["18-22","22-25","25-30","30-35","35-40","40-45","45-50","50-55","55-60","60-65","65-70","70-75"],
-
-  // --- APPEARANCE ---
-  makeupFace: ["Natural skin-like","Matte velvet","Dewy glow","Soft glam","Editorial highlight","Bronzed contour","Bare minimal","90s powder matte","Porcelain","Fresh gloss"],
-  makeupEyes: ["Bare","Clean mascara","Winged liner","Smoky","Glossy lid","Color accent","Thin 90s line","Metallic","Underliner","Soft fade","Dark rim"],
-  makeupLips: ["Nude gloss","Satin nude","Soft pink","Red matte","Berry tint","Bare balm","Chocolate brown","Glossy red","Ombre fade","Muted mauve"],
-
-  // --- HAIR ---
-  hair: {
-    colors: ["Black","Dark brown","Medium brown","Blonde","Platinum","Red/Auburn","Silver/Grey","Dyed green","Dyed blue","Dyed red","Dyed pink","Two-tone"],
-    streaks: ["None","Blonde streaks","Red streaks","Green streaks","Blue streaks","Pink streaks","Purple streaks","Copper streaks","Platinum streaks"],
-    streakDensity: ["Subtle","Medium","Heavy"],
-    streakPlacement: ["Front pieces","Underlayer","Face-framing","Crown","Tips/ends","Random micro-streaks"]
-  },
-  hairStyles: ["Straight","Loose waves","Defined curls","Slicked back","Low bun","High bun","Bob","Wet look","Pixie cut","Messy bob","Curtain bangs","Half-up","Tousled layers","Long blowout","Pinned sides"],
-  hairFinish: ["Wet & glossy","Dry and textured","Frizzed natural edge","Sleek ironed finish","Voluminous blowout","Sculptural gel shapes","Wispy flyaways (editorial realism)"],
-  hairMotion: ["Static","Light move","Wind-blown","Motion blur","High wind"],
-
-  // --- WARDROBE ---
-  wardrobeStyles: ["Minimalist 90s","Avant-garde couture","Sports luxe","Grunge editorial","Classic power suit","Lingerie layering","Streetwear fusion","Soft romantic","Sheer textures","Structured tailoring","Leather & denim","Maximalist prints"],
-  wardrobeTextures: ["Satin / silk sheen","Crinkled nylon","Leather & latex","Sheer mesh layers","Velvet richness","Denim & distressed cotton","Metallic lamé","Organza transparency","Lace overlay"],
-  wardrobeAccessories: ["Sunglasses (oval / cat-eye / wraparound)","Gloves (leather / satin / mesh)","Statement jewelry (choker / hoops / chain)","Headwear (beret / cap / bandana)","Belts (logo buckle / chain link)","Sheer scarf or veil"],
-
-  // --- ENVIRONMENT ---
-  backdropLocation: ["Studio seamless (white, gray, pink, black)","Textured concrete wall","Fabric backdrop (crinkled muslin, velvet, metallic foil)","Vintage apartment interior","Rooftop daylight","Alley or fire escape","Desert landscape","City street flash","Neon storefronts"],
-  backdropConcepts: ["Chromatic seamless (orange / teal / lilac)","Muslin crumple (texture depth)","Checker floor (Vogue Italia set style)","Velvet curtain drape","Tiled bathroom / kitchen realism","Plastic wrap / metallic foil","Collaged paper wall","High-gloss resin backdrop"],
-  props: ["Magazine stacks / cigarette / coffee cup","Old CRT TV or VHS props","Studio stool / ladder / mirror","Plastic chair / lucite cube","Handbag as prop","Telephone cord wrap","Compact mirror reflection","Bare bulb light fixture","Industrial fan wind effect"],
-
-  // --- LIGHTING & TONE ---
-  lightingMood: ["Flash on camera (90s paparazzi)","Single strobe with spill","Soft daylight with haze","Mixed fluorescent and daylight","Tungsten warm tone","Color gel split (cyan/magenta)","Hard overhead spot (Vogue Italia style)","Silhouette rim light","Harsh spotlight contrast","Fluorescent wash","Cross-light twin source"],
-  toneStyle: ["Hyper-saturated magazine color","Film grain nostalgia","Dreamlike blur / lens flare","Backstage energy","Cinematic still frame","Afterparty glow","Industrial romance","Luxury isolation"],
-
-  // --- CAMERA ---
-  cameras: ["Canon EOS R5","Nikon Z7 II","Sony A7R IV","Fujifilm GFX 100","Hasselblad X2D","Pentax 645Z (emul)","Contax 645 (90s)"],
-  lenses: ["35mm f/1.4","50mm f/1.2","85mm f/1.2","100mm macro","70-200mm f/2.8","135mm f/2","24-70mm f/2.8"],
-  fStops: ["f/1.2","f/1.4","f/2","f/2.8","f/4","f/5.6","f/8","f/11"],
-  framings: ["Extreme close-up","Close-up","Medium","Wide","Super wide","Editorial crop","Half-body"],
-  angles: ["Eye-level","¾","Low","Top-down","Side profile","Dutch tilt","Over-shoulder"],
-
-  // --- LENS & POST ---
-  lensFilters: ["Diffusion filter (soft glow)","Star filter (specular sparkle)","Vaseline edge blur (DIY style)","Tilt-shift fashion focus","Chromatic aberration edges"],
-  cameraTreatment: ["Film grain intensity (none / subtle / heavy)","Motion blur level","Lens flare / specular highlight","Overexposed fashion flash","Cross-processed tones","Sepia or faded print tone"],
-  filmDevelopment: ["Push-processed contrast","Pull-processed flat tone","Cross-processed cyan tint","Expired film effect","Print-scan blur","Light leak edge flare","Dust & scratch texture"],
-
-  // --- EXPRESSION & EMOTION ---
-  expressions: ["Neutral","Soft smile","Eyes-only smile","Warm friendly","Serious / editorial","Confident gaze","Calm focus","Playful","Intense gaze","Gentle laugh","Sultry","Pensive","Eyes closed","Laugh mid-shot","Side glance","Bold stare","Smirk","Dramatic"],
-  modelEmotion: ["Detached and cool","Rebellious street energy","Subtle confidence","Melancholic / introspective","Avant-garde expression","Joyful chaos"],
-  poses: ["Candid motion shot","Model leaning forward","Head tilt with tensioned neck","Seated introspection","Arm-in-frame gesture","Over-the-shoulder look","Reclined attitude","Jump shot motion","Mirror interaction"],
-
-  // --- COLOR & TYPOGRAPHY ---
-  colorPalettes: ["Cool chrome & mauve","Warm beige & terracotta","Desaturated neutrals","Jewel tones (emerald, sapphire, ruby)","Washed pastel 90s tones","Filmic cyan-magenta contrast"],
-
-  // --- MOOD & CONCEPTS ---
-  moodboardKeywords: ["Backstage Chaos","Hotel Room Intimacy","Street Flash Realism","Luxury Isolation","Industrial Romance","Afterparty Glow","Cinematic Still","Faux Candid","Untouched Beauty"]
-};
+// Option lists come from the shared schema so the page and API agree on keys and values
+const CHOICE_TYPES = new Set(["single", "multi", "number"]);
+
+// Export bundle choices; the server re-encodes each frame into every format × size
+const EXPORT_FORMATS = [
+  { value: "jpeg", label: "JPEG" },
+  { value: "png", label: "PNG" },
+  { value: "webp", label: "WebP" },
+  { value: "avif", label: "AVIF" },
+  { value: "tiff", label: "TIFF 16-bit" },
+];
+const EXPORT_SIZES = ["full", 4096, 2048, 1080];
+
+// Read a server-sent event stream from the generate API. Stage events go to
+// onEvent; resolves like a JSON call, from the terminal "done" or "error" event.
+async function readEventStream(res, onEvent) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = "";
+  let last = null;
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffered += decoder.decode(value, { stream: true });
+    let end;
+    while ((end = buffered.indexOf("\n\n")) >= 0) {
+      const data = buffered
+        .slice(0, end)
+        .split("\n")
+        .filter((line) => line.startsWith("data: "))
+        .map((line) => line.slice(6))
+        .join("\n");
+      buffered = buffered.slice(end + 2);
+      if (!data) continue;
+      const { result, ...event } = JSON.parse(data);
+      onEvent(event);
+      if (event.stage === "done") last = { res: { ok: true, status: 200 }, out: result };
+      if (event.stage === "error") {
+        const { stage: _stage, label: _label, at: _at, ms: _ms, status, ...body } = event;
+        last = { res: { ok: false, status }, out: body };
+      }
+    }
+  }
+  if (!last) throw new Error("The render stream ended early.");
+  return last;
+}
+
+// The render in flight, so a refresh can pick it up again from /api/jobs
+const PENDING_JOB_KEY = "model_gen.pendingJob";
 
 export default function UltimateFashionGeneratorExpanded() {
   const [selected, setSelected] = useState({});
@@ -96,13 +80,49 @@ export default function UltimateFashionGeneratorExpanded() {
   const [generatedError, setGeneratedError] = useState(null);
   const [loading, setLoading] = useState(false);
   const [bgColor, setBgColor] = useState("#ffffff");
-  const [mode, setMode] = useState("single"); // "single" | "wizard"
+  const [mode, setMode] = useState("single"); // "single" | "wizard" | "sweep" | "gallery"
   const [step, setStep] = useState(0);
   const [shootSheet, setShootSheet] = useState(null);
   const [shootSettings, setShootSettings] = useState(null);
   const [caption, setCaption] = useState("");
+  const [captions, setCaptions] = useState(null);
   const [filename, setFilename] = useState("");
   const [exifBlock, setExifBlock] = useState(null);
+  const [recipe, setRecipe] = useState(null);
+  const [usedReferences, setUsedReferences] = useState([]);
+  const [grainInfo, setGrainInfo] = useState(null);
+  const [promptReport, setPromptReport] = useState(null);
+  const [instructionInfo, setInstructionInfo] = useState(null);
+  const [schema, setSchema] = useState(OPTION_SCHEMA);
+  const [variations, setVariations] = useState(1);
+  const [contactSheetStyle, setContactSheetStyle] = useState("plain");
+  const [frames, setFrames] = useState([]);
+  const [activeFrame, setActiveFrame] = useState(1);
+  const [favorites, setFavorites] = useState([]);
+  const [contactSheet, setContactSheet] = useState(null);
+  const [sweepAxes, setSweepAxes] = useState([{ key: "lightingPreset", values: [] }, { key: "", values: [] }]);
+  const [sweepResult, setSweepResult] = useState(null);
+  const [progressEvents, setProgressEvents] = useState([]);
+  const [jobId, setJobId] = useState(null);
+  const [usageTick, setUsageTick] = useState(0);
+  const [exportOptions, setExportOptions] = useState({ formats: ["jpeg"], sizes: ["full"] });
+  const [bundle, setBundle] = useState(null);
+  const [historyId, setHistoryId] = useState(null);
+  const [crop, setCrop] = useState(null);
+  const [customAspect, setCustomAspect] = useState("");
+  const [autoCorrect, setAutoCorrect] = useState(false);
+  const [qc, setQc] = useState(null);
+  const [deliverables, setDeliverables] = useState(null);
+  const [skinInsets, setSkinInsets] = useState({});
+  const [casting, setCasting] = useState({ cast: [], campaign: "" });
+
+  // Server copy adds studio film stocks; the bundled schema covers first paint
+  useEffect(() => {
+    fetch("/api/options")
+      .then((res) => (res.ok ? res.json() : null))
+      .then((out) => out && setSchema(out))
+      .catch(() => {});
+  }, []);
 
   useEffect(() => {
     return () => {
@@ -130,6 +150,13 @@ export default function UltimateFashionGeneratorExpanded() {
   };
 
   const handleSelect = (category, value) => setSelected((p) => ({ ...p, [category]: value }));
+  const handleToggle = (category, value) =>
+    setSelected((p) => {
+      const current = Array.isArray(p[category]) ? p[category] : [];
+      const next = current.includes(value) ? current.filter((v) => v !== value) : [...current, value];
+      const { [category]: _removed, ...rest } = p;
+      return next.length ? { ...rest, [category]: next } : rest;
+    });
   const onUpload = (file, setFile, setPrev, currentPreview) => {
     if (currentPreview) URL.revokeObjectURL(currentPreview);
     if (!file) {
@@ -143,39 +170,81 @@ export default function UltimateFashionGeneratorExpanded() {
   };
 
   const serializePayload = (extra = {}) => {
-    // Map some friendly UI fields into API-expected keys
-    const payload = { ...selected, bgColor };
-    if (selected.backdropLocation) payload.backdrop = selected.backdropLocation;
-    if (selected.pose) payload.pose = selected.pose;
-    if (selected.lightingPreset) payload.lightingPreset = selected.lightingPreset;
-    if (selected.filmStock) payload.filmStock = selected.filmStock;
-    if (typeof selected.skincareMode !== "undefined") payload.skincareMode = selected.skincareMode;
-    // Consolidate hair nested structure if present
+    // Selection keys match the schema; "hair.*" keys become the nested hair object
+    const payload = { bgColor };
     const hair = {};
-    if (selected["hair.colors"]) hair.colors = selected["hair.colors"];
-    if (selected["hair.streaks"]) hair.streaks = selected["hair.streaks"];
+    for (const [key, value] of Object.entries(selected)) {
+      if (key.startsWith("hair.")) hair[key.slice(5)] = value;
+      else payload[key] = value;
+    }
     if (Object.keys(hair).length) payload.hair = hair;
     return { ...payload, ...extra };
   };
 
-  const callApi = async (payloadObj) => {
+  const fileToDataUrl = (file) =>
+    new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
+    });
+
+  // Everything a saved look captures: the full selection plus reference uploads
+  const captureLook = async () => {
+    const references = {};
+    for (const [role, file] of [["pose", poseRef], ["wardrobe", wardrobeRef]]) {
+      if (file) references[role] = { name: file.name, type: file.type, dataUrl: await fileToDataUrl(file) };
+    }
+    return { selection: serializePayload(), references };
+  };
+
+  const applyLook = async (look) => {
+    const { bgColor: lookBg, hair, ...rest } = look.selection || {};
+    const next = { ...rest };
+    for (const [key, value] of Object.entries(hair || {})) next[`hair.${key}`] = value;
+    setSelected(next);
+    setBgColor(lookBg || "#ffffff");
+    const uploads = { pose: [setPoseRef, setPosePreview, posePreview], wardrobe: [setWardrobeRef, setWardrobePreview, wardrobePreview] };
+    for (const [role, [setFile, setPrev, current]] of Object.entries(uploads)) {
+      const ref = look.references?.[role];
+      const file = ref?.dataUrl
+        ? new File([await (await fetch(ref.dataUrl)).blob()], ref.name || `${role}-reference`, { type: ref.type })
+        : null;
+      onUpload(file, setFile, setPrev, current);
+    }
+  };
+
+  const describeApiError = (out, fallback) => {
+    const parts = [out.error || fallback];
+    if (out.unknownKeys?.length) parts.push(`unknown keys: ${out.unknownKeys.join(", ")}`);
+    if (out.invalidValues?.length) parts.push(`invalid values: ${out.invalidValues.map((v) => `${v.key}=${JSON.stringify(v.value)}`).join(", ")}`);
+    return parts.join(" — ");
+  };
+
+  // With onEvent the request is streamed and each stage event is passed along
+  const callApi = async (payloadObj, endpoint = "/api/generate-image", onEvent) => {
     const formData = new FormData();
     formData.append("payload", JSON.stringify(payloadObj));
     if (poseRef) formData.append("poseRef", poseRef);
     if (wardrobeRef) formData.append("wardrobeRef", wardrobeRef);
-    const res = await fetch("/api/generate-image", { method: "POST", body: formData });
+    const headers = authHeaders(onEvent ? { Accept: "text/event-stream" } : {});
+    const res = await fetch(endpoint, { method: "POST", body: formData, headers });
+    if (onEvent && (res.headers.get("content-type") || "").includes("text/event-stream")) return readEventStream(res, onEvent);
     const out = await res.json();
     return { res, out };
   };
 
+  // A campaign brings its own cast; otherwise the picked cast members, in order
+  const castingRequest = casting.campaign ? { campaign: casting.campaign } : casting.cast.length ? { cast: casting.cast } : {};
+
   const handlePlan = async () => {
     setLoading(true);
     setGeneratedError(null);
     setShootSheet(null);
     try {
-      const { res, out } = await callApi(serializePayload({ action: "plan" }));
+      const { res, out } = await callApi(serializePayload({ action: "plan", ...castingRequest }));
       if (!res.ok) {
-        setGeneratedError(out.error || "Planning failed");
+        setGeneratedError(describeApiError(out, "Planning failed"));
         return;
       }
       setShootSheet(out.shootSheet);
@@ -187,117 +256,344 @@ export default function UltimateFashionGeneratorExpanded() {
     }
   };
 
+  // Show one frame of the result (a batch frame, or the single render) in the main panel
+  const showFrame = (frame) => {
+    setGeneratedImage(frame.imageUrl);
+    setFilename(frame.filename || "");
+    setCaption(frame.caption || "");
+    setCaptions(frame.captions || null);
+    setExifBlock(frame.exifBlock || null);
+    setGrainInfo(frame.grain || null);
+    setRecipe(frame.recipe || null);
+    setHistoryId(frame.historyId || null);
+    setCrop(frame.crop || null);
+    setQc(frame.qc || null);
+    setDeliverables(frame.deliverables || null);
+    setActiveFrame(frame.index || 1);
+  };
+
+  // A retouched version replaces the frame it was made from, in the panel and the batch strip
+  const showRetouch = (frame) => {
+    const shown = { ...frame, index: activeFrame };
+    setFrames((p) => p.map((f) => (f.index === activeFrame ? shown : f)));
+    showFrame(shown);
+    setUsageTick((t) => t + 1);
+  };
+
+  const toggleFavorite = (name) =>
+    setFavorites((p) => (p.includes(name) ? p.filter((f) => f !== name) : [...p, name]));
+
+  // Apply a finished generate response (streamed, polled or plain JSON)
+  const showResult = (res, out) => {
+    if (!res.ok) {
+      console.error("Generate API error:", out);
+      setGeneratedError(describeApiError(out, "Generation failed"));
+      setGeneratedImage(null);
+      return;
+    }
+
+    // Support either a remote URL or a data URL (base64)
+    const img = out.imageUrl || out.imageBase64 || out.image;
+    if (!img) {
+      setGeneratedError("No image returned from generation API");
+      setGeneratedImage(null);
+    } else {
+      showFrame({ ...out, imageUrl: img, index: 1 });
+      setFrames(out.frames || []);
+      setContactSheet(out.contactSheet || null);
+      setBundle(out.bundle || null);
+      setFavorites([]);
+      setUsedReferences(out.references || []);
+      setPromptReport(out.promptReport || null);
+      setInstructionInfo(out.instructions || null);
+      setGeneratedError(null);
+    }
+  };
+
+  const rememberJob = (id) => {
+    setJobId(id);
+    window.localStorage.setItem(PENDING_JOB_KEY, id);
+  };
+
+  const forgetJob = () => {
+    setJobId(null);
+    window.localStorage.removeItem(PENDING_JOB_KEY);
+  };
+
+  // Poll a job until it finishes; answers like callApi
+  const followJob = async (id) => {
+    for (;;) {
+      const res = await fetch(`/api/jobs/${id}`, { headers: authHeaders() });
+      const job = await res.json();
+      if (!res.ok) return { res, out: job };
+      setProgressEvents(job.progress);
+      if (job.status === "succeeded") return { res, out: job.result };
+      if (job.status !== "queued" && job.status !== "running") return { res: { ok: false, status: job.error.status }, out: job.error };
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+    }
+  };
+
+  const cancelRender = async () => {
+    if (jobId) await fetch(`/api/jobs/${jobId}`, { method: "DELETE", headers: authHeaders() });
+  };
+
+  // Inset positions placed on the last frame apply while Skincare Focus Mode is on
+  const skincareRequest = selected.skincareMode === true && Object.keys(skinInsets).length ? { skinInsets } : {};
+  const setSkinInset = (region, point) => setSkinInsets((p) => ({ ...p, [region]: formatFocalPoint(point) }));
+
+  // Streams the render; if the stream drops after the job was queued, polls the job instead
   const handleGenerate = async (confirmed = true) => {
     setLoading(true);
     setGeneratedError(null);
+    setProgressEvents([]);
+    let pending = null;
     try {
-      const { res, out } = await callApi(serializePayload({ action: "generate", confirm: confirmed }));
-
-      if (!res.ok) {
-        console.error("Generate API error:", out);
-        setGeneratedError(out.error || "Generation failed");
-        setGeneratedImage(null);
-        return;
-      }
-
-      // Support either a remote URL or a data URL (base64)
-      const img = out.imageUrl || out.imageBase64 || out.image;
-      if (!img) {
-        setGeneratedError("No image returned from generation API");
-        setGeneratedImage(null);
-      } else {
-        setGeneratedImage(img);
-        setFilename(out.filename || "");
-        setCaption(out.caption || "");
-        setExifBlock(out.exifBlock || null);
-        setGeneratedError(null);
-      }
+      const batch = variations > 1 ? { variations, contactSheetStyle } : {};
+      const { res, out } = await callApi(serializePayload({ action: "generate", confirm: confirmed, ...batch, export: exportOptions, ...(autoCorrect && { autoCorrect }), ...skincareRequest, ...castingRequest }), undefined, (event) => {
+        if (event.stage === "queued") {
+          pending = event.jobId;
+          rememberJob(event.jobId);
+        }
+        setProgressEvents((p) => [...p, event]);
+      }).catch((err) => {
+        if (!pending) throw err;
+        return followJob(pending);
+      });
+      showResult(res, out);
     } catch (err) {
       console.error(err);
       setGeneratedError(err?.message || String(err));
     } finally {
+      forgetJob();
       setLoading(false);
+      setUsageTick((t) => t + 1);
     }
   };
 
-  // --- Progress Bar Element (smooth animated version) ---
-  const ProgressBar = ({ loading }) => {
-    const [progress, setProgress] = useState(0);
-
-    useEffect(() => {
-      let interval;
-      if (loading) {
-        setProgress(0);
-        interval = setInterval(() => {
-          setProgress((prev) => {
-            // Gradually increase progress to simulate work
-            if (prev < 90) return prev + Math.random() * 10; // stop near 90% until done
-            return prev;
-          });
-        }, 300);
-      } else {
-        // Complete and fade out
-        setProgress(100);
-        const timeout = setTimeout(() => setProgress(0), 700);
-        return () => clearTimeout(timeout);
-      }
-      return () => clearInterval(interval);
-    }, [loading]);
-
-    return (
-      <div
-        className={`fixed top-0 left-0 h-[3px] bg-indigo-600 transition-all duration-300 ease-out ${
-          progress > 0 ? "opacity-100" : "opacity-0"
-        }`}
-        style={{ width: `${progress}%`, zIndex: 50 }}
-      ></div>
-    );
+  // A render that was still running when the page was last closed
+  useEffect(() => {
+    const id = window.localStorage.getItem(PENDING_JOB_KEY);
+    if (!id) return;
+    setLoading(true);
+    setJobId(id);
+    followJob(id)
+      .then(({ res, out }) => showResult(res, out))
+      .catch((err) => setGeneratedError(err?.message || String(err)))
+      .finally(() => {
+        forgetJob();
+        setLoading(false);
+      });
+  }, []);
+
+  // Sweep axes: an empty value list means "every value of that field"
+  const sweepValuesFor = (axis) => {
+    const field = schema.fields.find((f) => f.key === axis.key);
+    if (!field) return [];
+    return field.type === "boolean" ? [false, true] : field.values;
   };
+  const activeSweepAxes = sweepAxes.filter((a) => a.key);
+  const sweepCellCount = activeSweepAxes.reduce((n, a) => n * (a.values.length || sweepValuesFor(a).length), 1);
+  const updateSweepAxis = (i, patch) => setSweepAxes((p) => p.map((a, j) => (j === i ? { ...a, ...patch } : a)));
+  const toggleSweepValue = (i, value) =>
+    setSweepAxes((p) =>
+      p.map((a, j) => (j === i ? { ...a, values: a.values.includes(value) ? a.values.filter((v) => v !== value) : [...a.values, value] } : a))
+    );
 
+  const handleSweep = async () => {
+    setLoading(true);
+    setGeneratedError(null);
+    try {
+      const sweep = { axes: activeSweepAxes.map((a) => (a.values.length ? a : { key: a.key })) };
+      const { res, out } = await callApi(serializePayload({ sweep, export: exportOptions, ...(autoCorrect && { autoCorrect }), ...skincareRequest, ...castingRequest }), "/api/sweep");
+      if (!res.ok) {
+        setGeneratedError(describeApiError(out, "Sweep failed"));
+        return;
+      }
+      setSweepResult(out);
+    } catch (err) {
+      setGeneratedError(err?.message || String(err));
+    } finally {
+      setLoading(false);
+      setUsageTick((t) => t + 1);
+    }
+  };
 
-  const renderCategory = (label, values, key) => (
+  const renderCategory = (label, values, key, multi = false) => (
     <div key={key} className="mb-6">
       <h2 className="text-lg font-medium mb-2 capitalize">{label}</h2>
       <div className="flex flex-wrap gap-2">
-        {values.map((v) => (
+        {values.map((v) => {
+          const active = multi ? (selected[key] || []).includes(v) : selected[key] === v;
+          return (
+            <button
+              key={v}
+              onClick={() => (multi ? handleToggle(key, v) : handleSelect(key, v))}
+              className={`px-4 py-2 rounded-full border text-sm transition ${active ? "bg-indigo-600 text-white border-indigo-600 shadow" : "bg-white/70 dark:bg-zinc-800/70 text-zinc-800 dark:text-zinc-100 border-zinc-300 dark:border-zinc-700 hover:bg-zinc-50 dark:hover:bg-zinc-800"}`}
+            >
+              {v}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+
+  const renderBatchControls = () => (
+    <div className="mb-6">
+      <h2 className="text-lg font-medium mb-2">Variations</h2>
+      <div className="flex flex-wrap items-center gap-2">
+        {[1, 2, 3, 4, 6, 8].map((n) => (
           <button
-            key={v}
-            onClick={() => handleSelect(key, v)}
-            className={`px-4 py-2 rounded-full border text-sm transition ${selected[key] === v ? "bg-indigo-600 text-white border-indigo-600 shadow" : "bg-white/70 dark:bg-zinc-800/70 text-zinc-800 dark:text-zinc-100 border-zinc-300 dark:border-zinc-700 hover:bg-zinc-50 dark:hover:bg-zinc-800"}`}
+            key={n}
+            onClick={() => setVariations(n)}
+            className={`px-4 py-2 rounded-full border text-sm transition ${
+              variations === n
+                ? "bg-indigo-600 text-white border-indigo-600 shadow"
+                : "bg-white/70 dark:bg-zinc-800/70 text-zinc-800 dark:text-zinc-100 border-zinc-300 dark:border-zinc-700 hover:bg-zinc-50 dark:hover:bg-zinc-800"
+            }`}
           >
-            {v}
+            {n}
           </button>
         ))}
+        {variations > 1 && (
+          <label className="ml-2 flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={contactSheetStyle === "film"} onChange={(e) => setContactSheetStyle(e.target.checked ? "film" : "plain")} />
+            Film-edge contact sheet
+          </label>
+        )}
       </div>
     </div>
   );
 
-  // Wizard configuration
-  const LIGHTING_PRESETS = [
-    "Soft Pearl Light",
-    "Window Glow",
-    "Studio Edge Light",
-    "Golden Hour Fade",
-    "High-Key Clarity",
-    "Cinematic Contrast",
-  ];
+  // Toggle one format or size; at least one of each stays selected
+  const toggleExport = (key, value) =>
+    setExportOptions((p) => {
+      const next = p[key].includes(value) ? p[key].filter((v) => v !== value) : [...p[key], value];
+      return next.length ? { ...p, [key]: next } : p;
+    });
 
-  const FILM_STOCKS = [
-    "Kodak Portra 400",
-    "Fujifilm Pro 400H",
-    "Kodak Ektar 100",
-    "Ilford Delta 100",
-    "CineStill 800T",
-  ];
+  const renderExportControls = () => (
+    <div className="mb-6">
+      <h2 className="text-lg font-medium mb-2">Export bundle</h2>
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        {EXPORT_FORMATS.map((f) => (
+          <label key={f.value} className="flex items-center gap-1">
+            <input type="checkbox" checked={exportOptions.formats.includes(f.value)} onChange={() => toggleExport("formats", f.value)} />
+            {f.label}
+          </label>
+        ))}
+      </div>
+      <div className="mt-2 flex flex-wrap items-center gap-2">
+        {EXPORT_SIZES.map((size) => (
+          <button
+            key={size}
+            onClick={() => toggleExport("sizes", size)}
+            className={`px-4 py-2 rounded-full border text-sm transition ${
+              exportOptions.sizes.includes(size)
+                ? "bg-indigo-600 text-white border-indigo-600 shadow"
+                : "bg-white/70 dark:bg-zinc-800/70 text-zinc-800 dark:text-zinc-100 border-zinc-300 dark:border-zinc-700 hover:bg-zinc-50 dark:hover:bg-zinc-800"
+            }`}
+          >
+            {size === "full" ? "Full size" : `${size}px`}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+
+  const renderQcControls = () => (
+    <div className="mb-6">
+      <h2 className="text-lg font-medium mb-2">Quality control</h2>
+      <label className="flex items-center gap-2 text-sm">
+        <input type="checkbox" checked={autoCorrect} onChange={(e) => setAutoCorrect(e.target.checked)} />
+        Auto-correct banding and clipped highlights
+      </label>
+    </div>
+  );
+
+  // Presets, or a custom W:H ratio / exact WxH pixel size checked with the server's parser
+  const customAspectError = customAspect && !parseAspect(customAspect) ? "Use W:H between 1:4 and 4:1, or WxH pixels (64–8192)" : null;
+  const renderAspectChoices = () => (
+    <>
+      <div className="flex flex-wrap gap-2">
+        {(fieldFor("aspectRatio")?.values || []).map((ratio) => (
+          <button
+            key={ratio}
+            onClick={() => setSelected((p) => ({ ...p, aspectRatio: ratio }))}
+            className={`px-4 py-2 rounded-full border text-sm transition ${
+              selected.aspectRatio === ratio
+                ? "bg-indigo-600 text-white border-indigo-600 shadow"
+                : "bg-white/70 dark:bg-zinc-800/70 text-zinc-800 dark:text-zinc-100 border-zinc-300 dark:border-zinc-700 hover:bg-zinc-50 dark:hover:bg-zinc-800"
+            }`}
+          >
+            {ratio}
+          </button>
+        ))}
+      </div>
+      <div className="mt-2 flex flex-wrap items-center gap-2 text-sm">
+        <input
+          value={customAspect}
+          onChange={(e) => setCustomAspect(e.target.value)}
+          placeholder="Custom: 2.39:1 or 1080x1350"
+          className="px-3 py-2 rounded-lg border bg-white/70 dark:bg-zinc-800/70"
+        />
+        <button
+          onClick={() => setSelected((p) => ({ ...p, aspectRatio: customAspect.trim() }))}
+          disabled={!customAspect.trim() || !!customAspectError}
+          className="px-4 py-2 rounded-lg border disabled:opacity-40"
+        >
+          Use
+        </button>
+        {customAspectError && <span className="text-xs text-red-700">{customAspectError}</span>}
+        {selected.aspectRatio && !(fieldFor("aspectRatio")?.values || []).includes(selected.aspectRatio) && (
+          <span className="text-xs text-zinc-500">Using {selected.aspectRatio}</span>
+        )}
+      </div>
+    </>
+  );
 
+  const setFocalPoint = (point) => setSelected((p) => ({ ...p, cropFocus: "Focal point", focalPoint: formatFocalPoint(point) }));
+  const clearFocalPoint = () =>
+    setSelected(({ focalPoint: _focalPoint, cropFocus, ...rest }) => (cropFocus === "Focal point" ? rest : { ...rest, cropFocus }));
+
+  const fieldFor = (key) => schema.fields.find((f) => f.key === key);
+  const renderField = (key, label) => {
+    const field = fieldFor(key);
+    if (!field) return null;
+    return renderCategory(label || field.label, field.values || [], key, field.type === "multi");
+  };
+
+  const renderModelEditor = () => (
+    <ModelEditor
+      countField={fieldFor("modelCount")}
+      detailsField={fieldFor("modelDetails")}
+      count={selected.modelCount}
+      details={selected.modelDetails}
+      onChange={(next) => setSelected((p) => ({ ...p, ...next }))}
+    />
+  );
+
+  // Wizard configuration
   const wizardSteps = [
+    {
+      title: "Editorial Direction & Mood",
+      content: (
+        <>
+          {renderField("editorialStyle")}
+          {renderField("moodboardKeywords")}
+        </>
+      ),
+    },
     {
       title: "Models & Demographics",
       content: (
         <>
-          {renderCategory("models", DATA.models, "models")}
-          {renderCategory("ethnicities", DATA.ethnicities, "ethnicities")}
-          {renderCategory("ageGroups", DATA.ageGroups, "ageGroups")}
+          {renderField("models")}
+          {renderField("ethnicities")}
+          {renderField("ageGroups")}
+          {renderField("expressions")}
+          {renderField("modelEmotion")}
+          {renderModelEditor()}
         </>
       ),
     },
@@ -305,9 +601,9 @@ export default function UltimateFashionGeneratorExpanded() {
       title: "Makeup",
       content: (
         <>
-          {renderCategory("Face", DATA.makeupFace, "makeupFace")}
-          {renderCategory("Eyes", DATA.makeupEyes, "makeupEyes")}
-          {renderCategory("Lips", DATA.makeupLips, "makeupLips")}
+          {renderField("makeupFace")}
+          {renderField("makeupEyes")}
+          {renderField("makeupLips")}
         </>
       ),
     },
@@ -315,11 +611,23 @@ export default function UltimateFashionGeneratorExpanded() {
       title: "Hair & Movement",
       content: (
         <>
-          {renderCategory("Hair Color", DATA.hair.colors, "hair.colors")}
-          {renderCategory("Hair Streaks", DATA.hair.streaks, "hair.streaks")}
-          {renderCategory("Hair Style", DATA.hairStyles, "hairStyles")}
-          {renderCategory("Hair Finish", DATA.hairFinish, "hairFinish")}
-          {renderCategory("Hair Motion", DATA.hairMotion, "hairMotion")}
+          {renderField("hair.colors")}
+          {renderField("hair.streaks")}
+          {renderField("hair.streakDensity")}
+          {renderField("hair.streakPlacement")}
+          {renderField("hairStyles")}
+          {renderField("hairFinish")}
+          {renderField("hairMotion")}
+        </>
+      ),
+    },
+    {
+      title: "Wardrobe",
+      content: (
+        <>
+          {renderField("wardrobeStyles")}
+          {renderField("wardrobeTextures")}
+          {renderField("wardrobeAccessories")}
         </>
       ),
     },
@@ -327,9 +635,11 @@ export default function UltimateFashionGeneratorExpanded() {
       title: "Camera & Lens",
       content: (
         <>
-          {renderCategory("Camera", DATA.cameras, "cameras")}
-          {renderCategory("Lens", DATA.lenses, "lenses")}
-          {renderCategory("Aperture", DATA.fStops, "fStops")}
+          {renderField("cameras")}
+          {renderField("lenses")}
+          {renderField("fStops")}
+          {renderField("lensFilters")}
+          {renderField("iso")}
         </>
       ),
     },
@@ -337,9 +647,9 @@ export default function UltimateFashionGeneratorExpanded() {
       title: "Backdrop, Framing & Angle",
       content: (
         <>
-          {renderCategory("Backdrop", DATA.backdropLocation, "backdropLocation")}
-          {renderCategory("Framing", DATA.framings, "framing")}
-          {renderCategory("Angle", DATA.angles, "angle")}
+          {renderField("backdrop")}
+          {renderField("framing")}
+          {renderField("angle")}
           <div className="mb-6">
             <h2 className="text-lg font-medium mb-2">Background Color</h2>
             <div className="flex items-center gap-4">
@@ -354,8 +664,10 @@ export default function UltimateFashionGeneratorExpanded() {
       title: "Lighting Preset & Pose Composition",
       content: (
         <>
-          {renderCategory("Lighting Preset", LIGHTING_PRESETS, "lightingPreset")}
-          {renderCategory("Pose", DATA.poses, "pose")}
+          {renderField("lightingPreset")}
+          {renderField("lightingMood")}
+          {renderField("toneStyle")}
+          {renderField("pose")}
         </>
       ),
     },
@@ -363,8 +675,8 @@ export default function UltimateFashionGeneratorExpanded() {
       title: "Environment & Props (Optional)",
       content: (
         <>
-          {renderCategory("Backdrop Concept", DATA.backdropConcepts, "backdropConcepts")}
-          {renderCategory("Props", DATA.props, "props")}
+          {renderField("backdropConcepts")}
+          {renderField("props")}
         </>
       ),
     },
@@ -386,7 +698,10 @@ export default function UltimateFashionGeneratorExpanded() {
               ))}
             </div>
           </div>
-          {renderCategory("Film Stock", FILM_STOCKS, "filmStock")}
+          {renderField("filmStock")}
+          {renderField("filmDevelopment")}
+          {renderField("cameraTreatment")}
+          {renderField("colorPalettes")}
         </>
       ),
     },
@@ -395,22 +710,9 @@ export default function UltimateFashionGeneratorExpanded() {
       content: (
         <>
           <div className="mb-6">
-            <div className="flex flex-wrap gap-2">
-              {["1:1 (Square)", "4:5", "3:4 (Portrait)", "9:16 (Vertical)", "16:9 (Landscape)"].map((ratio) => (
-                <button
-                  key={ratio}
-                  onClick={() => setSelected((p) => ({ ...p, aspectRatio: ratio }))}
-                  className={`px-4 py-2 rounded-full border text-sm transition ${
-                    selected.aspectRatio === ratio
-                      ? "bg-indigo-600 text-white border-indigo-600 shadow"
-                      : "bg-white/70 dark:bg-zinc-800/70 text-zinc-800 dark:text-zinc-100 border-zinc-300 dark:border-zinc-700 hover:bg-zinc-50 dark:hover:bg-zinc-800"
-                  }`}
-                >
-                  {ratio}
-                </button>
-              ))}
-            </div>
+            {renderAspectChoices()}
           </div>
+          {renderField("cropFocus")}
         </>
       ),
     },
@@ -441,6 +743,11 @@ export default function UltimateFashionGeneratorExpanded() {
       title: "Review & Confirm",
       content: (
         <>
+          {renderField("captionLength")}
+          {renderField("captionVoice")}
+          {renderBatchControls()}
+          {renderExportControls()}
+          {renderQcControls()}
           <button onClick={handlePlan} disabled={loading} className={`px-5 py-3 rounded-xl font-semibold ${loading ? "bg-indigo-400 cursor-not-allowed" : "bg-indigo-600 hover:bg-indigo-700 text-white"}`}>
             {loading ? "Planning..." : "Generate Shoot Sheet"}
           </button>
@@ -456,38 +763,44 @@ export default function UltimateFashionGeneratorExpanded() {
 
   return (
     <div className="min-h-screen bg-gradient-to-b from-zinc-50 to-white dark:from-zinc-950 dark:to-zinc-900 text-zinc-900 dark:text-zinc-50 p-6">
-      <ProgressBar loading={loading} />
       <div className="flex items-center justify-between mb-4">
         <h1 className="text-2xl font-semibold">Model Gen</h1>
         <div className="flex items-center gap-2">
           <span className="text-sm">Mode:</span>
-          {["single", "wizard"].map((m) => (
+          {["single", "wizard", "sweep", "gallery"].map((m) => (
             <button
               key={m}
               onClick={() => setMode(m)}
               className={`px-3 py-1 rounded-full text-sm border ${mode === m ? "bg-indigo-600 text-white border-indigo-600" : "bg-white/70 dark:bg-zinc-800/70 text-zinc-800 dark:text-zinc-100 border-zinc-300 dark:border-zinc-700"}`}
             >
-              {m === "single" ? "One Page" : "Step-by-Step"}
+              {{ single: "One Page", wizard: "Step-by-Step", sweep: "Sweep", gallery: "Gallery" }[m]}
             </button>
           ))}
         </div>
       </div>
 
+      <UsagePanel refreshKey={usageTick} />
+
+      {mode !== "gallery" && <LooksPanel captureLook={captureLook} onApply={applyLook} />}
+
+      {mode !== "gallery" && <CastPanel casting={casting} onChange={setCasting} fileToDataUrl={fileToDataUrl} />}
+
+      {mode === "gallery" && <HistoryGallery filmStocks={fieldFor("filmStock")?.values} lightingPresets={fieldFor("lightingPreset")?.values} exportOptions={exportOptions} />}
+
       {mode === "single" && (
         <>
-          {Object.entries(DATA).map(([k, v]) =>
-            typeof v === "object" && !Array.isArray(v) ? (
-              <div key={k} className="mb-8">
-                <h2 className="text-xl font-semibold mb-3 capitalize">{k}</h2>
-                {Object.entries(v).map(([sub, vals]) => renderCategory(sub, vals, sub))}
+          {schema.groups.map((g) => {
+            // Aspect ratio has its own block below; the model count lives in the model editor
+            const fields = schema.fields.filter((f) => f.group === g.id && CHOICE_TYPES.has(f.type) && f.values && !["aspectRatio", "modelCount"].includes(f.key));
+            if (!fields.length) return null;
+            return (
+              <div key={g.id} className="mb-8">
+                <h2 className="text-xl font-semibold mb-3">{g.label}</h2>
+                {fields.map((f) => renderField(f.key))}
+                {g.id === "model" && renderModelEditor()}
               </div>
-            ) : (
-              renderCategory(k, v, k)
-            )
-          )}
-
-          {renderCategory("Lighting Preset", LIGHTING_PRESETS, "lightingPreset")}
-          {renderCategory("Film Stock", FILM_STOCKS, "filmStock")}
+            );
+          })}
 
           <div className="mb-6">
             <h2 className="text-lg font-medium mb-2">Skincare Focus Mode</h2>
@@ -532,25 +845,15 @@ export default function UltimateFashionGeneratorExpanded() {
 
           <div className="mb-6">
             <h2 className="text-lg font-medium mb-2">Aspect Ratio</h2>
-            <div className="flex flex-wrap gap-2">
-              {["1:1 (Square)", "4:5", "3:4 (Portrait)", "9:16 (Vertical)", "16:9 (Landscape)"].map((ratio) => (
-                <button
-                  key={ratio}
-                  onClick={() => setSelected((p) => ({ ...p, aspectRatio: ratio }))}
-                  className={`px-4 py-2 rounded-full border text-sm transition ${
-                    selected.aspectRatio === ratio
-                      ? "bg-indigo-600 text-white border-indigo-600 shadow"
-                      : "bg-white/70 dark:bg-zinc-800/70 text-zinc-800 dark:text-zinc-100 border-zinc-300 dark:border-zinc-700 hover:bg-zinc-50 dark:hover:bg-zinc-800"
-                  }`}
-                >
-                  {ratio}
-                </button>
-              ))}
-            </div>
+            {renderAspectChoices()}
           </div>
 
+          {renderBatchControls()}
+          {renderExportControls()}
+          {renderQcControls()}
+
           <button onClick={() => handleGenerate(true)} disabled={loading} className={`w-full px-5 py-3 rounded-xl font-semibold mt-4 ${loading ? "bg-indigo-400 cursor-not-allowed" : "bg-indigo-600 hover:bg-indigo-700 text-white"}`}>
-            {loading ? "Generating..." : "Generate Image"}
+            {loading ? "Generating..." : variations > 1 ? `Generate ${variations} Variations` : "Generate Image"}
           </button>
         </>
       )}
@@ -589,6 +892,100 @@ export default function UltimateFashionGeneratorExpanded() {
         </>
       )}
 
+      {mode === "sweep" && (
+        <>
+          <p className="mb-4 text-sm text-zinc-600 dark:text-zinc-300">
+            Renders the current selections once per combination of the values below. Leave values unselected to sweep every option.
+          </p>
+          {sweepAxes.map((axis, i) => (
+            <div key={i} className="mb-6">
+              <div className="flex items-center gap-3 mb-2">
+                <h2 className="text-lg font-medium">{i === 0 ? "Columns" : "Rows"}</h2>
+                <select
+                  value={axis.key}
+                  onChange={(e) => updateSweepAxis(i, { key: e.target.value, values: [] })}
+                  className="px-3 py-1 rounded-lg border bg-white/70 dark:bg-zinc-800/70 text-sm"
+                >
+                  {i > 0 && <option value="">— none —</option>}
+                  {sweepableFields(schema)
+                    .filter((f) => f.key === axis.key || !sweepAxes.some((a) => a.key === f.key))
+                    .map((f) => (
+                      <option key={f.key} value={f.key}>
+                        {f.label}
+                      </option>
+                    ))}
+                </select>
+              </div>
+              {axis.key && (
+                <div className="flex flex-wrap gap-2">
+                  {sweepValuesFor(axis).map((v) => (
+                    <button
+                      key={String(v)}
+                      onClick={() => toggleSweepValue(i, v)}
+                      className={`px-4 py-2 rounded-full border text-sm transition ${
+                        axis.values.includes(v)
+                          ? "bg-indigo-600 text-white border-indigo-600 shadow"
+                          : "bg-white/70 dark:bg-zinc-800/70 text-zinc-800 dark:text-zinc-100 border-zinc-300 dark:border-zinc-700 hover:bg-zinc-50 dark:hover:bg-zinc-800"
+                      }`}
+                    >
+                      {v === true ? "on" : v === false ? "off" : String(v)}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+          {renderExportControls()}
+          {renderQcControls()}
+          <button onClick={handleSweep} disabled={loading} className={`w-full px-5 py-3 rounded-xl font-semibold ${loading ? "bg-indigo-400 cursor-not-allowed" : "bg-indigo-600 hover:bg-indigo-700 text-white"}`}>
+            {loading ? "Rendering sweep..." : `Run Sweep (${sweepCellCount} renders)`}
+          </button>
+
+          {sweepResult && (
+            <div className="mt-6 text-center">
+              <img src={sweepResult.grid.imageUrl} alt="comparison grid" className="mx-auto rounded-xl border shadow" />
+              <a href={sweepResult.grid.imageUrl} download={sweepResult.grid.filename} className="mt-1 inline-block text-sm underline text-indigo-600">
+                Download grid ({sweepResult.grid.filename})
+              </a>
+              {sweepResult.bundle && (
+                <a href={sweepResult.bundle.url} className="ml-3 inline-block text-sm underline text-indigo-600">
+                  Download bundle (.zip)
+                </a>
+              )}
+              <table className="mt-4 mx-auto text-left text-sm">
+                <tbody>
+                  {sweepResult.cells.map((c) => (
+                    <tr key={c.filename} className="align-top border-t border-zinc-200 dark:border-zinc-800">
+                      <td className="pr-3 py-2">
+                        <a href={c.imageUrl} download={c.filename}>
+                          <img src={c.imageUrl} alt={c.filename} className="w-20 rounded" />
+                        </a>
+                      </td>
+                      <td className="py-2">
+                        <div className="font-mono text-xs">{c.filename}</div>
+                        <div className="text-zinc-500">
+                          {Object.entries(c.values)
+                            .map(([k, v]) => `${k}: ${v === true ? "on" : v === false ? "off" : v}`)
+                            .join(" · ")}
+                        </div>
+                        <div className="italic">{c.caption}</div>
+                        {c.qc && <div className="text-xs text-zinc-500">QC: {c.qc.status}{c.qc.corrected && ` (auto-corrected: ${c.qc.corrected.applied.join(", ")})`}</div>}
+                        <details>
+                          <summary className="cursor-pointer text-xs">EXIF</summary>
+                          <pre className="text-xs whitespace-pre-wrap bg-zinc-900 text-zinc-50 p-2 rounded">{JSON.stringify(c.exif, null, 2)}</pre>
+                        </details>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+
+      {mode !== "gallery" && <RenderProgress loading={loading} events={progressEvents} onCancel={jobId ? cancelRender : undefined} />}
+
       {generatedError && (
         <div className="mt-4 p-4 rounded-lg bg-red-50 text-red-700 border border-red-100">
           <strong>Error:</strong> {generatedError}
@@ -598,9 +995,107 @@ export default function UltimateFashionGeneratorExpanded() {
       {generatedImage && (
         <div className="mt-6 text-center">
           <h3 className="text-lg font-medium mb-2">Generated Result</h3>
-          <img src={generatedImage} alt="generated" className="mx-auto max-h-[480px] rounded-2xl shadow-lg border" style={{ backgroundColor: bgColor }} />
+          <img src={generatedImage} alt={captions?.alt || "generated"} className="mx-auto max-h-[480px] rounded-2xl shadow-lg border" style={{ backgroundColor: bgColor }} />
           {filename && <div className="mt-2 text-sm text-zinc-600 dark:text-zinc-300">{filename}</div>}
-          {caption && <div className="mt-2 italic text-sm text-zinc-700 dark:text-zinc-200">{caption}</div>}
+          {recipe && (
+            <a
+              href={`data:application/json;charset=utf-8,${encodeURIComponent(JSON.stringify(recipe, null, 2))}`}
+              download={filename.replace(/\.jpg$/i, "") + ".recipe.json"}
+              className="text-xs underline text-indigo-600"
+            >
+              Download recipe
+            </a>
+          )}
+          {bundle && (
+            <a href={bundle.url} className="ml-3 text-xs underline text-indigo-600">
+              Download bundle (.zip, {bundle.frames} {bundle.frames === 1 ? "frame" : "frames"})
+            </a>
+          )}
+          {usedReferences.length > 0 && <div className="mt-1 text-xs text-zinc-500">Conditioned on: {usedReferences.join(" + ")} reference</div>}
+          {grainInfo && <div className="mt-1 text-xs text-zinc-500">Grain seed {grainInfo.seed} · size {grainInfo.size} · strength {grainInfo.strength}</div>}
+          {caption && <div className="mt-2 italic text-sm text-zinc-700 dark:text-zinc-200 whitespace-pre-wrap">{caption}</div>}
+          <CaptionVariants captions={captions} />
+          <CropPreview
+            historyId={historyId}
+            crop={crop}
+            exportOptions={exportOptions}
+            focalPoint={selected.focalPoint}
+            onFocalPoint={setFocalPoint}
+            onClearFocalPoint={clearFocalPoint}
+          />
+          <QcReport qc={qc} />
+          <SkincareDeliverables
+            deliverables={deliverables}
+            historyId={historyId}
+            imageUrl={generatedImage}
+            skinInsets={skinInsets}
+            onSkinInset={setSkinInset}
+            onClearSkinInsets={() => setSkinInsets({})}
+          />
+          <RetouchPanel historyId={historyId} onRetouched={showRetouch} />
+          {frames.length > 1 && (
+            <div className="mt-6 max-w-5xl mx-auto">
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                {frames.map((f) => (
+                  <div key={f.filename} className={`relative rounded-xl overflow-hidden border-2 ${activeFrame === f.index ? "border-indigo-600" : "border-transparent"}`}>
+                    <img src={f.imageUrl} alt={f.filename} onClick={() => showFrame(f)} className="w-full cursor-pointer" />
+                    <span className="absolute top-1 left-2 text-xs font-semibold text-white drop-shadow">{String(f.index).padStart(2, "0")}</span>
+                    <button
+                      onClick={() => toggleFavorite(f.filename)}
+                      title={favorites.includes(f.filename) ? "Remove from favorites" : "Add to favorites"}
+                      className={`absolute top-1 right-2 text-lg drop-shadow ${favorites.includes(f.filename) ? "text-amber-400" : "text-white/80"}`}
+                    >
+                      {favorites.includes(f.filename) ? "★" : "☆"}
+                    </button>
+                  </div>
+                ))}
+              </div>
+              {favorites.length > 0 && (
+                <div className="mt-3 text-sm">
+                  Favorites ({favorites.length}):{" "}
+                  {frames
+                    .filter((f) => favorites.includes(f.filename))
+                    .map((f) => (
+                      <a key={f.filename} href={f.imageUrl} download={f.filename} className="ml-2 underline text-indigo-600">
+                        {String(f.index).padStart(2, "0")}
+                      </a>
+                    ))}
+                </div>
+              )}
+              {contactSheet && (
+                <div className="mt-4">
+                  <img src={contactSheet.imageUrl} alt="contact sheet" className="mx-auto rounded-xl border shadow" />
+                  <a href={contactSheet.imageUrl} download={contactSheet.filename} className="mt-1 inline-block text-sm underline text-indigo-600">
+                    Download contact sheet ({contactSheet.filename})
+                  </a>
+                </div>
+              )}
+            </div>
+          )}
+          {promptReport && (
+            <details className="mt-4 text-left max-w-3xl mx-auto text-sm">
+              <summary className="cursor-pointer font-semibold">Selections used in prompt ({promptReport.used.length})</summary>
+              <ul className="mt-2 space-y-1">
+                {promptReport.used.map((u) => (
+                  <li key={u.key}>
+                    <span className="text-zinc-500">{u.section}</span> · {u.key}: {Array.isArray(u.value) ? u.value.join(", ") : String(u.value)}
+                  </li>
+                ))}
+                {promptReport.overridden.map((o) => (
+                  <li key={o.key} className="text-amber-700">
+                    {o.key} overridden — {o.reason}
+                  </li>
+                ))}
+                {promptReport.unknown.length > 0 && <li className="text-red-700">Not recognised: {promptReport.unknown.join(", ")}</li>}
+              </ul>
+              {instructionInfo && (
+                <div className="mt-2 text-xs text-zinc-500">
+                  Studio instructions injected: {instructionInfo.injected.map((i) => `${i.id} ${i.title}`).join(" · ")} ({instructionInfo.chars}/{instructionInfo.budget} chars)
+                  {instructionInfo.skipped.length > 0 && <> — over budget: {instructionInfo.skipped.map((i) => i.id).join(", ")}</>}
+                </div>
+              )}
+            </details>
+          )}
           {exifBlock && (
             <div className="mt-4 text-left max-w-3xl mx-auto">
               <h4 className="font-semibold mb-2">EXIF embedding (optional)</h4>
@@ -612,7 +1107,7 @@ export default function UltimateFashionGeneratorExpanded() {
 
       <div className="mt-6">
         <h3 className="text-lg font-medium mb-2">Payload Preview</h3>
-        <pre className="text-xs whitespace-pre-wrap bg-zinc-900 text-zinc-50 p-4 rounded-xl overflow-auto max-h-[70vh]">{JSON.stringify({ ...selected, bgColor, mode, step }, null, 2)}</pre>
+        <pre className="text-xs whitespace-pre-wrap bg-zinc-900 text-zinc-50 p-4 rounded-xl overflow-auto max-h-[70vh]">{JSON.stringify({ ...selected, bgColor, variations, mode, step }, null, 2)}</pre>
       </div>
     </div>
   );
@@ -0,0 +1,88 @@
+// Aspect ratios and crop geometry. An aspect is a preset label ("4:5",
+// "16:9 (Landscape)"), a custom "W:H" ratio ("2.39:1") or an exact pixel size
+// ("1080x1350"). Free of server-only imports: the page draws its crop overlays
+// with the same math the server crops with.
+
+export const ASPECT_PRESETS = [
+  "1:1 (Square)",
+  "4:5",
+  "3:4 (Portrait)",
+  "2:3",
+  "5:4",
+  "4:3",
+  "9:16 (Vertical)",
+  "16:9 (Landscape)",
+  "21:9 (Cinema)",
+];
+
+// Custom values the schema accepts besides the presets; parseAspect checks the ranges
+export const CUSTOM_ASPECT_PATTERN = "^\\s*(\\d{1,4}(\\.\\d{1,3})?\\s*:\\s*\\d{1,4}(\\.\\d{1,3})?|\\d{2,5}\\s*[x×]\\s*\\d{2,5}\\s*(px)?)\\s*$";
+
+export const MIN_ASPECT = 1 / 4;
+export const MAX_ASPECT = 4;
+export const MIN_PIXEL_EDGE = 64;
+export const MAX_PIXEL_EDGE = 8192;
+
+// Crop focus labels (schema values) -> strategy names recorded in recipes
+export const CROP_FOCUS = {
+  Attention: "attention",
+  "Face priority": "face",
+  Center: "center",
+  "Focal point": "point",
+};
+
+// { label, ratio, code, pixels? } or null when the value is not an aspect.
+// `code` is the filename token: "45" for 4:5, "2p391" for 2.39:1, "1080x1350" for pixels.
+export function parseAspect(value) {
+  const label = String(value || "").trim();
+  if (!label) return { label: "1:1", ratio: 1, code: "11" };
+
+  const px = label.match(/^(\d+)\s*[x×]\s*(\d+)\s*(px)?$/i);
+  if (px) {
+    const width = Number(px[1]);
+    const height = Number(px[2]);
+    if ([width, height].some((n) => n < MIN_PIXEL_EDGE || n > MAX_PIXEL_EDGE)) return null;
+    return withinRange({ label, ratio: width / height, code: `${width}x${height}`, pixels: { width, height } });
+  }
+
+  // Presets carry a description after the ratio: "16:9 (Landscape)"
+  const wh = label.match(/^(\d+(?:\.\d+)?)\s*:\s*(\d+(?:\.\d+)?)/);
+  if (!wh || !Number(wh[1]) || !Number(wh[2])) return null;
+  return withinRange({ label, ratio: Number(wh[1]) / Number(wh[2]), code: `${wh[1]}${wh[2]}`.replace(/\./g, "p") });
+}
+
+function withinRange(aspect) {
+  return aspect.ratio >= MIN_ASPECT && aspect.ratio <= MAX_ASPECT ? aspect : null;
+}
+
+// "0.5,0.35" -> { x: 0.5, y: 0.35 }, as fractions of the source width and height
+export function parseFocalPoint(value) {
+  const m = String(value || "").match(/^\s*(\d*\.?\d+)\s*,\s*(\d*\.?\d+)\s*$/);
+  if (!m) return null;
+  const x = Number(m[1]);
+  const y = Number(m[2]);
+  return x <= 1 && y <= 1 ? { x, y } : null;
+}
+
+export function formatFocalPoint({ x, y }) {
+  return `${x.toFixed(3)},${y.toFixed(3)}`;
+}
+
+// The largest `ratio` box inside width × height, centred on the focal point
+// as far as the edges allow
+export function cropBox(width, height, ratio, { x = 0.5, y = 0.5 } = {}) {
+  const boxWidth = Math.min(width, Math.round(height * ratio));
+  const boxHeight = Math.min(height, Math.round(width / ratio));
+  const clamp = (v, max) => Math.max(0, Math.min(max, v));
+  return {
+    left: clamp(Math.round(x * width - boxWidth / 2), width - boxWidth),
+    top: clamp(Math.round(y * height - boxHeight / 2), height - boxHeight),
+    width: boxWidth,
+    height: boxHeight,
+  };
+}
+
+// Centre of a crop box as a focal point, so other ratios can be cut around the same subject
+export function cropCenter({ left, top, width, height, sourceWidth, sourceHeight }) {
+  return { x: (left + width / 2) / sourceWidth, y: (top + height / 2) / sourceHeight };
+}
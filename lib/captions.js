@@ -0,0 +1,399 @@
+import fs from "fs";
+import { getFilmProfile } from "./film.js";
+import { resolveModels } from "./models.js";
+import { hashString } from "./random.js";
+import { CAPTION_VOICES, FILM_STOCKS, LIGHTING_PRESETS, defaultFor } from "./schema.js";
+
+// Editorial captions from the resolved shoot (Studio_Full_Instructions X:
+// short, atmospheric, poetic rather than technical). Each setting has a bank of
+// interchangeable phrases and each length a few sentence templates over them;
+// a voice is a set of banks and templates. Alt text is built separately and
+// stays literal, whatever the voice.
+
+// captionLength values -> keys of the captions object
+export const CAPTION_LENGTHS = { Short: "short", Editorial: "editorial", "Social post": "social" };
+
+const STUDIO = {
+  phrases: {
+    // lightingPreset, which holds the lightingMood when no preset was picked
+    light: {
+      "Soft Pearl Light": ["soft pearl light wraps the face with gentle gradients", "pearl-soft light settles evenly over the skin", "a pearly wrap of light leaves the cheekbones luminous", "diffused pearl light rounds every contour"],
+      "Window Glow": ["cool window glow carves delicate shadows", "light from a tall window falls softly across one cheek", "north-facing window light lays a quiet gradient", "a window's cool glow fades gently into shade"],
+      "Studio Edge Light": ["rim-lit edges add a clean studio bite", "a crisp edge light draws the profile out of the dark", "a hard kicker traces the jaw in bright silver", "edge light separates shoulder from shadow"],
+      "Golden Hour Fade": ["warm dusk tones drift across the skin", "late golden light fades slowly across the frame", "low amber sun brushes the cheekbones", "the last warm light of the day lingers on the skin"],
+      "High-Key Clarity": ["bright high-key sheen reveals honest texture", "clean high-key light leaves nowhere to hide", "white, even light opens every shadow", "an airy high-key wash keeps detail bright and true"],
+      "Cinematic Contrast": ["rich shadow depth sculpts an editorial profile", "deep cinematic shadows frame a single pool of light", "a single key and deep falloff give the face weight", "chiaroscuro contrast carves the features out of the dark"],
+      "Flash on camera (90s paparazzi)": ["on-camera flash pops hard, 90s paparazzi style", "a direct flash flattens the moment into raw 90s candor", "a hot on-axis flash catches every glint", "point-blank flash throws a hard shadow behind"],
+      "Single strobe with spill": ["a single strobe spills softly past its edge", "one strobe and its stray spill shape the face", "a lone strobe, its spill left in on purpose", "one head of light and the glow around it"],
+      "Soft daylight with haze": ["hazy daylight softens every edge", "soft daylight drifts in through a gentle haze", "milky daylight lifts the shadows", "haze turns the daylight to a soft veil"],
+      "Mixed fluorescent and daylight": ["fluorescent tubes meet daylight in an honest, uneven mix", "daylight and a fluorescent tint share the shadows", "a green fluorescent edge meets clean daylight", "two kinds of light disagree, beautifully"],
+      "Tungsten warm tone": ["tungsten warmth pools across the skin", "a warm tungsten glow settles into the shadows", "amber tungsten light glows like a late interior", "old-bulb warmth gathers in the hollows"],
+      "Color gel split (cyan/magenta)": ["cyan and magenta gels split the face in two", "gelled cyan and magenta trade places across the cheekbones", "a cyan side and a magenta side meet at the nose", "split gels paint the skin in two cool temperatures"],
+      "Hard overhead spot (Vogue Italia style)": ["a hard overhead spot carves the cheekbones", "a single overhead spot drops sculpted shadows", "top light pools on the brow and shoulders", "an overhead spot leaves the eyes in deep shadow"],
+      "Silhouette rim light": ["a thin rim of light traces the silhouette", "backlight outlines the profile in one bright edge", "a halo of backlight draws the outline", "the figure reads as a bright edge on dark"],
+      "Harsh spotlight contrast": ["a harsh spotlight throws deep, graphic shadows", "spotlit contrast cuts the frame into light and dark", "a tight spot leaves the rest of the set in black", "hard spotlight edges frame the face"],
+      "Fluorescent wash": ["a flat fluorescent wash cools the skin", "fluorescent light lays a pale, even cast over everything", "office-tube light flattens the set to one cool tone", "a shadowless fluorescent hum of light"],
+      "Cross-light twin source": ["twin lights cross in from either side", "two crossing sources sculpt both cheeks at once", "two hard sources leave a bright line down the center", "crossed lights trade shadows across the face"],
+    },
+    film: {
+      "Kodak Portra 400": ["with a Portra warmth and pastel rolloff", "in Portra's warm, forgiving tones", "with Portra's creamy skin and soft highlights", "in gentle Portra color, grain just visible"],
+      "Fujifilm Pro 400H": ["with cool, clean whites in a 400H palette", "through Pro 400H's airy pastel greens", "in 400H's pale, minty light", "with Fuji's cool pastel calm"],
+      "Kodak Ektar 100": ["with vivid Ektar color and fine grain", "in saturated Ektar color with barely-there grain", "in punchy Ektar reds and clean blues", "with Ektar's bright, tight-grained color"],
+      "Ilford Delta 100": ["in crisp monochrome with silken grain", "in Delta 100's smooth silver tones", "in fine-grained black and white", "in quiet silver-gelatin grays"],
+      "CineStill 800T": ["with cinematic tungsten balance and soft halation", "under CineStill's tungsten cast and red-edged glow", "with halation blooming around the highlights", "in CineStill's cool night palette"],
+    },
+    wardrobe: {
+      "Minimalist 90s": ["pared-back 90s separates", "clean 90s minimalism", "spare slip-dress-era basics"],
+      "Avant-garde couture": ["sculptural couture", "avant-garde couture shapes", "couture that bends the silhouette"],
+      "Sports luxe": ["sport-luxe layers", "track-inspired luxury pieces", "technical pieces cut like luxury"],
+      "Grunge editorial": ["undone grunge layers", "worn-in grunge pieces", "thrifted grunge, styled on purpose"],
+      "Classic power suit": ["a sharp power suit", "strong-shouldered classic tailoring", "a suit built for the boardroom"],
+      "Lingerie layering": ["lingerie-inspired layers", "delicate layered slips", "slip and camisole layers"],
+      "Streetwear fusion": ["mixed streetwear layers", "streetwear cut with tailoring", "oversized street layers"],
+      "Soft romantic": ["soft romantic drapes", "gentle romantic ruffles", "billowing romantic volumes"],
+      "Sheer textures": ["barely-there sheer layers", "translucent layers", "veils of sheer fabric"],
+      "Structured tailoring": ["precise structured tailoring", "architectural tailoring", "hard-edged tailored lines"],
+      "Leather & denim": ["leather and denim", "worn denim and leather", "broken-in leather over raw denim"],
+      "Maximalist prints": ["clashing maximalist prints", "bold printed layers", "print on print on print"],
+    },
+    texture: {
+      "Satin / silk sheen": ["liquid satin", "silk sheen"],
+      "Crinkled nylon": ["crinkled nylon", "rustling nylon"],
+      "Leather & latex": ["leather and latex", "high-shine latex and leather"],
+      "Sheer mesh layers": ["sheer mesh", "layered mesh"],
+      "Velvet richness": ["deep velvet", "plush velvet"],
+      "Denim & distressed cotton": ["distressed cotton and denim", "frayed cotton and denim"],
+      "Metallic lamé": ["metallic lamé", "liquid-metal lamé"],
+      "Organza transparency": ["translucent organza", "crisp sheer organza"],
+      "Lace overlay": ["fine lace", "layered lace"],
+    },
+    pose: {
+      "Candid motion shot": ["caught mid-motion", "half a step into the next moment", "mid-stride, unposed", "moving through the frame"],
+      "Model leaning forward": ["leaning into the lens", "tipped forward toward the camera", "weight forward, closing the distance", "bent toward the viewer"],
+      "Head tilt with tensioned neck": ["head tilted, neck drawn long", "chin angled away, neck taut", "head turned, the neck a long line", "tilted back, throat to the light"],
+      "Seated introspection": ["seated and turned inward", "sitting still, lost in thought", "folded into a chair, elsewhere", "perched and quiet"],
+      "Arm-in-frame gesture": ["an arm cutting across the frame", "one arm raised into the frame", "a hand reaching into the shot", "an elbow breaking the edge of the frame"],
+      "Over-the-shoulder look": ["glancing back over one shoulder", "looking back over the shoulder", "turned away, then back to the lens", "a look thrown over the shoulder"],
+      "Reclined attitude": ["reclined with easy attitude", "stretched out, unhurried", "lounging with nowhere to be", "laid back across the set"],
+      "Jump shot motion": ["suspended mid-jump", "caught at the top of a jump", "airborne for an instant", "leaping clear of the floor"],
+      "Mirror interaction": ["meeting a reflection in the mirror", "turned toward a mirror", "doubled in a mirror", "watching a reflection watch back"],
+    },
+    // backdropConcepts first, then backdrop
+    setting: {
+      "Studio seamless (white, gray, pink, black)": ["against a seamless studio sweep", "on clean seamless paper", "on an endless paper sweep"],
+      "Textured concrete wall": ["before raw textured concrete", "against a weathered concrete wall", "against pitted gray concrete"],
+      "Fabric backdrop (crinkled muslin, velvet, metallic foil)": ["against a crumpled fabric backdrop", "before folds of draped fabric", "before a hand-hung fabric drop"],
+      "Vintage apartment interior": ["in a lived-in vintage apartment", "among worn vintage interiors", "in an old apartment full of afternoon"],
+      "Rooftop daylight": ["on a sunlit rooftop", "high on an open rooftop", "up on the roof, open sky behind"],
+      "Alley or fire escape": ["in a narrow alley by the fire escape", "on a city fire escape", "in an alley of iron stairs"],
+      "Desert landscape": ["out in open desert", "against a pale desert horizon", "in wide, empty desert"],
+      "City street flash": ["on a flash-lit city street", "out on the street after dark", "on a night street caught by the flash"],
+      "Neon storefronts": ["under neon storefront signs", "in the glow of neon shopfronts", "beneath buzzing neon"],
+      "Chromatic seamless (orange / teal / lilac)": ["against a saturated chromatic seamless", "on a sweep of bold color", "against a wall of pure color"],
+      "Muslin crumple (texture depth)": ["against crumpled muslin", "before deep folds of muslin", "against creased, painterly muslin"],
+      "Checker floor (Vogue Italia set style)": ["on a checkerboard floor", "above black-and-white checks", "on a graphic checkered floor"],
+      "Velvet curtain drape": ["before a draped velvet curtain", "against heavy velvet folds", "in front of a theatre-red drape"],
+      "Tiled bathroom / kitchen realism": ["among plain tiled walls", "in an everyday tiled room", "against glossy domestic tile"],
+      "Plastic wrap / metallic foil": ["against crinkling plastic and foil", "before a wall of metallic foil", "inside a set of wrapped plastic"],
+      "Collaged paper wall": ["against a collaged paper wall", "before layered torn paper", "against pasted-up paper scraps"],
+      "High-gloss resin backdrop": ["on high-gloss resin", "against a mirror-bright resin surface", "on a floor of poured resin"],
+    },
+    // modelEmotion first, then expressions
+    mood: {
+      "Detached and cool": ["cool, detached, entirely self-possessed", "a cool, unbothered distance", "aloof and perfectly still"],
+      "Rebellious street energy": ["all restless street energy", "rebellious and unpolished, on purpose", "a little defiant, a little loud"],
+      "Subtle confidence": ["quiet confidence, nothing forced", "confidence worn lightly", "sure of itself without saying so"],
+      "Melancholic / introspective": ["a private, melancholic pause", "turned inward, somewhere else entirely", "a wistful, held breath"],
+      "Avant-garde expression": ["expression pushed into the avant-garde", "a face made into a statement", "an expression as designed as the clothes"],
+      "Joyful chaos": ["pure joyful chaos", "joy spilling over the edges of the frame", "happy, loud and blurred at the edges"],
+      Neutral: ["a neutral, open face", "an unreadable, open calm"],
+      "Soft smile": ["a soft smile, barely there", "the start of a smile"],
+      "Eyes-only smile": ["a smile that lives in the eyes", "smiling with the eyes alone"],
+      "Warm friendly": ["warm and easy, as if mid-conversation", "friendly, open and close"],
+      "Serious / editorial": ["serious, editorial, unblinking", "straight-faced and editorial"],
+      "Confident gaze": ["a confident gaze holds the lens", "eyes steady on the camera"],
+      "Calm focus": ["calm and focused", "quietly intent"],
+      Playful: ["playful, a little mischievous", "a flicker of mischief"],
+      "Intense gaze": ["an intense gaze that doesn't let go", "a stare that holds the room"],
+      "Gentle laugh": ["a gentle laugh, caught just in time", "a soft laugh halfway out"],
+      Sultry: ["low-lidded and sultry", "slow, heavy-lidded heat"],
+      Pensive: ["pensive, lost in thought", "thoughtful and far away"],
+      "Eyes closed": ["eyes closed, entirely at rest", "lids lowered, listening"],
+      "Laugh mid-shot": ["a laugh breaks mid-shot", "laughter breaking the pose"],
+      "Side glance": ["a sideways glance past the camera", "eyes sliding off to one side"],
+      "Bold stare": ["a bold, level stare", "a stare that doesn't blink first"],
+      Smirk: ["a knowing smirk", "one corner of the mouth raised"],
+      Dramatic: ["drama in every line of the face", "theatrical, all angles"],
+    },
+    // Settings with nothing in their bank fall back to these
+    fallback: {
+      light: ["balanced studio light reveals natural texture", "even studio light keeps the texture honest", "clean, considered light keeps every detail", "soft studio light holds the skin true"],
+      film: ["with a gentle filmic grain", "with a soft film finish", "in quiet, filmic color", "with a fine, even grain"],
+      pose: ["settled into an easy editorial stance", "relaxed and unposed", "at ease in front of the lens", "held in a loose, natural stance"],
+      setting: ["against a soft neutral gradient", "against a quiet neutral backdrop", "on a calm, tonal background", "before an understated studio wall"],
+    },
+    skin: ["pores, fine texture and natural tone left honest", "real skin kept: pores, peach fuzz and gentle tone shifts", "every pore and freckle kept in focus", "natural skin texture, unretouched and true"],
+    subject: { 1: ["the model", "the sitter"], 2: ["two models", "a pair of models"], 3: ["three models", "a trio"], 4: ["four models", "a group of four"], 5: ["five models", "a group of five"], 6: ["six models", "a group of six"] },
+    closer: ["Real skin, real light.", "Texture left in, on purpose.", "Nothing smoothed, nothing lost.", "Made on film, kept honest.", "Light first, retouching never."],
+  },
+  // Alternatives per length; a template is used only when every slot it names
+  // applies to the shoot (mood needs an emotion or expression, skin needs
+  // Skincare Focus Mode, wardrobe needs it off). Each one names {light}, the
+  // slot every shoot fills, so frames differ wherever their light does.
+  templates: {
+    short: [["{light}, {film}."], ["{mood}; {light}."], ["{subject}, {pose}; {light}."], ["{light}, {setting}."]],
+    editorial: [
+      ["{light}, {film}.", "{subject} in {wardrobe}, {pose}, {setting}.", "{mood}."],
+      ["{mood}.", "{subject} in {wardrobe}, {pose}, {setting}; {light}, {film}."],
+      ["{subject} in {wardrobe}, {pose}, {setting}.", "{light}, {film}."],
+      ["{subject}, {pose}, {setting}.", "{light}, {film}.", "{closer}"],
+      // Skincare Focus Mode: the skin instead of the outfit
+      ["{light}, {film}.", "{skin}.", "{mood}."],
+      ["{skin}; {light}, {film}."],
+      ["{subject}, {pose}.", "{skin}; {light}."],
+    ],
+    social: [
+      ["{mood}.", "{light}, {film}.", "{closer}"],
+      ["{subject} in {wardrobe}, {pose}.", "{light}, {film}.", "{closer}"],
+      ["{skin}.", "{light}, {film}.", "{closer}"],
+      ["{subject}, {setting}.", "{light}; {pose}.", "{closer}"],
+    ],
+  },
+  hashtags: ["#editorial", "#fashionphotography"],
+};
+
+const BUILT_IN_VOICES = {
+  Studio: STUDIO,
+  // Plainer sentences, no flourish at the end of social posts
+  Minimal: {
+    extends: "Studio",
+    phrases: { closer: ["Shot on set.", "Studio portrait."] },
+    templates: {
+      short: [["{light}."]],
+      editorial: [["{light}, {film}.", "{subject}, {setting}."], ["{light}, {film}."]],
+      social: [["{light}, {film}.", "{closer}"]],
+    },
+  },
+};
+
+// Banks and templates of `voice` replace its base's, one setting value (or one
+// length) at a time; hashtags add up
+function mergeVoice(base, voice) {
+  const phrases = { ...base.phrases };
+  for (const [slot, bank] of Object.entries(voice.phrases || {})) {
+    phrases[slot] = Array.isArray(bank) ? bank : { ...base.phrases[slot], ...bank };
+  }
+  return {
+    phrases,
+    templates: { ...base.templates, ...voice.templates },
+    hashtags: [...new Set([...(base.hashtags || []), ...(voice.hashtags || [])])],
+  };
+}
+
+const TEMPLATE_SLOTS = ["light", "film", "subject", "wardrobe", "pose", "setting", "mood", "skin", "closer"];
+
+function slotsOf(template) {
+  return (template.join(" ").match(/\{(\w+)\}/g) || []).map((s) => s.slice(1, -1));
+}
+
+const isStrings = (list) => Array.isArray(list) && list.every((item) => typeof item === "string");
+
+// What is wrong with a client voice, as a list of messages; `known` are the
+// voice names it may extend
+function checkVoice(voice, known) {
+  if (!voice || typeof voice !== "object" || Array.isArray(voice)) return ["not an object"];
+  const problems = [];
+  if (voice.extends !== undefined && !known.includes(voice.extends)) problems.push(`extends unknown voice "${voice.extends}"`);
+  for (const [slot, bank] of Object.entries(voice.phrases || {})) {
+    const lists = isStrings(bank) ? [] : bank && typeof bank === "object" && !Array.isArray(bank) ? Object.values(bank) : [null];
+    if (!lists.every(isStrings)) problems.push(`phrases.${slot} must be a list of phrases or an object of them`);
+  }
+  for (const [length, list] of Object.entries(voice.templates || {})) {
+    if (!Object.values(CAPTION_LENGTHS).includes(length)) problems.push(`templates.${length} is not a caption length`);
+    else if (!Array.isArray(list) || !list.every((t) => isStrings(t) && t.length)) problems.push(`templates.${length} must be a list of sentence lists`);
+    else {
+      const unknown = [...new Set(list.flatMap(slotsOf))].filter((slot) => !TEMPLATE_SLOTS.includes(slot));
+      if (unknown.length) problems.push(`templates.${length} uses unknown slots ${unknown.map((s) => `{${s}}`).join(", ")}`);
+    }
+  }
+  if (voice.hashtags !== undefined && !isStrings(voice.hashtags)) problems.push("hashtags must be a list of strings");
+  return problems;
+}
+
+// Client voices: CAPTION_VOICES_PATH points at a JSON file of
+// { "Voice Name": { "extends": "Studio", "phrases": {...}, "templates": {...}, "hashtags": [...] } }
+// A voice that doesn't check out is left out, with a warning.
+function loadVoices() {
+  const voices = { Studio: STUDIO, Minimal: mergeVoice(STUDIO, BUILT_IN_VOICES.Minimal) };
+  const file = process.env.CAPTION_VOICES_PATH;
+  if (!file) return voices;
+  try {
+    const custom = JSON.parse(fs.readFileSync(file, "utf8"));
+    for (const [name, voice] of Object.entries(custom)) {
+      const problems = checkVoice(voice, Object.keys(voices));
+      if (problems.length) console.warn(`Caption voice "${name}" was not loaded: ${problems.join("; ")}.`);
+      else voices[name] = mergeVoice(voices[voice.extends] || STUDIO, voice);
+    }
+  } catch (e) {
+    console.warn("Custom caption voices could not be loaded:", e?.message);
+  }
+  return voices;
+}
+
+const VOICES = loadVoices();
+
+export function listCaptionVoices() {
+  return [...new Set([...CAPTION_VOICES, ...Object.keys(VOICES)])];
+}
+
+function capitalize(text) {
+  return text.replace(/(^|[.!?]\s+)([a-z])/g, (_, stop, letter) => stop + letter.toUpperCase());
+}
+
+// Plain lowercase value, without the examples in parentheses
+function plain(value) {
+  return String(value).replace(/\s*\(.*?\)/g, "").toLowerCase();
+}
+
+// "#portra400" from "Kodak Portra 400"; the brand is dropped when there is one
+function filmTag(filmStock) {
+  const words = String(filmStock).split(/\s+/);
+  const name = words.length > 2 ? words.slice(1) : words;
+  return `#${name.join("").toLowerCase().replace(/[^a-z0-9]/g, "")}`;
+}
+
+// Literal description for screen readers: who is in the frame, what they wear,
+// where, and the light and film look; never the voice's poetry
+export function buildAltText(payload, settings) {
+  const models = resolveModels(payload);
+  const person = (m) => {
+    const parts = [`${m.sex === "Male" ? "a man" : "a woman"}${m.age ? ` aged ${String(m.age).replace("-", "–")}` : ""}`];
+    if (m.hairColor || m.hairStyle) parts.push(`${plain(m.hairColor || "")} hair${m.hairStyle ? ` (${plain(m.hairStyle)})` : ""}`.trim());
+    if (m.wardrobe) parts.push(`in a ${plain(m.wardrobe)} outfit`);
+    if (models.length > 1) parts.push(`${["center", "foreground", "background"].includes(plain(m.position)) ? "in the" : "on the"} ${plain(m.position)}`);
+    return parts.join(", ");
+  };
+  const people = models.length === 1 ? person(models[0]) : `${STUDIO.phrases.subject[models.length][0]}: ${models.map(person).join("; ")}`;
+  const pose = payload.pose && STUDIO.phrases.pose[payload.pose]?.[0];
+  const backdrop = payload.backdropConcepts || payload.backdrop;
+  const setting = (backdrop && STUDIO.phrases.setting[backdrop]?.[0]) || `against a ${plain(backdrop || "plain studio backdrop")}`;
+  const look = getFilmProfile(settings.filmStock).monochrome ? "black-and-white film look" : "color film look";
+  return `Photograph of ${people}${pose ? `, ${pose}` : ""}, ${setting}. Lighting: ${plain(settings.lightingPreset)}; ${look} (${settings.filmStock}).`;
+}
+
+// How many frame numbers a caption the batch already has is redrawn from
+const REDRAWS = 12;
+
+// One captioner per batch or sweep: each call returns { short, editorial,
+// social, alt } for the next frame. Every slot walks its bank by frame number,
+// from a starting point of its own and shifting by a different step on each
+// pass, so up to a bank's worth of frames never share a phrase and later frames
+// pair the phrases differently; a caption the batch already has is redrawn.
+// `note` tells the alt text what sets this frame apart (its variation or sweep
+// cell).
+export function createCaptioner() {
+  const seen = { short: new Set(), editorial: new Set(), social: new Set() };
+  let frame = 0;
+
+  return (payload, settings, { note } = {}) => {
+    const voiceName = payload.captionVoice || defaultFor("captionVoice");
+    const { phrases, templates, hashtags } = VOICES[voiceName] || STUDIO;
+    const shoot = `${voiceName}|${settings.lightingPreset}|${settings.filmStock}`;
+    const value = (key) => payload[key] ?? defaultFor(key, settings);
+    const bank = (slot, key) => (key && phrases[slot]?.[key]) || phrases.fallback?.[slot];
+    const choose = (options, name, index, step) => {
+      const start = hashString(`${shoot}|${name}`);
+      return options[(start + index + Math.floor(index / options.length) * step) % options.length];
+    };
+
+    // Which bank each slot draws on for this shoot; null when the slot doesn't apply
+    const sources = {
+      light: bank("light", settings.lightingPreset),
+      film: bank("film", settings.filmStock),
+      subject: phrases.subject?.[settings.modelCount || 1],
+      wardrobe: settings.skincare ? null : bank("wardrobe", value("wardrobeStyles")),
+      texture: settings.skincare ? null : bank("texture", value("wardrobeTextures")),
+      pose: bank("pose", value("pose")),
+      setting: bank("setting", payload.backdropConcepts || value("backdrop")),
+      mood: bank("mood", payload.modelEmotion || payload.expressions),
+      skin: settings.skincare ? phrases.skin : null,
+      closer: phrases.closer,
+    };
+    const steps = Object.fromEntries(Object.keys(sources).map((slot, i) => [slot, i]));
+    // Slot phrases for frame number `index`; shared by every length of a frame
+    const phrasesFor = (index) => {
+      const slots = {};
+      const fill = (slot) => {
+        if (!(slot in slots)) slots[slot] = sources[slot]?.length ? choose(sources[slot], slot, index, steps[slot]) : null;
+        if (slot === "wardrobe" && slots.wardrobe && sources.texture?.length) {
+          slots.texture ??= choose(sources.texture, "texture", index, steps.texture);
+          return `${slots.wardrobe} cut in ${slots.texture}`;
+        }
+        return slots[slot];
+      };
+      return fill;
+    };
+    const own = phrasesFor(frame);
+    const render = (length) => {
+      const usable = (templates[length] || []).filter((t) => slotsOf(t).every((slot) => sources[slot]?.length));
+      if (!usable.length) return "";
+      let first;
+      for (let attempt = 0; attempt < REDRAWS; attempt++) {
+        const index = frame + attempt;
+        const fill = attempt ? phrasesFor(index) : own;
+        const template = choose(usable, length, index, 1 + attempt);
+        const text = capitalize(template.map((sentence) => sentence.replace(/\{(\w+)\}/g, (_, slot) => fill(slot))).join(" "));
+        first ??= text;
+        if (!seen[length].has(text)) {
+          seen[length].add(text);
+          return text;
+        }
+      }
+      return first;
+    };
+
+    const tags = [...(hashtags || []), filmTag(settings.filmStock), ...(settings.skincare ? ["#skincare", "#realskin"] : [])];
+    const captions = { short: render("short"), editorial: render("editorial"), social: render("social") };
+    frame++;
+    const alt = buildAltText(payload, settings);
+    return {
+      ...captions,
+      social: [captions.social, [...new Set(tags)].join(" ")].filter(Boolean).join("\n\n"),
+      alt: note ? `${alt} ${note}.` : alt,
+    };
+  };
+}
+
+// Frames checked per batch when the voices load: the phrases every built-in
+// light and film bank holds
+const VARIETY_FRAMES = 4;
+
+// The first shoot for which a batch of `voiceName` captions repeats, or null
+function repeatedCaptions(voiceName) {
+  for (const lightingPreset of LIGHTING_PRESETS) {
+    for (const filmStock of FILM_STOCKS) {
+      for (const skincare of [false, true]) {
+        for (const modelEmotion of [undefined, "Subtle confidence"]) {
+          const captioner = createCaptioner();
+          const frames = Array.from({ length: VARIETY_FRAMES }, () => captioner({ captionVoice: voiceName, modelEmotion }, { lightingPreset, filmStock, skincare, modelCount: 1 }));
+          for (const length of Object.values(CAPTION_LENGTHS)) {
+            if (new Set(frames.map((f) => f[length])).size < VARIETY_FRAMES) {
+              return `${length} captions for ${lightingPreset}, ${filmStock}${skincare ? ", skincare" : ""}${modelEmotion ? `, ${modelEmotion}` : ""}`;
+            }
+          }
+        }
+      }
+    }
+  }
+  return null;
+}
+
+// A built-in voice that repeats itself is a bug; a client voice still loads,
+// with a warning
+for (const name of Object.keys(VOICES)) {
+  const repeated = repeatedCaptions(name);
+  if (!repeated) continue;
+  const message = `Caption voice "${name}" repeats ${repeated} within a ${VARIETY_FRAMES}-frame batch`;
+  if (name in BUILT_IN_VOICES) throw new Error(message);
+  console.warn(`${message}.`);
+}
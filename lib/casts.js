@@ -0,0 +1,233 @@
+import path from "path";
+import { randomUUID } from "crypto";
+import { RequestError } from "./errors.js";
+import { resolveModels } from "./models.js";
+import { dataDir, isSafeId, readAllJson, readJson, removeFile, writeJson } from "./storage.js";
+
+// Casting: cast profiles, named subjects that stay the same person across a
+// series (face, skin tone, hair, distinguishing features and an optional
+// identity reference image), and campaigns, which group the frames shot with a
+// cast. One JSON file each under data/casts and data/campaigns.
+//
+// cast:     { version, id, name, notes, face, skinTone, hair, features, wording,
+//             reference?: { name, type, dataUrl }, createdAt, updatedAt }
+// campaign: { version, id, name, notes, cast: [cast id per model], createdAt, updatedAt }
+//
+// `wording` is the cast's prompt text. It is written when the cast is saved and
+// injected verbatim, so every frame describes the subject in the same words.
+
+export const CAST_VERSION = 1;
+export const CAMPAIGN_VERSION = 1;
+
+export const CAST_DESCRIPTORS = [
+  { key: "face", label: "Face" },
+  { key: "skinTone", label: "Skin tone" },
+  { key: "hair", label: "Natural hair" },
+  { key: "features", label: "Distinguishing features" },
+];
+
+const MAX_NAME_LENGTH = 80;
+const MAX_DESCRIPTOR_LENGTH = 300;
+const MAX_REFERENCE_BYTES = 8 * 1024 * 1024;
+
+function castFile(dir, id) {
+  return path.join(dir, `${id}.json`);
+}
+
+export function castWording(cast) {
+  const traits = CAST_DESCRIPTORS.filter((d) => cast[d.key]).map((d) => `${d.label.toLowerCase()}: ${cast[d.key]}`);
+  return (
+    `${cast.name} — ${traits.length ? traits.join("; ") : "as shown in the identity reference"}. ` +
+    "The same person in every frame of the series: keep the face, skin tone, hair and features exactly as described; only pose, styling, wardrobe and light change."
+  );
+}
+
+function validateName(input, kind) {
+  const name = String(input.name || "").trim();
+  if (!name) throw new RequestError(`A ${kind} needs a name.`);
+  if (name.length > MAX_NAME_LENGTH) throw new RequestError(`${kind[0].toUpperCase()}${kind.slice(1)} names are limited to ${MAX_NAME_LENGTH} characters.`);
+  return name;
+}
+
+function validateReference(ref) {
+  if (!ref) return null;
+  const m = String(ref.dataUrl || "").match(/^data:(image\/[A-Za-z0-9.+-]+);base64,([A-Za-z0-9+/=]+)$/);
+  if (!m) throw new RequestError("The identity reference must be an image data URL.");
+  if (Buffer.byteLength(m[2], "base64") > MAX_REFERENCE_BYTES) throw new RequestError("The identity reference exceeds the 8 MB limit.");
+  return { name: String(ref.name || "identity-reference").slice(0, 120), type: m[1], dataUrl: ref.dataUrl };
+}
+
+// The user-editable part of a cast; `reference: null` removes the image
+function validateCastInput(input, { partial = false } = {}) {
+  const cast = {};
+  if (!partial || input.name !== undefined) cast.name = validateName(input, "cast");
+  if (input.notes !== undefined) cast.notes = String(input.notes || "").slice(0, 500);
+  for (const { key, label } of CAST_DESCRIPTORS) {
+    if (input[key] === undefined) continue;
+    const value = String(input[key] || "").trim();
+    if (value.length > MAX_DESCRIPTOR_LENGTH) throw new RequestError(`${label} is limited to ${MAX_DESCRIPTOR_LENGTH} characters.`);
+    cast[key] = value;
+  }
+  if (input.reference !== undefined) cast.reference = validateReference(input.reference);
+  return cast;
+}
+
+// Rewrites the wording; a cast must describe someone, in words or by image
+function finishCast(cast) {
+  if (!CAST_DESCRIPTORS.some((d) => cast[d.key]) && !cast.reference) {
+    throw new RequestError(`A cast needs at least one of ${CAST_DESCRIPTORS.map((d) => d.key).join(", ")} or an identity reference.`);
+  }
+  if (!cast.reference) delete cast.reference;
+  return { ...cast, wording: castWording(cast) };
+}
+
+// Listing leaves out the reference image data; fetch a single cast to get it
+export function summarizeCast(cast) {
+  const { reference, ...rest } = cast;
+  return reference ? { ...rest, reference: { name: reference.name, type: reference.type } } : rest;
+}
+
+export async function listCasts() {
+  const casts = await readAllJson(await dataDir("casts"));
+  return casts.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+}
+
+async function findCast(id) {
+  return isSafeId(id) ? readJson(castFile(await dataDir("casts"), id)) : null;
+}
+
+export async function getCast(id) {
+  const cast = await findCast(id);
+  if (!cast) throw new RequestError(`Cast "${id}" not found.`, { status: 404 });
+  return cast;
+}
+
+export async function createCast(input) {
+  const now = new Date().toISOString();
+  const cast = finishCast({ version: CAST_VERSION, id: randomUUID(), notes: "", ...validateCastInput(input), createdAt: now, updatedAt: now });
+  await writeJson(castFile(await dataDir("casts"), cast.id), cast);
+  return cast;
+}
+
+// Changing a cast changes its wording for every later frame; frames already
+// rendered keep the wording they were made with (history and recipe)
+export async function updateCast(id, patch) {
+  const current = await getCast(id);
+  const cast = finishCast({ ...current, ...validateCastInput(patch, { partial: true }), updatedAt: new Date().toISOString() });
+  await writeJson(castFile(await dataDir("casts"), id), cast);
+  return cast;
+}
+
+export async function deleteCast(id) {
+  const cast = await getCast(id);
+  const usedBy = (await listCampaigns()).filter((c) => c.cast.includes(id));
+  if (usedBy.length) {
+    throw new RequestError(`Cast "${cast.name}" is in ${usedBy.map((c) => `"${c.name}"`).join(", ")}; remove it from the campaign first.`, { status: 409 });
+  }
+  await removeFile(castFile(await dataDir("casts"), id));
+}
+
+// A cast id or a list of them (one per model, in order), without repeats
+function castIds(value, where) {
+  if (value === undefined || value === null || value === "") return [];
+  const ids = (Array.isArray(value) ? value : [value]).map((v) => String(v).trim());
+  if (ids.some((id) => !id)) throw new RequestError(`${where} must be a cast id or a list of cast ids, one per model.`);
+  if (new Set(ids).size !== ids.length) throw new RequestError(`${where} lists the same cast member twice; one person cannot be two models.`);
+  return ids;
+}
+
+async function castsById(ids) {
+  const casts = await Promise.all(ids.map(findCast));
+  const missing = ids.filter((_, i) => !casts[i]);
+  if (missing.length) throw new RequestError(`Unknown cast: ${missing.join(", ")}.`);
+  return casts;
+}
+
+async function validateCampaignInput(input, { partial = false } = {}) {
+  const campaign = {};
+  if (!partial || input.name !== undefined) campaign.name = validateName(input, "campaign");
+  if (input.notes !== undefined) campaign.notes = String(input.notes || "").slice(0, 500);
+  if (!partial || input.cast !== undefined) {
+    campaign.cast = castIds(input.cast, "cast");
+    await castsById(campaign.cast);
+  }
+  return campaign;
+}
+
+export async function listCampaigns() {
+  const campaigns = await readAllJson(await dataDir("campaigns"));
+  return campaigns.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+async function findCampaign(id) {
+  return isSafeId(id) ? readJson(castFile(await dataDir("campaigns"), id)) : null;
+}
+
+export async function getCampaign(id) {
+  const campaign = await findCampaign(id);
+  if (!campaign) throw new RequestError(`Campaign "${id}" not found.`, { status: 404 });
+  return campaign;
+}
+
+export async function createCampaign(input) {
+  const now = new Date().toISOString();
+  const campaign = { version: CAMPAIGN_VERSION, id: randomUUID(), notes: "", ...(await validateCampaignInput(input)), createdAt: now, updatedAt: now };
+  await writeJson(castFile(await dataDir("campaigns"), campaign.id), campaign);
+  return campaign;
+}
+
+export async function updateCampaign(id, patch) {
+  const current = await getCampaign(id);
+  const campaign = { ...current, ...(await validateCampaignInput(patch, { partial: true })), updatedAt: new Date().toISOString() };
+  await writeJson(castFile(await dataDir("campaigns"), id), campaign);
+  return campaign;
+}
+
+// Frames keep their campaign label in history after the campaign is gone
+export async function deleteCampaign(id) {
+  await getCampaign(id);
+  await removeFile(castFile(await dataDir("campaigns"), id));
+}
+
+// The identity references of a resolved cast, as uploads for the provider:
+// [{ role: "identity", file, note }]. Casts deleted since are skipped.
+export async function castReferences(cast = []) {
+  const references = [];
+  for (const member of cast) {
+    const full = member.reference && (await findCast(member.id));
+    if (!full?.reference) continue;
+    const data = Buffer.from(full.reference.dataUrl.split(",")[1], "base64");
+    references.push({ role: "identity", file: new File([data], full.reference.name, { type: full.reference.type }), note: `${full.name}, model ${member.model}` });
+  }
+  return references;
+}
+
+// The casting of a request: `cast` (a cast id, or one per model in order) and
+// `campaign` (a campaign id, whose cast applies when `cast` is unset). Resolves
+// to { cast: [{ id, name, model, wording, hair?, reference?, updatedAt }],
+// campaign: { id, name } | null, references }, where `cast` is the snapshot
+// kept with the frames.
+export async function resolveCasting(payload) {
+  const campaign = payload.campaign === undefined ? null : await findCampaign(String(payload.campaign));
+  if (payload.campaign !== undefined && !campaign) throw new RequestError(`Unknown campaign: ${payload.campaign}.`);
+  const requested = castIds(payload.cast, "cast");
+  if (campaign && requested.length && requested.join() !== campaign.cast.join()) {
+    throw new RequestError(`Campaign "${campaign.name}" is shot with its own cast (${campaign.cast.join(", ") || "none"}); leave cast unset or send the same ids.`);
+  }
+  const ids = requested.length ? requested : campaign?.cast || [];
+  const modelCount = resolveModels(payload).length;
+  if (ids.length > modelCount) {
+    throw new RequestError(`The cast has ${ids.length} members but the shot has ${modelCount} ${modelCount === 1 ? "model" : "models"}; raise modelCount.`);
+  }
+
+  const cast = (await castsById(ids)).map((c, i) => ({
+    id: c.id,
+    name: c.name,
+    model: i + 1,
+    wording: c.wording,
+    ...(c.hair && { hair: c.hair }),
+    ...(c.reference && { reference: { name: c.reference.name, type: c.reference.type } }),
+    updatedAt: c.updatedAt,
+  }));
+  return { cast, campaign: campaign && { id: campaign.id, name: campaign.name }, references: await castReferences(cast) };
+}
@@ -0,0 +1,266 @@
+import sharp from "sharp";
+
+// Contact sheets: numbered frames on one JPEG with the filename and key settings
+// printed beneath each. Style "film" lays every row on a strip of film base with
+// sprocket holes and edge print, like a darkroom proof. Comparison grids (sweeps)
+// use the same paper and type, with the swept values as row/column headers, and
+// so do the skincare texture and before/after panels (lib/skincare.js).
+
+export const CONTACT_SHEET_STYLES = ["plain", "film"];
+
+const CELL_WIDTH = 384;
+const MARGIN = 32;
+const GAP = 24;
+const HEADER = 64;
+const LABEL = 44;
+const STRIP = 30;
+
+const PALETTE = {
+  plain: { paper: "#f7f5f2", ink: "#1d1c1a", muted: "#6b6760" },
+  film: { paper: "#f4f2ee", ink: "#1d1c1a", muted: "#6b6760", base: "#171412", edge: "#e39a3b" },
+};
+
+export function escapeXml(s) {
+  return String(s ?? "").replace(/[<>&'"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;" })[c]);
+}
+
+function columnsFor(count) {
+  if (count <= 4) return count;
+  return count <= 6 ? 3 : 4;
+}
+
+// Largest font size (up to `max`) that keeps a label inside `width`;
+// `advance` is the average glyph width as a share of the font size
+function fitText(text, max, width, advance = 0.61) {
+  return Math.min(max, Math.floor((width / (String(text).length * advance)) * 10) / 10);
+}
+
+function settingsLine({ exif, grain }) {
+  const parts = [exif?.FilmStock, exif?.Lighting, exif?.Aperture, exif?.ISO && `ISO ${exif.ISO}`, grain && `seed ${grain.seed}`];
+  return parts.filter(Boolean).join(" · ");
+}
+
+// A row of perforations starting at y
+function sprocketHoles(x, y, width, fill) {
+  const holes = [];
+  for (let hx = x + 8; hx + 12 < x + width; hx += 22) {
+    holes.push(`<rect x="${hx}" y="${y}" width="12" height="10" rx="2" fill="${fill}"/>`);
+  }
+  return holes.join("");
+}
+
+// frames: [{ buffer, width, height, index, filename, exif, grain }]
+// Resolves to { buffer, width, height } of the composed JPEG.
+export async function composeContactSheet(frames, { title = "Contact Sheet", subtitle = "", style = "plain" } = {}) {
+  if (!frames.length) throw new Error("composeContactSheet needs at least one frame");
+  const film = style === "film";
+  const colors = film ? PALETTE.film : PALETTE.plain;
+  const columns = columnsFor(frames.length);
+  const rows = Math.ceil(frames.length / columns);
+  const thumbHeight = Math.round(CELL_WIDTH * (frames[0].height / frames[0].width));
+  const rowHeight = thumbHeight + (film ? STRIP * 2 : 0) + LABEL + GAP;
+  const width = MARGIN * 2 + columns * CELL_WIDTH + (columns - 1) * GAP;
+  const height = HEADER + MARGIN + rows * rowHeight - GAP + MARGIN;
+
+  const svg = [];
+  const thumbs = [];
+  svg.push(`<text x="${MARGIN}" y="${MARGIN + 8}" font-family="Helvetica, Arial, sans-serif" font-size="20" font-weight="700" letter-spacing="2" fill="${colors.ink}">${escapeXml(title.toUpperCase())}</text>`);
+  if (subtitle) {
+    svg.push(`<text x="${MARGIN}" y="${MARGIN + 30}" font-family="Helvetica, Arial, sans-serif" font-size="13" fill="${colors.muted}">${escapeXml(subtitle)}</text>`);
+  }
+
+  for (let row = 0; row < rows; row++) {
+    const rowTop = HEADER + MARGIN + row * rowHeight;
+    const rowFrames = frames.slice(row * columns, (row + 1) * columns);
+    if (film) {
+      // One continuous strip per row, the way negatives are cut and sleeved
+      const stripWidth = rowFrames.length * CELL_WIDTH + (rowFrames.length - 1) * GAP + 16;
+      svg.push(`<rect x="${MARGIN - 8}" y="${rowTop}" width="${stripWidth}" height="${thumbHeight + STRIP * 2}" fill="${colors.base}"/>`);
+      // Perforations sit next to the frames; edge print runs along the outer edge below
+      svg.push(sprocketHoles(MARGIN - 8, rowTop + STRIP - 14, stripWidth, colors.paper));
+      svg.push(sprocketHoles(MARGIN - 8, rowTop + STRIP + thumbHeight + 4, stripWidth, colors.paper));
+    }
+
+    for (let col = 0; col < rowFrames.length; col++) {
+      const frame = rowFrames[col];
+      const left = MARGIN + col * (CELL_WIDTH + GAP);
+      const top = rowTop + (film ? STRIP : 0);
+      const number = String(frame.index).padStart(2, "0");
+      thumbs.push({
+        input: await sharp(frame.buffer).resize(CELL_WIDTH, thumbHeight, { fit: "cover" }).toBuffer(),
+        left,
+        top,
+      });
+
+      if (film) {
+        const edge = `${String(frame.exif?.FilmStock || "").toUpperCase()}  ▸ ${frame.index}  ${frame.index}A`;
+        svg.push(`<text x="${left + 4}" y="${top + thumbHeight + STRIP - 4}" font-family="Helvetica, Arial, sans-serif" font-size="9" font-weight="700" letter-spacing="1" fill="${colors.edge}">${escapeXml(edge)}</text>`);
+      }
+      const labelTop = top + thumbHeight + (film ? STRIP : 0);
+      const label = `${number}  ${frame.filename}`;
+      svg.push(`<text x="${left}" y="${labelTop + 17}" font-family="Menlo, 'DejaVu Sans Mono', monospace" font-size="${fitText(label, 11, CELL_WIDTH)}" fill="${colors.ink}" xml:space="preserve"><tspan font-weight="700">${number}</tspan>  ${escapeXml(frame.filename)}</text>`);
+      svg.push(`<text x="${left}" y="${labelTop + 34}" font-family="Helvetica, Arial, sans-serif" font-size="11" fill="${colors.muted}">${escapeXml(settingsLine(frame))}</text>`);
+    }
+  }
+
+  const overlay = Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${svg.join("")}</svg>`);
+  const buffer = await sharp({ create: { width, height, channels: 3, background: colors.paper } })
+    .composite([{ input: overlay, left: 0, top: 0 }, ...thumbs])
+    .jpeg({ quality: 90 })
+    .withMetadata({ icc: "srgb" })
+    .toBuffer();
+  return { buffer, width, height };
+}
+
+const GRID_CELL = 320;
+const GRID_ROW_HEADER = 170;
+const GRID_COLUMN_HEADER = 48;
+const GRID_LABEL = 26;
+
+// columns/rows: { label, values: [display strings] } (rows may be null for a
+// one-axis sweep); cells: [{ row, column, buffer, width, height, filename }].
+// Cells are letterboxed rather than cropped so differing aspect ratios compare fairly.
+export async function composeComparisonGrid({ columns, rows, cells, title = "Comparison", subtitle = "" }) {
+  const colors = PALETTE.plain;
+  const rowCount = rows ? rows.values.length : 1;
+  const rowHeader = rows ? GRID_ROW_HEADER : 0;
+  const cellHeight = Math.round(Math.max(...cells.map((c) => GRID_CELL * (c.height / c.width))));
+  const gridTop = HEADER + MARGIN + GRID_COLUMN_HEADER;
+  const rowHeight = cellHeight + GRID_LABEL + GAP;
+  const width = MARGIN * 2 + rowHeader + columns.values.length * GRID_CELL + (columns.values.length - 1) * GAP;
+  const height = gridTop + rowCount * rowHeight - GAP + MARGIN;
+  const sans = "Helvetica, Arial, sans-serif";
+
+  const svg = [];
+  svg.push(`<text x="${MARGIN}" y="${MARGIN + 8}" font-family="${sans}" font-size="20" font-weight="700" letter-spacing="2" fill="${colors.ink}">${escapeXml(title.toUpperCase())}</text>`);
+  if (subtitle) {
+    svg.push(`<text x="${MARGIN}" y="${MARGIN + 30}" font-family="${sans}" font-size="13" fill="${colors.muted}">${escapeXml(subtitle)}</text>`);
+  }
+
+  // Axis names sit in the corner; swept values head each column and row
+  const axisNames = rows ? `${columns.label} → / ${rows.label} ↓` : `${columns.label} →`;
+  svg.push(`<text x="${MARGIN}" y="${gridTop - 30}" font-family="${sans}" font-size="11" fill="${colors.muted}">${escapeXml(axisNames)}</text>`);
+  columns.values.forEach((value, c) => {
+    const x = MARGIN + rowHeader + c * (GRID_CELL + GAP) + GRID_CELL / 2;
+    svg.push(`<text x="${x}" y="${gridTop - 10}" text-anchor="middle" font-family="${sans}" font-size="${fitText(value, 15, GRID_CELL, 0.56)}" font-weight="700" fill="${colors.ink}">${escapeXml(value)}</text>`);
+  });
+  if (rows) {
+    rows.values.forEach((value, r) => {
+      const y = gridTop + r * rowHeight + cellHeight / 2;
+      svg.push(`<text x="${MARGIN}" y="${y}" font-family="${sans}" font-size="${fitText(value, 15, GRID_ROW_HEADER - 16, 0.56)}" font-weight="700" fill="${colors.ink}">${escapeXml(value)}</text>`);
+    });
+  }
+
+  const thumbs = [];
+  for (const cell of cells) {
+    const left = MARGIN + rowHeader + cell.column * (GRID_CELL + GAP);
+    const top = gridTop + cell.row * rowHeight;
+    thumbs.push({
+      input: await sharp(cell.buffer)
+        .resize(GRID_CELL, cellHeight, { fit: "contain", background: colors.paper })
+        .toBuffer(),
+      left,
+      top,
+    });
+    svg.push(`<text x="${left}" y="${top + cellHeight + 17}" font-family="Menlo, 'DejaVu Sans Mono', monospace" font-size="${fitText(cell.filename, 11, GRID_CELL)}" fill="${colors.muted}">${escapeXml(cell.filename)}</text>`);
+  }
+
+  const overlay = Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${svg.join("")}</svg>`);
+  const buffer = await sharp({ create: { width, height, channels: 3, background: colors.paper } })
+    .composite([{ input: overlay, left: 0, top: 0 }, ...thumbs])
+    .jpeg({ quality: 90 })
+    .withMetadata({ icc: "srgb" })
+    .toBuffer();
+  return { buffer, width, height };
+}
+
+const PANEL_FRAME_HEIGHT = 960;
+const BEFORE_AFTER_COLUMN = 480;
+
+// A numbered outline around each box (from `first`), drawn over an image at `scale`
+function regionMarkers(boxes, { left, top, scale, first = 1 }) {
+  return boxes
+    .map((box, i) => {
+      const x = left + Math.round(box.left * scale);
+      const y = top + Math.round(box.top * scale);
+      const side = Math.round(box.width * scale);
+      return `<rect x="${x}" y="${y}" width="${side}" height="${Math.round(box.height * scale)}" fill="none" stroke="#ffffff" stroke-width="2"/><rect x="${x}" y="${y}" width="20" height="20" fill="#ffffff"/><text x="${x + 10}" y="${y + 15}" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="13" font-weight="700" fill="#1d1c1a">${first + i}</text>`;
+    })
+    .join("");
+}
+
+function panelHeader(svg, colors, title, subtitle) {
+  svg.push(`<text x="${MARGIN}" y="${MARGIN + 8}" font-family="Helvetica, Arial, sans-serif" font-size="20" font-weight="700" letter-spacing="2" fill="${colors.ink}">${escapeXml(title.toUpperCase())}</text>`);
+  if (subtitle) {
+    svg.push(`<text x="${MARGIN}" y="${MARGIN + 30}" font-family="Helvetica, Arial, sans-serif" font-size="13" fill="${colors.muted}">${escapeXml(subtitle)}</text>`);
+  }
+}
+
+async function composePanel({ width, height, svg, images, marks }) {
+  const layer = (parts) => Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${parts.join("")}</svg>`);
+  const buffer = await sharp({ create: { width, height, channels: 3, background: PALETTE.plain.paper } })
+    .composite([{ input: layer(svg), left: 0, top: 0 }, ...images, { input: layer(marks), left: 0, top: 0 }])
+    .jpeg({ quality: 90 })
+    .withMetadata({ icc: "srgb" })
+    .toBuffer();
+  return { buffer, width, height };
+}
+
+// frame: { buffer, width, height }; insets: [{ buffer, width, height, box, label, located }]
+// in marker order. The frame is scaled to fit; the insets are shown at 100%.
+export async function composeTexturePanel({ frame, insets, title = "Texture Panel", subtitle = "" }) {
+  const colors = PALETTE.plain;
+  const frameHeight = Math.min(PANEL_FRAME_HEIGHT, frame.height);
+  const scale = frameHeight / frame.height;
+  const frameWidth = Math.round(frame.width * scale);
+  const insetWidth = Math.max(...insets.map((i) => i.width));
+  const column = insets.reduce((sum, i) => sum + i.height + GRID_LABEL, 0) + (insets.length - 1) * GAP;
+  const top = HEADER + MARGIN;
+  const width = MARGIN * 2 + frameWidth + GAP + insetWidth;
+  const height = top + Math.max(frameHeight, column) + MARGIN;
+
+  const svg = [];
+  panelHeader(svg, colors, title, subtitle);
+  const images = [{ input: await sharp(frame.buffer).resize(frameWidth, frameHeight).toBuffer(), left: MARGIN, top }];
+  const marks = [regionMarkers(insets.map((i) => i.box), { left: MARGIN, top, scale })];
+
+  let y = top;
+  const left = MARGIN + frameWidth + GAP;
+  for (const [i, inset] of insets.entries()) {
+    images.push({ input: inset.buffer, left, top: y });
+    marks.push(regionMarkers([{ left: 0, top: 0, width: inset.width, height: inset.height }], { left, top: y, scale: 1, first: i + 1 }));
+    const label = `${inset.label} · 100% crop · ${inset.width}×${inset.height}${inset.located === "manual" ? " · placed" : ""}`;
+    svg.push(`<text x="${left}" y="${y + inset.height + 17}" font-family="Menlo, 'DejaVu Sans Mono', monospace" font-size="${fitText(label, 11, insetWidth)}" fill="${colors.muted}">${escapeXml(label)}</text>`);
+    y += inset.height + GRID_LABEL + GAP;
+  }
+  return composePanel({ width, height, svg, images, marks });
+}
+
+// before/after: encoded frames of the same width × height. One row of whole
+// frames, then one of `box` cropped from each at 100%.
+export async function composeBeforeAfter({ before, after, width: frameWidth, height: frameHeight, box, boxLabel = "Detail", title = "Before / After", subtitle = "", labels = ["Before grain", "After grain"] }) {
+  const colors = PALETTE.plain;
+  const column = Math.max(BEFORE_AFTER_COLUMN, box.width);
+  const scale = column / frameWidth;
+  const thumbHeight = Math.round(frameHeight * scale);
+  const gridTop = HEADER + MARGIN + GRID_COLUMN_HEADER;
+  const cropTop = gridTop + thumbHeight + GAP;
+  const width = MARGIN * 2 + column * 2 + GAP;
+  const height = cropTop + box.height + GRID_LABEL + MARGIN;
+
+  const svg = [];
+  const images = [];
+  const marks = [];
+  panelHeader(svg, colors, title, subtitle);
+  for (const [c, buffer] of [before, after].entries()) {
+    const left = MARGIN + c * (column + GAP);
+    svg.push(`<text x="${left + column / 2}" y="${gridTop - 10}" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="15" font-weight="700" fill="${colors.ink}">${escapeXml(labels[c])}</text>`);
+    images.push({ input: await sharp(buffer).resize(column, thumbHeight).toBuffer(), left, top: gridTop });
+    marks.push(regionMarkers([box], { left, top: gridTop, scale }));
+    const cropLeft = left + Math.round((column - box.width) / 2);
+    images.push({ input: await sharp(buffer).extract(box).toBuffer(), left: cropLeft, top: cropTop });
+    const label = `${boxLabel} · 100% crop · ${box.width}×${box.height}`;
+    svg.push(`<text x="${cropLeft}" y="${cropTop + box.height + 17}" font-family="Menlo, 'DejaVu Sans Mono', monospace" font-size="${fitText(label, 11, box.width)}" fill="${colors.muted}">${escapeXml(label)}</text>`);
+  }
+  return composePanel({ width, height, svg, images, marks });
+}
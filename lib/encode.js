@@ -0,0 +1,39 @@
+import sharp from "sharp";
+import { buildXmpPacket, injectJpegXmp, injectPngXmp, withCameraMetadata } from "./metadata.js";
+
+// Encoders for developed pixels. Every format carries the sRGB ICC profile and
+// all but TIFF carry EXIF (libvips' TIFF writer drops it); JPEG and PNG also get
+// the XMP mirror, spliced in after encoding because sharp cannot write XMP.
+
+export const JPEG_QUALITY = 96;
+
+export const FORMATS = {
+  jpeg: { ext: "jpg", mime: "image/jpeg", label: "JPEG", compressed: true },
+  png: { ext: "png", mime: "image/png", label: "PNG", compressed: true },
+  webp: { ext: "webp", mime: "image/webp", label: "WebP", compressed: true },
+  avif: { ext: "avif", mime: "image/avif", label: "AVIF", compressed: true },
+  tiff: { ext: "tif", mime: "image/tiff", label: "TIFF 16-bit", compressed: false },
+};
+
+// raw: 8-bit RGB from developImage. `longEdge` shrinks (never enlarges) first.
+export async function encodeImage(raw, { width, height }, format, { exif, longEdge } = {}) {
+  let pipeline = sharp(raw, { raw: { width, height, channels: 3 } });
+  if (longEdge && longEdge < Math.max(width, height)) {
+    pipeline = pipeline.resize({ width: longEdge, height: longEdge, fit: "inside", kernel: "lanczos3" });
+  }
+  switch (format) {
+    case "jpeg":
+      return injectJpegXmp(await withCameraMetadata(pipeline.jpeg({ quality: JPEG_QUALITY }), exif).toBuffer(), buildXmpPacket(exif));
+    case "png":
+      return injectPngXmp(await withCameraMetadata(pipeline.png({ compressionLevel: 9 }), exif).toBuffer(), buildXmpPacket(exif));
+    case "webp":
+      return withCameraMetadata(pipeline.webp({ quality: 92 }), exif).toBuffer();
+    case "avif":
+      return withCameraMetadata(pipeline.avif({ quality: 64 }), exif).toBuffer();
+    case "tiff":
+      // Widened to 16 bits per channel for grading headroom in editors
+      return withCameraMetadata(pipeline.toColourspace("rgb16").tiff({ compression: "lzw", predictor: "horizontal" }), exif).toBuffer();
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
@@ -0,0 +1,38 @@
+import { NextResponse } from "next/server";
+import { ProviderError } from "./providers/base.js";
+
+// A request the client has to fix; routes answer with `status` and `{ error, ...extra }`
+export class RequestError extends Error {
+  constructor(message, { status = 400, extra } = {}) {
+    super(message);
+    this.name = "RequestError";
+    this.status = status;
+    this.extra = extra;
+  }
+}
+
+// Status and JSON body for a failed request: client errors and provider failures
+// keep their status, anything else is logged and reported as a generic 500
+export function errorBody(err, context = "Request failed") {
+  if (err instanceof RequestError) {
+    return { status: err.status, body: { error: err.message, ...err.extra } };
+  }
+  if (err instanceof ProviderError) {
+    return {
+      status: err.status,
+      body: {
+        error: err.message,
+        attempts: err.attempts,
+        details: process.env.DEBUG_IMAGE === "true" ? err.details : undefined,
+      },
+    };
+  }
+  console.error(`${context}:`, err);
+  return { status: 500, body: { error: "Server error" } };
+}
+
+// Shared catch-all for route handlers
+export function errorResponse(err, context = "Request failed") {
+  const { status, body } = errorBody(err, context);
+  return NextResponse.json(body, { status });
+}
@@ -0,0 +1,164 @@
+import sharp from "sharp";
+import { cropBox, cropCenter, parseAspect } from "./aspect.js";
+import { FORMATS, encodeImage } from "./encode.js";
+import { RequestError } from "./errors.js";
+import { formatDate } from "./generate.js";
+import { readHistoryImage } from "./history.js";
+import { POSTPROCESS_VERSION } from "./postprocess.js";
+import { developFromRecipe } from "./recipe.js";
+import { createZip } from "./zip.js";
+
+// Export bundles: history frames re-encoded into several formats and long-edge
+// sizes (and optionally extra aspect crops), zipped together with each frame's
+// recipe, caption and any skincare deliverables. Frames with a
+// stored source and a current-version recipe are re-developed from the source,
+// so every format starts from the same pixels as the delivered JPEG; anything
+// else is decoded from the stored JPEG.
+//
+// options: { formats: ["jpeg", "png", "webp", "avif", "tiff"], sizes: ["full", 2048, 1080], crops: ["1:1", "9:16"] }
+// Extra crops are cut around the centre of the delivered frame's crop.
+
+export const EXPORT_FORMATS = Object.keys(FORMATS);
+export const DEFAULT_EXPORT = { formats: ["jpeg"], sizes: ["full"], crops: [] };
+export const MIN_EXPORT_EDGE = 64;
+export const MAX_EXPORT_EDGE = 8192;
+export const MAX_EXPORT_FRAMES = 24;
+export const MAX_EXPORT_FILES = 60;
+
+// Arrays or comma-separated strings (the query string form), deduplicated
+function listOf(value, { lower = true } = {}) {
+  if (value === undefined || value === null || value === "") return [];
+  const items = Array.isArray(value) ? value : String(value).split(",");
+  return [...new Set(items.map((v) => String(v).trim()).map((v) => (lower ? v.toLowerCase() : v)).filter(Boolean))];
+}
+
+export function parseExportOptions(input = {}) {
+  if (typeof input !== "object" || Array.isArray(input)) {
+    throw new RequestError('export must be an object like { "formats": ["jpeg", "png"], "sizes": ["full", 2048] }.');
+  }
+  const formats = listOf(input.formats).map((f) => (f === "jpg" ? "jpeg" : f === "tif" ? "tiff" : f));
+  const unknown = formats.filter((f) => !EXPORT_FORMATS.includes(f));
+  if (unknown.length) throw new RequestError(`Unknown export format: ${unknown.join(", ")}. Use ${EXPORT_FORMATS.join(", ")}.`);
+
+  const sizes = listOf(input.sizes).map((s) => {
+    if (s === "full") return s;
+    const edge = Number(String(s).replace(/px$/, ""));
+    if (!Number.isInteger(edge) || edge < MIN_EXPORT_EDGE || edge > MAX_EXPORT_EDGE) {
+      throw new RequestError(`Export sizes must be "full" or a long edge in pixels between ${MIN_EXPORT_EDGE} and ${MAX_EXPORT_EDGE}, got "${s}".`);
+    }
+    return edge;
+  });
+
+  const crops = listOf(input.crops, { lower: false }).map((label) => {
+    const aspect = parseAspect(label);
+    if (!aspect) throw new RequestError(`Export crop "${label}" is not usable: give a W:H ratio between 1:4 and 4:1 or a pixel size like 1080x1350.`);
+    return aspect.label;
+  });
+
+  return {
+    formats: formats.length ? [...new Set(formats)] : DEFAULT_EXPORT.formats,
+    sizes: sizes.length ? [...new Set(sizes)] : DEFAULT_EXPORT.sizes,
+    crops,
+  };
+}
+
+function exportQuery(ids, { formats, sizes, crops = [] }) {
+  const query = { ids: ids.join(","), formats: formats.join(","), sizes: sizes.join(",") };
+  if (crops.length) query.crops = crops.join(",");
+  return new URLSearchParams(query).toString();
+}
+
+// The bundle link returned alongside a render; null when no frame reached history
+export function bundleFor(historyIds, options) {
+  const ids = historyIds.filter(Boolean);
+  if (!ids.length) return null;
+  return { url: `/api/export?${exportQuery(ids, options)}`, formats: options.formats, sizes: options.sizes, crops: options.crops, frames: ids.length };
+}
+
+export function parseExportIds(value) {
+  const ids = listOf(value);
+  if (!ids.length) throw new RequestError("ids is required: one or more history ids, comma-separated.");
+  if (ids.length > MAX_EXPORT_FRAMES) throw new RequestError(`At most ${MAX_EXPORT_FRAMES} frames per export bundle.`);
+  return ids;
+}
+
+// A history entry with its delivered JPEG and, when it can be re-developed, its source
+async function loadEntry(id) {
+  const { entry, buffer: jpeg } = await readHistoryImage(id);
+  let source = null;
+  if (entry.recipe?.post?.version === POSTPROCESS_VERSION) {
+    try {
+      source = (await readHistoryImage(id, { kind: "source" })).buffer;
+    } catch (e) {
+      if (e.status !== 404) throw e;
+    }
+  }
+  return { entry, jpeg, source };
+}
+
+// Raw 8-bit RGB plus the EXIF to embed: the delivered frame, or with `aspect`
+// another crop centred where the delivered one is
+async function developEntry({ entry, jpeg, source }, aspect) {
+  const { recipe } = entry;
+  if (source) {
+    const crop = aspect && {
+      targetRatio: aspect.ratio,
+      focus: { strategy: "point", ...cropCenter(recipe.post.crop) },
+      outputSize: aspect.pixels,
+    };
+    return { ...(await developFromRecipe(recipe, source, crop)), exif: recipe.post.exif };
+  }
+  let image = sharp(jpeg);
+  if (aspect) {
+    const { width, height } = await image.metadata();
+    image = image.extract(cropBox(width, height, aspect.ratio));
+    if (aspect.pixels) image = image.resize({ ...aspect.pixels, fit: "fill", kernel: "lanczos3" });
+  }
+  const { data, info } = await image.removeAlpha().toColourspace("srgb").raw().toBuffer({ resolveWithObject: true });
+  return { raw: data, width: info.width, height: info.height, exif: entry.exif };
+}
+
+// Resolves to { buffer, filename, files } for a ZIP of the given history entries
+export async function buildExportBundle(ids, { formats, sizes, crops = [] }, { date = new Date() } = {}) {
+  const files = [];
+  const bases = [];
+  for (const id of ids) {
+    const loaded = await loadEntry(id);
+    const { entry, jpeg } = loaded;
+    const base = String(entry.filename || id).replace(/\.jpg$/i, "");
+    bases.push(base);
+
+    // The delivered crop first, then each extra crop under its aspect code
+    for (const aspect of [null, ...crops.map(parseAspect)]) {
+      const { raw, width, height, exif } = await developEntry(loaded, aspect);
+      const native = Math.max(width, height);
+      const prefix = aspect ? `${base}_${aspect.code}` : base;
+
+      // Sizes at or above the native edge collapse into "full": never upscale
+      const edges = [...new Set(sizes.map((s) => (s === "full" || s >= native ? "full" : s)))];
+      if (files.length + formats.length * edges.length > MAX_EXPORT_FILES) {
+        throw new RequestError(`Export bundle would hold more than ${MAX_EXPORT_FILES} files; pick fewer frames, formats, sizes or crops.`);
+      }
+      for (const format of formats) {
+        const { ext, compressed } = FORMATS[format];
+        for (const edge of edges) {
+          // The delivered JPEG is already the full-size JPEG export
+          const data = !aspect && format === "jpeg" && edge === "full" ? jpeg : await encodeImage(raw, { width, height }, format, { exif, longEdge: edge === "full" ? null : edge });
+          files.push({ name: `${prefix}_${edge === "full" ? "full" : `${edge}px`}.${ext}`, data, compress: !compressed });
+        }
+      }
+    }
+    // Skincare deliverables travel as delivered, under their own filenames
+    for (const d of entry.deliverables || []) {
+      if (files.length >= MAX_EXPORT_FILES) {
+        throw new RequestError(`Export bundle would hold more than ${MAX_EXPORT_FILES} files; pick fewer frames, formats, sizes or crops.`);
+      }
+      files.push({ name: d.filename, data: (await readHistoryImage(id, { deliverable: d.name })).buffer });
+    }
+    if (entry.recipe) files.push({ name: `${base}.recipe.json`, data: JSON.stringify(entry.recipe, null, 2) });
+    if (entry.caption) files.push({ name: `${base}.txt`, data: `${entry.caption}\n` });
+  }
+
+  const filename = ids.length === 1 ? `${bases[0]}.zip` : `EXPORT_${formatDate(date)}_${ids.length}frames.zip`;
+  return { buffer: createZip(files, { date }), filename, files: files.map((f) => f.name) };
+}
@@ -0,0 +1,291 @@
+import fs from "fs";
+import sharp from "sharp";
+
+// Post-processing profiles for each film stock. Everything is plain data so new
+// stocks can be added without touching the pipeline:
+//   iso         nominal film speed (drives grain unless `grain` overrides it)
+//   curve       [[in, out], ...] tone curve on 0–255, applied to all channels
+//   curves      optional per-channel { r, g, b } curves applied after `curve`
+//   matrix      3×3 color matrix (rows produce R, G, B)
+//   saturation  1 = unchanged, 0 = grey
+//   splitTone   { shadows: "#hex", highlights: "#hex", strength }
+//   monochrome  { weights: [r, g, b] } channel mix for B&W stocks
+//   halation    { threshold, radius, color, strength } red glow around highlights
+//   grain       { size, strength, chroma } size in px (clumping), strength 0–1,
+//               chroma 0–1 share of per-channel color noise (default 0.25)
+export const FILM_PROFILES = {
+  "Kodak Portra 400": {
+    iso: 400,
+    curve: [[0, 14], [64, 72], [128, 134], [192, 196], [255, 248]],
+    matrix: [
+      [1.04, 0.0, -0.04],
+      [0.0, 1.0, 0.0],
+      [-0.02, 0.02, 1.0],
+    ],
+    saturation: 0.92,
+    splitTone: { shadows: "#3f5666", highlights: "#ffd9b8", strength: 0.12 },
+    grain: { size: 1.3, strength: 0.1 },
+  },
+  "Fujifilm Pro 400H": {
+    iso: 400,
+    curve: [[0, 12], [64, 70], [128, 132], [192, 198], [255, 252]],
+    matrix: [
+      [0.98, 0.02, 0.0],
+      [0.0, 1.02, -0.02],
+      [0.0, 0.02, 1.02],
+    ],
+    saturation: 0.88,
+    splitTone: { shadows: "#3e6b66", highlights: "#f0f4ff", strength: 0.1 },
+    grain: { size: 1.2, strength: 0.09 },
+  },
+  "Kodak Ektar 100": {
+    iso: 100,
+    curve: [[0, 4], [64, 56], [128, 128], [192, 204], [255, 252]],
+    matrix: [
+      [1.08, -0.04, -0.04],
+      [-0.02, 1.04, -0.02],
+      [-0.04, -0.04, 1.08],
+    ],
+    saturation: 1.22,
+    grain: { size: 0.8, strength: 0.05 },
+  },
+  "Ilford Delta 100": {
+    iso: 100,
+    monochrome: { weights: [0.27, 0.62, 0.11] },
+    curve: [[0, 6], [64, 56], [128, 128], [192, 202], [255, 250]],
+    grain: { size: 0.9, strength: 0.07 },
+  },
+  "CineStill 800T": {
+    iso: 800,
+    curve: [[0, 16], [64, 68], [128, 128], [192, 188], [255, 242]],
+    matrix: [
+      [0.94, 0.02, 0.04],
+      [0.0, 1.0, 0.0],
+      [0.02, 0.04, 1.06],
+    ],
+    saturation: 0.95,
+    splitTone: { shadows: "#1f4a5a", highlights: "#ffc9a0", strength: 0.1 },
+    halation: { threshold: 210, radius: 14, color: "#ff3b1c", strength: 0.45 },
+    grain: { size: 1.8, strength: 0.16 },
+  },
+};
+
+const NEUTRAL_PROFILE = {
+  iso: 200,
+  curve: [[0, 8], [128, 130], [255, 250]],
+  saturation: 1.02,
+  grain: { size: 1, strength: 0.08 },
+};
+
+// Studio-specific stocks: FILM_PROFILES_PATH points at a JSON file of
+// { "Stock Name": { ...profile, "extends": "Kodak Portra 400" } }
+function loadCustomProfiles() {
+  const file = process.env.FILM_PROFILES_PATH;
+  if (!file) return {};
+  try {
+    const custom = JSON.parse(fs.readFileSync(file, "utf8"));
+    const resolved = {};
+    for (const [name, profile] of Object.entries(custom)) {
+      const base = profile.extends ? FILM_PROFILES[profile.extends] || {} : {};
+      const { extends: _ignored, ...rest } = profile;
+      resolved[name] = { ...base, ...rest };
+    }
+    return resolved;
+  } catch (e) {
+    console.warn("Custom film profiles could not be loaded:", e?.message);
+    return {};
+  }
+}
+
+const CUSTOM_PROFILES = loadCustomProfiles();
+
+export function listFilmStocks() {
+  return [...new Set([...Object.keys(FILM_PROFILES), ...Object.keys(CUSTOM_PROFILES)])];
+}
+
+export function getFilmProfile(name) {
+  return CUSTOM_PROFILES[name] || FILM_PROFILES[name] || NEUTRAL_PROFILE;
+}
+
+// Grain scales with film speed: ~0.05 at ISO 100, ~0.16 at ISO 800
+export function grainForProfile(profile) {
+  if (profile.grain) return profile.grain;
+  const stops = Math.log2((profile.iso || 200) / 100);
+  return { size: 0.8 + stops * 0.35, strength: 0.05 + stops * 0.037 };
+}
+
+function hexToRgb(hex) {
+  const m = String(hex || "").replace("#", "").match(/^([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i);
+  return m ? [parseInt(m[1], 16), parseInt(m[2], 16), parseInt(m[3], 16)] : [128, 128, 128];
+}
+
+// Monotone cubic (Fritsch–Carlson) through the curve points, sampled to a LUT
+export function buildCurveLut(points) {
+  const pts = [...(points || [[0, 0], [255, 255]])].sort((a, b) => a[0] - b[0]);
+  const n = pts.length;
+  const lut = new Uint8ClampedArray(256);
+  if (n < 2) {
+    for (let i = 0; i < 256; i++) lut[i] = i;
+    return lut;
+  }
+  const dx = [];
+  const slope = [];
+  for (let i = 0; i < n - 1; i++) {
+    dx.push(pts[i + 1][0] - pts[i][0]);
+    slope.push((pts[i + 1][1] - pts[i][1]) / dx[i]);
+  }
+  const tangent = [slope[0]];
+  for (let i = 1; i < n - 1; i++) {
+    tangent.push(slope[i - 1] * slope[i] <= 0 ? 0 : (slope[i - 1] + slope[i]) / 2);
+  }
+  tangent.push(slope[n - 2]);
+  for (let i = 0; i < n - 1; i++) {
+    if (slope[i] === 0) {
+      tangent[i] = 0;
+      tangent[i + 1] = 0;
+      continue;
+    }
+    const a = tangent[i] / slope[i];
+    const b = tangent[i + 1] / slope[i];
+    const h = a * a + b * b;
+    if (h > 9) {
+      const t = 3 / Math.sqrt(h);
+      tangent[i] = t * a * slope[i];
+      tangent[i + 1] = t * b * slope[i];
+    }
+  }
+  let seg = 0;
+  for (let x = 0; x < 256; x++) {
+    if (x <= pts[0][0]) {
+      lut[x] = pts[0][1];
+      continue;
+    }
+    if (x >= pts[n - 1][0]) {
+      lut[x] = pts[n - 1][1];
+      continue;
+    }
+    while (x > pts[seg + 1][0]) seg++;
+    const h = dx[seg];
+    const t = (x - pts[seg][0]) / h;
+    const t2 = t * t;
+    const t3 = t2 * t;
+    lut[x] = Math.round(
+      (2 * t3 - 3 * t2 + 1) * pts[seg][1] +
+        (t3 - 2 * t2 + t) * h * tangent[seg] +
+        (-2 * t3 + 3 * t2) * pts[seg + 1][1] +
+        (t3 - t2) * h * tangent[seg + 1]
+    );
+  }
+  return lut;
+}
+
+// Color work on a raw RGB buffer, in place: mono mix -> matrix -> curves -> split tone -> saturation
+function gradePixels(data, profile) {
+  const curve = buildCurveLut(profile.curve);
+  const curves = profile.curves
+    ? ["r", "g", "b"].map((c) => (profile.curves[c] ? buildCurveLut(profile.curves[c]) : null))
+    : [null, null, null];
+  const m = profile.matrix;
+  const mono = profile.monochrome?.weights;
+  const saturation = profile.saturation ?? 1;
+
+  let split = null;
+  if (profile.splitTone) {
+    const s = hexToRgb(profile.splitTone.shadows);
+    const h = hexToRgb(profile.splitTone.highlights);
+    const sl = 0.2126 * s[0] + 0.7152 * s[1] + 0.0722 * s[2];
+    const hl = 0.2126 * h[0] + 0.7152 * h[1] + 0.0722 * h[2];
+    split = {
+      shadows: s.map((v) => v - sl),
+      highlights: h.map((v) => v - hl),
+      strength: profile.splitTone.strength ?? 0.1,
+    };
+  }
+
+  for (let i = 0; i < data.length; i += 3) {
+    let r = data[i];
+    let g = data[i + 1];
+    let b = data[i + 2];
+
+    if (mono) {
+      r = g = b = mono[0] * r + mono[1] * g + mono[2] * b;
+    } else if (m) {
+      const nr = m[0][0] * r + m[0][1] * g + m[0][2] * b;
+      const ng = m[1][0] * r + m[1][1] * g + m[1][2] * b;
+      const nb = m[2][0] * r + m[2][1] * g + m[2][2] * b;
+      r = nr;
+      g = ng;
+      b = nb;
+    }
+
+    r = curve[r < 0 ? 0 : r > 255 ? 255 : Math.round(r)];
+    g = curve[g < 0 ? 0 : g > 255 ? 255 : Math.round(g)];
+    b = curve[b < 0 ? 0 : b > 255 ? 255 : Math.round(b)];
+    if (curves[0]) r = curves[0][r];
+    if (curves[1]) g = curves[1][g];
+    if (curves[2]) b = curves[2][b];
+
+    if (split && !mono) {
+      const l = (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
+      const ws = (1 - l) * (1 - l) * split.strength;
+      const wh = l * l * split.strength;
+      r += ws * split.shadows[0] + wh * split.highlights[0];
+      g += ws * split.shadows[1] + wh * split.highlights[1];
+      b += ws * split.shadows[2] + wh * split.highlights[2];
+    }
+
+    if (saturation !== 1 && !mono) {
+      const l = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+      r = l + (r - l) * saturation;
+      g = l + (g - l) * saturation;
+      b = l + (b - l) * saturation;
+    }
+
+    data[i] = r;
+    data[i + 1] = g;
+    data[i + 2] = b;
+  }
+}
+
+// Highlight mask -> wide blur -> tinted and screened back over the frame
+async function halationLayer(data, width, height, halation) {
+  const mask = Buffer.alloc(width * height);
+  const threshold = halation.threshold ?? 210;
+  const span = Math.max(1, 255 - threshold);
+  for (let p = 0, i = 0; p < mask.length; p++, i += 3) {
+    const l = 0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2];
+    mask[p] = l > threshold ? Math.min(255, ((l - threshold) / span) * 255) : 0;
+  }
+  const [cr, cg, cb] = hexToRgb(halation.color);
+  const glow = await sharp(mask, { raw: { width, height, channels: 1 } })
+    .blur(Math.max(0.3, halation.radius ?? 12))
+    .raw()
+    .toBuffer();
+  const strength = halation.strength ?? 0.4;
+  const layer = Buffer.alloc(width * height * 3);
+  for (let p = 0, i = 0; p < glow.length; p++, i += 3) {
+    const a = (glow[p] / 255) * strength;
+    layer[i] = cr * a;
+    layer[i + 1] = cg * a;
+    layer[i + 2] = cb * a;
+  }
+  return layer;
+}
+
+// Apply a film profile to an RGB raw buffer; resolves to a new raw RGB buffer
+export async function applyFilmProfile(raw, { width, height }, profile) {
+  const data = new Uint8ClampedArray(raw);
+  gradePixels(data, profile);
+  let out = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+
+  if (profile.halation && !profile.monochrome) {
+    const layer = await halationLayer(out, width, height, profile.halation);
+    // screen blend: 1 - (1 - a)(1 - b)
+    const screened = Buffer.alloc(out.length);
+    for (let i = 0; i < out.length; i++) {
+      screened[i] = 255 - ((255 - out[i]) * (255 - layer[i])) / 255;
+    }
+    out = screened;
+  }
+  return out;
+}
@@ -0,0 +1,402 @@
+import { ProviderError, getProvider } from "./providers/index.js";
+import { recordUsage } from "./usage.js";
+import { buildExif, buildExiftoolBlock } from "./metadata.js";
+import { compilePrompt } from "./prompt.js";
+import { buildSchema, defaultFor, validatePayload } from "./schema.js";
+import { listFilmStocks } from "./film.js";
+import { CAPTION_LENGTHS, createCaptioner, listCaptionVoices } from "./captions.js";
+import { selectInstructions } from "./instructions.js";
+import { newGrainSeed } from "./grain.js";
+import { RequestError } from "./errors.js";
+import { CROP_FOCUS, MAX_PIXEL_EDGE, MIN_PIXEL_EDGE, parseAspect, parseFocalPoint } from "./aspect.js";
+import { buildRecipe } from "./recipe.js";
+import { foldSingleModel, resolveModels } from "./models.js";
+import { processWithQc } from "./qc.js";
+import { resolveSkinInsets, skincareDeliverables } from "./skincare.js";
+
+// The generation pipeline shared by the API routes:
+// payload -> Shoot Sheet -> prompt -> provider -> per-frame crop/film/grain/metadata.
+
+export const MAX_VARIATIONS = 8;
+
+// The payload's aspect ({ ratio, code, pixels? }, see lib/aspect.js); unset means 1:1
+export function resolveAspect(payload) {
+  const aspect = parseAspect(payload.aspectRatio);
+  if (!aspect) {
+    throw new RequestError(
+      `aspectRatio "${payload.aspectRatio}" is not usable: give a preset, a W:H ratio between 1:4 and 4:1, or a pixel size like 1080x1350 (${MIN_PIXEL_EDGE}–${MAX_PIXEL_EDGE}px).`
+    );
+  }
+  return aspect;
+}
+
+// How the crop picks its region: { strategy: "attention" | "face" | "center" | "point", x?, y? }.
+// A focal point implies "Focal point" unless another focus was chosen explicitly.
+export function resolveCropFocus(payload) {
+  const point = parseFocalPoint(payload.focalPoint);
+  const strategy = CROP_FOCUS[payload.cropFocus] || (point ? "point" : "attention");
+  if (strategy !== "point") return { strategy };
+  if (!point) throw new RequestError('cropFocus "Focal point" needs a focalPoint like "0.5,0.35" (fractions of width and height).');
+  return { strategy, ...point };
+}
+
+// The shoot sheet's people lines: unchanged for one model, one line each for a
+// group. A cast member's natural hair stands in for the hair color selection.
+function modelSheetLines(input, cast = []) {
+  const castHair = (index) => cast.find((c) => c.model === index)?.hair;
+  const models = resolveModels(input).map((m) => (castHair(m.index) ? { ...m, hairColor: castHair(m.index), own: [...m.own, "hairColor"] } : m));
+  if (models.length === 1) {
+    const payload = foldSingleModel(input, models[0]);
+    return (
+      `- Models: ${payload.models || "1 female"} — Ethnicity: ${payload.ethnicities || "any"} — Age: ${payload.ageGroups || "25–30"}\n` +
+      `- Makeup: face ${payload.makeupFace || "natural"}; eyes ${payload.makeupEyes || "defined"}; lips ${payload.makeupLips || "soft"}\n` +
+      `- Hair: ${payload.hair?.colors || "medium brown"}; style ${payload.hairStyles || "loose waves"}; motion ${payload.hairMotion || "subtle"}\n`
+    );
+  }
+  return (
+    `- Models: group of ${models.length}\n` +
+    models
+      .map(
+        (m) =>
+          `  ${m.index}. ${m.position}: ${m.sex || "female"} — Ethnicity: ${m.ethnicity || "any"} — Age: ${m.age || "25–30"}; ` +
+          `makeup ${m.makeupFace || "natural"}/${m.makeupEyes || "defined"}/${m.makeupLips || "soft"}; ` +
+          `hair ${m.hairColor || "medium brown"}, ${m.hairStyle || "loose waves"}; wardrobe ${m.wardrobe || "minimalist 90s"}\n`
+      )
+      .join("") +
+    `- Hair motion: ${input.hairMotion || "subtle"}\n`
+  );
+}
+
+// Which cast member plays which model, and the campaign the frames belong to
+function castingLines(cast, campaign, modelCount) {
+  const lines = [];
+  if (cast.length) {
+    const members = cast.map((c) => `${c.name}${modelCount > 1 ? ` (model ${c.model})` : ""}${c.reference ? " + identity reference" : ""}`);
+    lines.push(`- Cast: ${members.join(", ")} — locked identity\n`);
+  }
+  if (campaign) lines.push(`- Campaign: ${campaign.name}\n`);
+  return lines.join("");
+}
+
+// `cast` and `campaign` come from resolveCasting (lib/casts.js)
+export function buildShootSheet(payload, { cast = [], campaign = null } = {}) {
+  const skincare = payload.skincareMode === true || payload.skincareMode === "on";
+  const defaults = (key) => defaultFor(key, { skincare });
+  const filmStock = payload.filmStock || defaults("filmStock");
+  const lightingPreset = payload.lightingPreset || (skincare ? defaults("lightingPreset") : (payload.lightingMood || defaults("lightingPreset")));
+  const cameraModel = payload.cameras || defaults("cameras");
+  const lens = payload.lenses || defaults("lenses");
+  const aperture = payload.fStops || defaults("fStops");
+  const iso = payload.iso || defaults("iso");
+  const wb = payload.whiteBalance || defaults("whiteBalance");
+  const angle = payload.angle || defaults("angle");
+  const backdrop = payload.backdrop || defaults("backdrop");
+  const env = payload.environment || defaults("environment");
+  const aspect = resolveAspect(payload).code;
+  const modelCount = resolveModels(payload).length;
+
+  return {
+    summary:
+      `Shoot Sheet\n` +
+      modelSheetLines(payload, cast) +
+      castingLines(cast, campaign, modelCount) +
+      `- Camera: ${cameraModel}; Lens: ${lens}; Aperture: ${aperture}\n` +
+      `- Backdrop: ${backdrop}; Framing: ${payload.framing || defaults("framing")}; Angle: ${angle}\n` +
+      `- Lighting: ${lightingPreset}; Pose: ${payload.pose || defaults("pose")}\n` +
+      `- Environment: ${env}\n` +
+      `- Skincare Focus Mode: ${skincare ? "ON" : "OFF"}; Film Stock: ${filmStock}\n` +
+      `- Aspect Ratio: ${payload.aspectRatio || "1:1"} (code ${aspect})\n` +
+      `- References: Pose ${payload.poseRef ? "YES" : "NO"}, Wardrobe ${payload.wardrobeRef ? "YES" : "NO"}\n` +
+      `\nUpload one pose reference (for body orientation) and an optional wardrobe reference (for fabric/texture cues).\nReply: "Looks good — generate image" to proceed.`,
+    settings: { skincare, filmStock, lightingPreset, cameraModel, lens, aperture, iso, wb, angle, aspect, modelCount, ...(cast.length && { cast: cast.map((c) => c.name) }) },
+  };
+}
+
+// Section VII of Studio_Full_Instructions: each reference conditions one aspect only
+export const REFERENCE_ROLES = {
+  pose: {
+    label: "Pose Reference",
+    instruction:
+      "use ONLY for body orientation, posture, head direction and weight distribution. Never replicate the person, face, hair, clothing or background.",
+  },
+  wardrobe: {
+    label: "Wardrobe Reference",
+    instruction:
+      "use ONLY for fabric type, texture and silhouette. Reinterpret creatively; never copy the garment exactly, and ignore the person, pose and background.",
+  },
+  // Attached from a cast profile (lib/casts.js) rather than uploaded per render
+  identity: {
+    label: "Identity Reference",
+    instruction:
+      "use ONLY for the cast member's face, skin tone, hair and distinguishing features, so the same person appears in every frame. Ignore the pose, clothing, lighting and background.",
+  },
+};
+
+const MAX_REFERENCE_BYTES = 25 * 1024 * 1024;
+
+export function collectReferences(formData) {
+  const references = [];
+  for (const role of Object.keys(REFERENCE_ROLES)) {
+    const file = formData.get(`${role}Ref`);
+    if (file && typeof file === "object" && file.size > 0) references.push({ role, file });
+  }
+  return references;
+}
+
+function validateReferences(references) {
+  for (const { role, file } of references) {
+    if (file.type && !file.type.startsWith("image/")) return `${REFERENCE_ROLES[role].label} must be an image (got ${file.type}).`;
+    if (file.size > MAX_REFERENCE_BYTES) return `${REFERENCE_ROLES[role].label} exceeds the 25 MB limit.`;
+  }
+  return null;
+}
+
+function buildReferenceGuidance(references) {
+  if (!references.length) return "";
+  const lines = references.map(
+    ({ role, note }, i) => `- Input image ${i + 1} is the ${REFERENCE_ROLES[role].label}${note ? ` (${note})` : ""}: ${REFERENCE_ROLES[role].instruction}`
+  );
+  return `Reference images are attached in this order:\n${lines.join("\n")}\nRender a new, original photograph; the references are conditioning only.`;
+}
+
+function sanitizeName(s) {
+  return String(s || "").replace(/[^A-Za-z0-9]+/g, "").slice(0, 20) || "Generic";
+}
+
+export function formatDate(date) {
+  const yyyy = date.getFullYear();
+  const mm = String(date.getMonth() + 1).padStart(2, "0");
+  const dd = String(date.getDate()).padStart(2, "0");
+  return `${yyyy}-${mm}-${dd}`;
+}
+
+// FASHION_<film>_<light>_<angle>_<aspect>_<date>[_<frame>].jpg
+export function buildFilename(settings, { date = new Date(), frame, prefix = "FASHION" } = {}) {
+  const filmCode = sanitizeName((settings.filmStock || "Portra400").replace(/\s+/g, ""));
+  const lightCode = sanitizeName((settings.lightingPreset || "SoftPearl").replace(/\s+/g, ""));
+  const angleCode = sanitizeName(String(settings.angle || "3Quarter").replace("¾", "3Quarter"));
+  const frameCode = frame ? `_${String(frame).padStart(2, "0")}` : "";
+  return `${prefix}_${filmCode}_${lightCode}_${angleCode}_${settings.aspect}_${formatDate(date)}${frameCode}.jpg`;
+}
+
+// Validate the multipart request (payload JSON + reference uploads) and resolve
+// the provider. Throws RequestError for anything the client has to fix.
+export function prepareRequest(formData) {
+  let rawPayload;
+  try {
+    rawPayload = JSON.parse(formData.get("payload") || "{}");
+  } catch {
+    throw new RequestError("Payload is not valid JSON.");
+  }
+
+  // Validate against the shared option schema instead of guessing at keys
+  const validation = validatePayload(rawPayload, buildSchema({ filmStocks: listFilmStocks(), captionVoices: listCaptionVoices() }));
+  if (!validation.ok) {
+    throw new RequestError("Invalid payload", {
+      extra: { unknownKeys: validation.unknownKeys, invalidValues: validation.invalidValues },
+    });
+  }
+  const payload = validation.payload;
+  resolveAspect(payload);
+  resolveCropFocus(payload);
+  resolveModels(payload);
+  resolveSkinInsets(payload);
+
+  const provider = getProvider(payload.provider || undefined);
+  if (!provider) throw new RequestError(`Unknown image provider: ${payload.provider}`);
+  const configError = provider.configError();
+  if (configError) {
+    console.error(`Image generation requested but provider "${provider.name}" is not configured.`);
+    throw new RequestError(configError, { status: 500 });
+  }
+
+  const references = collectReferences(formData);
+  payload.poseRef = references.some((r) => r.role === "pose");
+  payload.wardrobeRef = references.some((r) => r.role === "wardrobe");
+  const referenceError = validateReferences(references);
+  if (referenceError) throw new RequestError(referenceError);
+
+  const variations = payload.variations === undefined ? 1 : Number(payload.variations);
+  if (!Number.isInteger(variations) || variations < 1 || variations > MAX_VARIATIONS) {
+    throw new RequestError(`variations must be a whole number from 1 to ${MAX_VARIATIONS}.`);
+  }
+
+  return { payload, provider, references, variations };
+}
+
+// Providers may cap `n` (or ignore it); top up with further calls until we have enough.
+// servedBy[i] is { name, model, size } of the backend that made buffers[i], which
+// differs from `provider` when its fallback stepped in. Every call, good or bad,
+// goes into the usage ledger under `user`. A progress listener that throws (a
+// cancelled job) stops the render only after the call's outcome is recorded.
+export async function requestImages(provider, { prompt, size, references, mask, n, user, onProgress = () => {} }) {
+  const buffers = [];
+  const servedBy = [];
+  while (buffers.length < n) {
+    const want = n - buffers.length;
+    onProgress("provider-request", { provider: provider.name, size, n: want });
+    let stopped = null;
+    const providerProgress = (stage, detail) => {
+      if (stopped) return;
+      try {
+        onProgress(stage, detail);
+      } catch (err) {
+        stopped = err;
+      }
+    };
+    // With references we use the provider's edit path, which takes the uploads
+    // as image inputs; otherwise plain text-to-image generation.
+    let result;
+    try {
+      result = references.length
+        ? await provider.edit({ prompt, size, references, mask, n: want, offset: buffers.length, onProgress: providerProgress })
+        : await provider.generate({ prompt, size, n: want, offset: buffers.length, onProgress: providerProgress });
+    } catch (err) {
+      await recordUsage({ user, provider, size, requested: want, ok: false, status: err.status, error: err.message, attempts: err.attempts?.length });
+      throw stopped || err;
+    }
+    const received = (result.buffers || [result.buffer]).filter(Boolean).slice(0, want);
+    const served = result.servedBy || { name: provider.name, model: provider.model, size };
+    // Nothing to add would mean asking again forever
+    if (!received.length) {
+      const err = new ProviderError(`Image provider "${served.name}" returned no images.`, { provider: served.name });
+      await recordUsage({ user, provider: served, size: served.size, requested: want, ok: false, status: err.status, error: err.message, attempts: result.attempts?.length });
+      throw stopped || err;
+    }
+    await recordUsage({ user, provider: served, size: served.size, requested: want, images: received.length, ok: true, status: 200, attempts: result.attempts?.length });
+    if (stopped) throw stopped;
+    buffers.push(...received);
+    for (const _ of received) servedBy.push(served);
+    onProgress("image-fetched", { count: buffers.length, of: n, provider: servedBy[servedBy.length - 1].name });
+  }
+  return { buffers, servedBy };
+}
+
+// Render `variations` frames of one Shoot Sheet. Every frame goes through the
+// same crop/film/grain pipeline; grain seeds run consecutively from `grainSeed`
+// so any frame can be reproduced. `frame` numbers a single render that belongs
+// to a larger set (sweep cells) and `note` says how it differs from the rest,
+// for its alt text; batch frames get "Variation i of n". `onProgress(stage,
+// detail)` hears each stage in lib/progress.js as it finishes; `user` is who the
+// provider calls are billed to. `captioner` (lib/captions.js) can be shared
+// across renders so a sweep's captions don't repeat. `cast` and `campaign` are
+// the request's resolved casting (lib/casts.js); the cast's identity references
+// belong in `references`. Rejects with ProviderError on provider failure.
+export async function renderShoot({
+  payload,
+  provider,
+  references = [],
+  cast = [],
+  campaign = null,
+  shoot = buildShootSheet(payload, { cast, campaign }),
+  variations = 1,
+  frame,
+  note,
+  date = new Date(),
+  user,
+  captioner = createCaptioner(),
+  onProgress = () => {},
+}) {
+  const settings = shoot.settings;
+  const referenceGuidance = buildReferenceGuidance(references);
+
+  /* -------- Aspect Ratio Mapping (map to provider-supported sizes) -------- */
+  const { ratio: targetRatio, pixels } = resolveAspect(payload);
+  const providerSize = provider.mapSize(payload.aspectRatio, targetRatio, pixels);
+  const focus = resolveCropFocus(payload);
+
+  // Only the instruction sections this shoot needs, within the prompt budget
+  const instructions = selectInstructions({ settings, references });
+
+  /* -------- Final Prompt -------- */
+  const compiled = compilePrompt({
+    payload,
+    settings,
+    references,
+    cast,
+    studioExcerpt: instructions.excerpt,
+    referenceGuidance,
+  });
+  onProgress("prompt", { chars: compiled.prompt.length, instructions: instructions.injected.length });
+
+  /* -------- Provider call -------- */
+  const { buffers, servedBy } = await requestImages(provider, {
+    prompt: compiled.prompt,
+    size: providerSize,
+    references,
+    n: variations,
+    user,
+    onProgress,
+  });
+
+  /* -------- Crop, film stock emulation, grain, metadata & QC per frame -------- */
+  const skinInsets = settings.skincare ? resolveSkinInsets(payload) : null;
+  const baseSeed = Number.isInteger(payload.grainSeed) ? payload.grainSeed >>> 0 : variations > 1 ? newGrainSeed() : undefined;
+  const frames = [];
+  for (let i = 0; i < buffers.length; i++) {
+    const filename = buildFilename(settings, { date, frame: variations > 1 ? i + 1 : frame });
+    const captions = captioner(payload, settings, { note: variations > 1 ? `Variation ${i + 1} of ${buffers.length}` : note });
+    const caption = captions[CAPTION_LENGTHS[payload.captionLength]] || captions.editorial;
+    // EXIF keeps the editorial caption; social posts carry hashtags and line breaks
+    const exif = buildExif({ settings, aspectRatio: payload.aspectRatio, filename, caption: captions.editorial, altText: captions.alt, date });
+    const grainSeed = baseSeed === undefined ? undefined : (baseSeed + i) >>> 0;
+    const { buffer, ungrained, width, height, grain, post, qc } = await processWithQc(
+      buffers[i],
+      {
+        targetRatio,
+        focus,
+        outputSize: pixels,
+        filmStock: settings.filmStock,
+        iso: settings.iso,
+        grainSeed,
+        exif,
+        keepUngrained: settings.skincare,
+        onProgress: (stage, detail) => onProgress(stage, { ...detail, frame: i + 1, frames: buffers.length }),
+      },
+      { requested: { ratio: targetRatio, pixels }, autoCorrect: payload.autoCorrect === true }
+    );
+    // exiftool commands stay available as an optional fallback
+    const rendered = { index: i + 1, buffer, source: buffers[i], post, width, height, filename, caption, captions, exif, exifBlock: buildExiftoolBlock(exif), grain, qc };
+    // Skincare Focus Mode also delivers macro insets and texture/grain panels
+    if (skinInsets) {
+      rendered.deliverables = await skincareDeliverables({ buffer, ungrained, width, height, filename, filmStock: settings.filmStock, grain, insets: skinInsets });
+    }
+    rendered.recipe = buildRecipe({
+      frame: rendered,
+      payload,
+      settings,
+      prompt: compiled.prompt,
+      instructions,
+      provider: servedBy[i],
+      references,
+      variations,
+      cast,
+      campaign,
+      createdAt: date,
+    });
+    frames.push(rendered);
+  }
+
+  return {
+    frames,
+    prompt: compiled.prompt,
+    promptReport: compiled.report,
+    instructions: {
+      injected: instructions.injected,
+      skipped: instructions.skipped,
+      budget: instructions.budget,
+      chars: instructions.chars,
+    },
+    provider: servedBy[0],
+  };
+}
+
+// Response shape for a frame: images as data URLs, no raw buffers or pipeline internals
+export function frameToJson({ buffer, source: _source, post, deliverables, ...frame }) {
+  return {
+    ...frame,
+    crop: post?.crop,
+    imageUrl: `data:image/jpeg;base64,${buffer.toString("base64")}`,
+    ...(deliverables && { deliverables: deliverables.map(({ buffer: image, ...d }) => ({ ...d, imageUrl: `data:image/jpeg;base64,${image.toString("base64")}` })) }),
+  };
+}
@@ -0,0 +1,99 @@
+import { randomInt } from "crypto";
+import { createRng } from "./random.js";
+
+// Film grain: Gaussian noise rendered on a coarser grid and bilinearly upsampled
+// (so faster film clumps), weighted toward mid-tones, optionally with per-channel
+// chroma noise. Fully determined by (input pixels, settings, seed).
+
+export function newGrainSeed() {
+  return randomInt(0, 0xffffffff);
+}
+
+// Resolve grain settings from the film profile and the shoot sheet's ISO. Shooting
+// above the stock's box speed behaves like a push: more and coarser grain.
+export function grainSettings({ profileGrain, profileIso = 200, iso, monochrome = false, seed }) {
+  const push = Math.min(4, Math.max(0.25, (Number(iso) || profileIso) / profileIso));
+  return {
+    seed: Number.isInteger(seed) ? seed >>> 0 : newGrainSeed(),
+    size: Number((profileGrain.size * Math.pow(push, 0.25)).toFixed(3)),
+    strength: Number((profileGrain.strength * Math.sqrt(push)).toFixed(4)),
+    chroma: monochrome ? 0 : profileGrain.chroma ?? 0.25,
+  };
+}
+
+function gaussianSource(rng) {
+  let spare = null;
+  return function gaussian() {
+    if (spare !== null) {
+      const v = spare;
+      spare = null;
+      return v;
+    }
+    let u = 0;
+    while (u === 0) u = rng();
+    const v = rng();
+    const mag = Math.sqrt(-2 * Math.log(u));
+    spare = mag * Math.sin(2 * Math.PI * v);
+    return mag * Math.cos(2 * Math.PI * v);
+  };
+}
+
+function noiseField(gaussian, w, h) {
+  const field = new Float32Array(w * h);
+  for (let i = 0; i < field.length; i++) field[i] = gaussian();
+  return field;
+}
+
+// Apply grain to a raw RGB buffer; resolves to a new raw RGB buffer
+export function applyGrain(raw, { width, height }, { seed, size, strength, chroma }) {
+  const gaussian = gaussianSource(createRng(seed));
+  const scale = Math.max(1, size || 1);
+  const gw = Math.max(2, Math.ceil(width / scale) + 1);
+  const gh = Math.max(2, Math.ceil(height / scale) + 1);
+
+  // Clumped grain is smoother per sample; compensate so perceived strength holds
+  const sigma = Math.max(0, strength) * 80 * Math.sqrt(scale);
+  const luma = noiseField(gaussian, gw, gh);
+  const channels = chroma > 0 ? [noiseField(gaussian, gw, gh), noiseField(gaussian, gw, gh), noiseField(gaussian, gw, gh)] : null;
+  const lumaMix = 1 - (chroma || 0);
+
+  const out = new Uint8ClampedArray(raw.length);
+  for (let y = 0; y < height; y++) {
+    const gy = y / scale;
+    const y0 = Math.floor(gy);
+    const fy = gy - y0;
+    const row0 = y0 * gw;
+    const row1 = row0 + gw;
+    for (let x = 0; x < width; x++) {
+      const gx = x / scale;
+      const x0 = Math.floor(gx);
+      const fx = gx - x0;
+      const w00 = (1 - fx) * (1 - fy);
+      const w10 = fx * (1 - fy);
+      const w01 = (1 - fx) * fy;
+      const w11 = fx * fy;
+      const a = row0 + x0;
+      const b = row1 + x0;
+
+      const i = (y * width + x) * 3;
+      const l = (0.2126 * raw[i] + 0.7152 * raw[i + 1] + 0.0722 * raw[i + 2]) / 255;
+      // Strongest in mid-tones, gentle in deep shadows and clean highlights
+      const amount = sigma * (0.25 + 3 * l * (1 - l));
+
+      const n = luma[a] * w00 + luma[a + 1] * w10 + luma[b] * w01 + luma[b + 1] * w11;
+      if (channels) {
+        for (let c = 0; c < 3; c++) {
+          const f = channels[c];
+          const nc = f[a] * w00 + f[a + 1] * w10 + f[b] * w01 + f[b + 1] * w11;
+          out[i + c] = raw[i + c] + amount * (n * lumaMix + nc * chroma);
+        }
+      } else {
+        const d = amount * n;
+        out[i] = raw[i] + d;
+        out[i + 1] = raw[i + 1] + d;
+        out[i + 2] = raw[i + 2] + d;
+      }
+    }
+  }
+  return Buffer.from(out.buffer, out.byteOffset, out.byteLength);
+}
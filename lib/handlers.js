@@ -0,0 +1,329 @@
+import { randomUUID } from "crypto";
+import { RequestError } from "./errors.js";
+import { buildFilename, buildShootSheet, collectReferences, formatDate, frameToJson, prepareRequest, renderShoot, requestImages, resolveAspect, resolveCropFocus } from "./generate.js";
+import { CONTACT_SHEET_STYLES, composeComparisonGrid, composeContactSheet } from "./contactSheet.js";
+import { bundleFor, parseExportOptions } from "./export.js";
+import { getHistoryEntry, recordGeneration } from "./history.js";
+import { regeneratedRecipe, replayPost, validateRecipe } from "./recipe.js";
+import { getProvider } from "./providers/index.js";
+import { prepareRetouchFrame } from "./retouch.js";
+import { castReferences, resolveCasting } from "./casts.js";
+import { resolveModels } from "./models.js";
+import { buildSchema } from "./schema.js";
+import { listFilmStocks } from "./film.js";
+import { listCaptionVoices } from "./captions.js";
+import { formatSweepValue, parseSweep, runSweep } from "./sweep.js";
+import { assertWithinQuota, estimateCost } from "./usage.js";
+
+// The work behind /api/generate-image, /api/sweep, /api/retouch and /api/replay
+// regenerations, shared with /api/jobs.
+// Each prepare* validates a multipart request up front, including the caller's
+// quota (throwing RequestError), and resolves to a job spec for lib/jobs.js:
+// { type, user, detail, usesProvider, run }. run(report) renders, records
+// history and resolves to the JSON response body. It checks the quota again
+// first: jobs queued together were all checked against the same ledger.
+
+// Quota check for `images` more images at the size this request maps to
+async function checkQuota(user, { payload, provider, images }) {
+  const { ratio, pixels } = resolveAspect(payload);
+  const size = provider.mapSize(payload.aspectRatio, ratio, pixels);
+  await assertWithinQuota(user, { images, estimateUsd: estimateCost({ name: provider.name, model: provider.model, size }, images) });
+}
+
+export const JOB_TYPES = ["generate", "sweep", "retouch", "regenerate"];
+
+export async function prepareGenerate(formData, { user } = {}) {
+  const { payload, provider, references, variations } = prepareRequest(formData);
+  const { cast, campaign, references: identity } = await resolveCasting(payload);
+  references.push(...identity);
+
+  const contactSheetStyle = payload.contactSheetStyle || "plain";
+  if (!CONTACT_SHEET_STYLES.includes(contactSheetStyle)) {
+    throw new RequestError(`contactSheetStyle must be one of: ${CONTACT_SHEET_STYLES.join(", ")}.`);
+  }
+  const exportOptions = payload.export === undefined ? null : parseExportOptions(payload.export);
+
+  // Step 1–3: Build Shoot Sheet and optionally short-circuit if confirmation not provided
+  const shoot = buildShootSheet(payload, { cast, campaign });
+  const confirmed = payload.confirm === true || payload.confirm === "true" || payload.action === "generate";
+  const planningOnly = payload.action === "plan" || (!confirmed && payload.action !== "generate");
+  if (!planningOnly) await checkQuota(user, { payload, provider, images: variations });
+
+  return {
+    type: "generate",
+    user,
+    detail: { provider: provider.name, variations: planningOnly ? 0 : variations },
+    usesProvider: !planningOnly,
+    run: async (report) => {
+      if (planningOnly) {
+        return {
+          status: "shoot-sheet",
+          shootSheet: shoot.summary,
+          settings: shoot.settings,
+          message: "Review the Shoot Sheet. Upload a pose reference (required) and optional wardrobe reference. Reply with confirm=true to generate.",
+        };
+      }
+
+      await checkQuota(user, { payload, provider, images: variations });
+      const date = new Date();
+      const result = await renderShoot({ payload, provider, references, cast, campaign, shoot, variations, date, user, onProgress: report });
+      const historyIds = await recordGeneration({
+        frames: result.frames,
+        payload,
+        shoot,
+        prompt: result.prompt,
+        promptReport: result.promptReport,
+        provider: result.provider,
+        references,
+        cast,
+        campaign,
+        batch: variations > 1 ? { id: randomUUID(), count: variations } : undefined,
+        date,
+      });
+      const frames = result.frames.map((frame, i) => ({ ...frameToJson(frame), historyId: historyIds[i] }));
+
+      // Batches also come back as one numbered proof sheet
+      let contactSheet;
+      if (result.frames.length > 1) {
+        const { settings } = shoot;
+        const sheet = await composeContactSheet(result.frames, {
+          title: "Contact Sheet",
+          subtitle: `${settings.filmStock} · ${settings.lightingPreset} · ${settings.cameraModel} · ${formatDate(date)} · ${frames.length} frames`,
+          style: contactSheetStyle,
+        });
+        contactSheet = {
+          imageUrl: `data:image/jpeg;base64,${sheet.buffer.toString("base64")}`,
+          filename: buildFilename(settings, { date, prefix: "CONTACT" }),
+          width: sheet.width,
+          height: sheet.height,
+          style: contactSheetStyle,
+        };
+      }
+
+      // Top-level fields describe the first frame, as for a single render
+      const first = frames[0];
+      return {
+        imageUrl: first.imageUrl,
+        filename: first.filename,
+        caption: first.caption,
+        exif: first.exif,
+        exifBlock: first.exifBlock,
+        references: references.map((r) => r.role),
+        cast: cast.length ? cast : undefined,
+        campaign: campaign || undefined,
+        grain: first.grain,
+        qc: first.qc,
+        deliverables: first.deliverables,
+        historyId: first.historyId,
+        recipe: first.recipe,
+        frames: frames.length > 1 ? frames : undefined,
+        contactSheet,
+        bundle: exportOptions ? bundleFor(historyIds, exportOptions) : undefined,
+        promptReport: result.promptReport,
+        instructions: result.instructions,
+        provider: result.provider,
+      };
+    },
+  };
+}
+
+// Same multipart body as generate, plus
+// "sweep": { "axes": [{ "key": "lightingPreset", "values": [...] }, { "key": "filmStock" }] }
+export async function prepareSweep(formData, { user } = {}) {
+  const { payload, provider, references } = prepareRequest(formData);
+  const { cast, campaign, references: identity } = await resolveCasting(payload);
+  references.push(...identity);
+  const axes = parseSweep(payload.sweep, buildSchema({ filmStocks: listFilmStocks(), captionVoices: listCaptionVoices() }));
+  // A cell swept to "Focal point" without a focalPoint, or to fewer models than
+  // modelDetails describes, would only fail mid-sweep
+  for (const axis of axes) {
+    for (const value of axis.values) {
+      resolveCropFocus({ ...payload, [axis.key]: value });
+      resolveModels({ ...payload, [axis.key]: value });
+    }
+  }
+  const cellCount = axes.reduce((n, axis) => n * axis.values.length, 1);
+  const exportOptions = payload.export === undefined ? null : parseExportOptions(payload.export);
+  await checkQuota(user, { payload, provider, images: cellCount });
+
+  return {
+    type: "sweep",
+    user,
+    detail: { provider: provider.name, cells: cellCount },
+    usesProvider: true,
+    run: async (report) => {
+      await checkQuota(user, { payload, provider, images: cellCount });
+      const date = new Date();
+      const { grainSeed, cells } = await runSweep({ payload, provider, references, cast, campaign, axes, date, user, onProgress: report });
+      const sweepId = randomUUID();
+      for (const cell of cells) {
+        const [historyId] = await recordGeneration({
+          frames: [cell.frame],
+          payload: cell.payload,
+          shoot: cell.shoot,
+          prompt: cell.prompt,
+          promptReport: cell.promptReport,
+          provider: cell.provider,
+          references,
+          cast,
+          campaign,
+          sweep: { id: sweepId, row: cell.row, column: cell.column, values: cell.values },
+          date,
+        });
+        cell.historyId = historyId;
+      }
+
+      const [columnAxis, rowAxis] = axes;
+      const axisJson = (axis) => axis && { key: axis.key, label: axis.label, values: axis.values.map(formatSweepValue) };
+      const columns = axisJson(columnAxis);
+      const rows = axisJson(rowAxis) || null;
+
+      const grid = await composeComparisonGrid({
+        columns,
+        rows,
+        cells: cells.map((c) => ({ row: c.row, column: c.column, ...c.frame })),
+        title: rows ? `${columnAxis.label} × ${rowAxis.label}` : `${columnAxis.label} sweep`,
+        subtitle: `${cells.length} cells · grain seed ${grainSeed} · ${formatDate(date)}`,
+      });
+
+      return {
+        status: "sweep",
+        sweepId,
+        axes: rows ? [columns, rows] : [columns],
+        grainSeed,
+        grid: {
+          imageUrl: `data:image/jpeg;base64,${grid.buffer.toString("base64")}`,
+          filename: buildFilename(cells[0].settings, { date, prefix: "SWEEP" }),
+          width: grid.width,
+          height: grid.height,
+        },
+        cells: cells.map((c) => ({
+          row: c.row,
+          column: c.column,
+          values: c.values,
+          ...frameToJson(c.frame),
+          historyId: c.historyId,
+          promptReport: c.promptReport,
+        })),
+        bundle: exportOptions ? bundleFor(cells.map((c) => c.historyId), exportOptions) : undefined,
+        references: references.map((r) => r.role),
+        provider: { name: provider.name, model: provider.model },
+      };
+    },
+  };
+}
+
+// Multipart body: historyId, mask, instruction and an optional provider (see lib/retouch.js)
+export async function prepareRetouch(formData, { user } = {}) {
+  const mask = formData.get("mask");
+  const { provider, size, run } = await prepareRetouchFrame({
+    historyId: String(formData.get("historyId") || ""),
+    instruction: formData.get("instruction"),
+    mask: mask && typeof mask !== "string" ? Buffer.from(await mask.arrayBuffer()) : null,
+    providerName: formData.get("provider") || undefined,
+    user,
+  });
+  const quota = () => assertWithinQuota(user, { images: 1, estimateUsd: estimateCost({ name: provider.name, model: provider.model, size }, 1) });
+  await quota();
+
+  return {
+    type: "retouch",
+    user,
+    detail: { provider: provider.name, variations: 1 },
+    usesProvider: true,
+    run: async (report) => {
+      await quota();
+      const {
+        frame: { mask: _mask, ...frame },
+        historyId,
+        retouch,
+      } = await run(report);
+      return { ...frameToJson(frame), historyId, retouch };
+    },
+  };
+}
+
+// The recipe a replay names: `historyId` (a stored frame) or `recipe` (JSON text
+// field or uploaded .recipe.json file), validated
+export async function loadRecipe(formData) {
+  const historyId = formData.get("historyId");
+  if (historyId) {
+    const entry = await getHistoryEntry(String(historyId));
+    if (!entry.recipe) throw new RequestError(`History entry "${historyId}" has no recipe.`);
+    return validateRecipe(entry.recipe);
+  }
+  const field = formData.get("recipe");
+  if (!field) throw new RequestError("Send a historyId or a recipe.");
+  let recipe;
+  try {
+    recipe = JSON.parse(typeof field === "string" ? field : await field.text());
+  } catch {
+    throw new RequestError("Recipe is not valid JSON.");
+  }
+  return validateRecipe(recipe);
+}
+
+// Multipart body: historyId or recipe (see loadRecipe), plus poseRef / wardrobeRef
+// re-uploaded when the recipe was conditioned on them; a cast's identity
+// reference is attached again while the cast exists
+export async function prepareRegenerate(formData, { user } = {}) {
+  const recipe = await loadRecipe(formData);
+  // The recipe's own provider or nothing: a fallback would not reproduce it
+  const provider = getProvider(recipe.provider?.name, { fallback: false });
+  if (!provider) throw new RequestError(`Unknown image provider: ${recipe.provider?.name}`);
+  const configError = provider.configError();
+  if (configError) throw new RequestError(configError, { status: 500 });
+
+  const references = collectReferences(formData);
+  if (!references.some((r) => r.role === "identity")) references.push(...(await castReferences(recipe.input?.cast)));
+  const missing = (recipe.references || []).filter((role) => !references.some((r) => r.role === role));
+  if (missing.length) {
+    throw new RequestError(`This recipe was conditioned on a ${missing.join(" + ")} reference; upload it again to regenerate.`);
+  }
+  const quota = () => assertWithinQuota(user, { images: 1, estimateUsd: estimateCost(recipe.provider, 1) });
+  await quota();
+
+  return {
+    type: "regenerate",
+    user,
+    detail: { provider: provider.name, variations: 1 },
+    usesProvider: true,
+    run: async (report) => {
+      await quota();
+      const {
+        buffers: [source],
+      } = await requestImages(provider, { prompt: recipe.prompt.text, size: recipe.provider.size, references, n: 1, user, onProgress: report });
+      const result = await replayPost(recipe, source);
+      const next = regeneratedRecipe(recipe, { source, result });
+      const { payload, cast, campaign } = recipe.input;
+      const [historyId] = await recordGeneration({
+        frames: [{ ...result, index: 1, source, filename: recipe.output.filename, caption: recipe.output.caption, captions: recipe.output.captions, exif: recipe.post.exif, recipe: next }],
+        payload,
+        shoot: buildShootSheet(payload, { cast, campaign }),
+        prompt: recipe.prompt.text,
+        provider: recipe.provider,
+        references,
+        cast,
+        campaign,
+      });
+
+      return {
+        mode: "regenerate",
+        imageUrl: `data:image/jpeg;base64,${result.buffer.toString("base64")}`,
+        filename: recipe.output.filename,
+        caption: recipe.output.caption,
+        sha256: result.sha256,
+        recipe: next,
+        historyId,
+      };
+    },
+  };
+}
+
+export async function prepareJob(type, formData, options) {
+  if (type === "generate") return prepareGenerate(formData, options);
+  if (type === "sweep") return prepareSweep(formData, options);
+  if (type === "retouch") return prepareRetouch(formData, options);
+  if (type === "regenerate") return prepareRegenerate(formData, options);
+  throw new RequestError(`type must be one of: ${JOB_TYPES.join(", ")}.`);
+}
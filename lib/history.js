@@ -0,0 +1,175 @@
+import fs from "fs/promises";
+import path from "path";
+import { randomBytes } from "crypto";
+import sharp from "sharp";
+import { formatDate } from "./generate.js";
+import { RequestError } from "./errors.js";
+import { dataDir, isSafeId, readAllJson, readJson, removeFile, writeJson } from "./storage.js";
+
+// Generation history: every rendered frame is kept under data/history as
+//   <id>.jpg        the delivered JPEG (with its EXIF/XMP)
+//   <id>.thumb.jpg  gallery thumbnail
+//   <id>.source     the provider's image as received, for recipe replays
+//   <id>.mask.png   for retouched versions, the mask sent to the provider
+//   <id>.<name>.jpg skincare deliverables (insets and panels, see lib/skincare.js)
+//   <id>.json       payload, Shoot Sheet, cast and campaign, prompt, captions, EXIF, filename and recipe
+// Ids start with the render time in base 36, so they sort chronologically.
+// A retouch is a new entry whose `retouch` ({ parentId, rootId, version,
+// instruction }) links it to the frame it was made from.
+
+export const HISTORY_VERSION = 1;
+export const DEFAULT_PAGE_SIZE = 24;
+export const MAX_PAGE_SIZE = 100;
+
+const THUMB_EDGE = 360;
+
+function newHistoryId(date) {
+  return `${date.getTime().toString(36)}-${randomBytes(4).toString("hex")}`;
+}
+
+function files(dir, id) {
+  return {
+    entry: path.join(dir, `${id}.json`),
+    image: path.join(dir, `${id}.jpg`),
+    thumb: path.join(dir, `${id}.thumb.jpg`),
+    source: path.join(dir, `${id}.source`),
+    mask: path.join(dir, `${id}.mask.png`),
+  };
+}
+
+function deliverableFile(dir, id, name) {
+  return path.join(dir, `${id}.${name}.jpg`);
+}
+
+// Persist every frame of a finished render; resolves to one id per frame. Each
+// frame's recipe is stamped with the id holding its source image. A failed
+// write is logged and yields null: losing a history entry must never lose the
+// image the user is waiting for.
+export async function recordGeneration({ frames, payload, shoot, prompt, promptReport, provider, references = [], cast, campaign, batch, sweep, retouch, date = new Date() }) {
+  let dir;
+  try {
+    dir = await dataDir("history");
+  } catch (e) {
+    console.warn("History directory unavailable:", e?.message);
+    return frames.map(() => null);
+  }
+
+  const ids = [];
+  for (const frame of frames) {
+    const id = newHistoryId(date);
+    const target = files(dir, id);
+    try {
+      await fs.writeFile(target.image, frame.buffer);
+      if (frame.source) await fs.writeFile(target.source, frame.source);
+      if (frame.mask) await fs.writeFile(target.mask, frame.mask);
+      for (const d of frame.deliverables || []) await fs.writeFile(deliverableFile(dir, id, d.name), d.buffer);
+      if (frame.recipe) frame.recipe.source.historyId = id;
+      await sharp(frame.buffer)
+        .resize(THUMB_EDGE, THUMB_EDGE, { fit: "inside" })
+        .jpeg({ quality: 80 })
+        .toFile(target.thumb);
+      await writeJson(target.entry, {
+        version: HISTORY_VERSION,
+        id,
+        createdAt: date.toISOString(),
+        date: formatDate(date),
+        filename: frame.filename,
+        caption: frame.caption,
+        captions: frame.captions,
+        width: frame.width,
+        height: frame.height,
+        exif: frame.exif,
+        grain: frame.grain,
+        qc: frame.qc,
+        deliverables: frame.deliverables?.map(({ buffer: _buffer, ...d }) => d),
+        payload,
+        shootSheet: shoot.summary,
+        settings: shoot.settings,
+        prompt,
+        promptReport,
+        provider,
+        references: references.map((r) => r.role),
+        cast: cast?.length ? cast : undefined,
+        campaign: campaign || undefined,
+        batch: batch && { ...batch, index: frame.index },
+        sweep,
+        retouch,
+        recipe: frame.recipe,
+      });
+      ids.push(id);
+    } catch (e) {
+      console.warn(`Could not record ${frame.filename} in history:`, e?.message);
+      ids.push(null);
+    }
+  }
+  return ids;
+}
+
+function summarize(entry) {
+  const { id, createdAt, date, filename, caption, width, height, settings, provider, campaign, batch, sweep, retouch } = entry;
+  return { id, createdAt, date, filename, caption, width, height, settings, provider, campaign, batch, sweep, retouch };
+}
+
+// Newest first. Filters: filmStock, lightingPreset, campaign (id), from / to (YYYY-MM-DD, inclusive)
+export async function listHistory({ filmStock, lightingPreset, campaign, from, to, page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value && !/^\d{4}-\d{2}-\d{2}$/.test(value)) throw new RequestError(`${name} must be a date like 2025-11-05.`);
+  }
+  const size = Math.min(MAX_PAGE_SIZE, Math.max(1, Number.parseInt(pageSize, 10) || DEFAULT_PAGE_SIZE));
+  const current = Math.max(1, Number.parseInt(page, 10) || 1);
+
+  const entries = (await readAllJson(await dataDir("history")))
+    .filter((e) => !filmStock || e.settings?.filmStock === filmStock)
+    .filter((e) => !lightingPreset || e.settings?.lightingPreset === lightingPreset)
+    .filter((e) => !campaign || e.campaign?.id === campaign)
+    .filter((e) => !from || e.date >= from)
+    .filter((e) => !to || e.date <= to)
+    // Frames of one batch or sweep share a timestamp; keep them in frame order
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)) || String(a.filename).localeCompare(String(b.filename)));
+
+  return {
+    items: entries.slice((current - 1) * size, current * size).map(summarize),
+    total: entries.length,
+    page: current,
+    pageSize: size,
+    pages: Math.max(1, Math.ceil(entries.length / size)),
+  };
+}
+
+export async function getHistoryEntry(id) {
+  const entry = isSafeId(id) ? await readJson(files(await dataDir("history"), id).entry) : null;
+  if (!entry) throw new RequestError(`History entry "${id}" not found.`, { status: 404 });
+  return entry;
+}
+
+// Every version of a frame: the original first, then its retouches by version
+export async function listVersions(rootId) {
+  const entries = await readAllJson(await dataDir("history"));
+  return entries
+    .filter((e) => e.id === rootId || e.retouch?.rootId === rootId)
+    .sort((a, b) => (a.retouch?.version || 1) - (b.retouch?.version || 1))
+    .map(summarize);
+}
+
+// kind: "image" | "thumb" | "source" | "mask", or `deliverable` by name (entry.deliverables)
+export async function readHistoryImage(id, { kind = "image", deliverable } = {}) {
+  const entry = await getHistoryEntry(id);
+  const dir = await dataDir("history");
+  const stored = deliverable && entry.deliverables?.find((d) => d.name === deliverable);
+  if (deliverable && !stored) throw new RequestError(`History entry "${id}" has no deliverable "${deliverable}".`, { status: 404 });
+  const what = stored ? stored.name : kind;
+  try {
+    return { entry, deliverable: stored, buffer: await fs.readFile(stored ? deliverableFile(dir, id, stored.name) : files(dir, id)[kind]) };
+  } catch (e) {
+    if (e.code === "ENOENT") throw new RequestError(`The ${what} for history entry "${id}" is missing.`, { status: 404 });
+    throw e;
+  }
+}
+
+export async function deleteHistoryEntry(id) {
+  const entry = await getHistoryEntry(id);
+  const dir = await dataDir("history");
+  const target = files(dir, id);
+  const deliverables = (entry.deliverables || []).map((d) => deliverableFile(dir, id, d.name));
+  for (const file of [target.image, target.thumb, target.source, target.mask, ...deliverables, target.entry]) await removeFile(file);
+}
@@ -0,0 +1,110 @@
+import fs from "fs";
+import path from "path";
+
+// Section-aware retrieval from Studio_Full_Instructions.txt: the file is split on
+// its "----- / <numeral>. Title / -----" headers and only the sections relevant
+// to the current shoot are injected, in priority order, within a character budget.
+
+const DOC_PATH = path.join(process.cwd(), "app", "instructions", "Studio_Full_Instructions.txt");
+const RULE = /^-{10,}\s*$/;
+const HEADING = /^([IVXLC]+(?:-[A-Z])?)\.\s+(.+?)\s*$/;
+
+export const DEFAULT_BUDGET = Number(process.env.STUDIO_PROMPT_BUDGET) || 6000;
+
+export function parseInstructions(doc) {
+  const lines = String(doc || "").split(/\r?\n/);
+  const sections = [];
+  let current = { id: "preamble", title: "Preamble", lines: [] };
+
+  for (let i = 0; i < lines.length; i++) {
+    const heading = RULE.test(lines[i]) && lines[i + 1]?.match(HEADING);
+    if (heading && RULE.test(lines[i + 2] || "")) {
+      sections.push(current);
+      current = { id: heading[1], title: heading[2], lines: [] };
+      i += 2;
+      continue;
+    }
+    current.lines.push(lines[i]);
+  }
+  sections.push(current);
+
+  return sections
+    .map((s) => ({ id: s.id, title: s.title, text: s.lines.join("\n").trim() }))
+    .filter((s) => s.text && !/^\(End of Document\)$/.test(s.text));
+}
+
+let SECTIONS = [];
+try {
+  SECTIONS = parseInstructions(fs.readFileSync(DOC_PATH, "utf8"));
+} catch (e) {
+  // Non-fatal: continue without external doc (the prompt still carries core rules)
+  console.warn("Studio instructions file not found or unreadable:", e?.message);
+}
+
+export function getSections() {
+  return SECTIONS;
+}
+
+// Keep a markdown table's header rows plus only the rows naming `match`
+function focusTable(text, match) {
+  if (!match) return text;
+  const lines = text.split("\n");
+  const rows = lines.filter((l) => l.trim().startsWith("|"));
+  if (rows.length < 3 || !rows.some((r) => r.includes(match))) return text;
+  const header = rows.slice(0, 2);
+  return lines
+    .filter((l) => !l.trim().startsWith("|") || header.includes(l) || l.includes(match))
+    .join("\n");
+}
+
+// Which sections a shoot needs, most important first. `focus` narrows tables to
+// the chosen preset / stock so the budget goes to rules, not reference rows.
+function rankSections({ settings, references = [] }) {
+  const hasRefs = references.length > 0;
+  return [
+    { id: "II", reason: "skin, eye and expression realism" },
+    settings.skincare && { id: "V", reason: "Skincare Focus Mode is on" },
+    { id: "VI", reason: `film stock ${settings.filmStock}`, focus: settings.filmStock },
+    { id: "IV", reason: `lighting preset ${settings.lightingPreset}`, focus: settings.lightingPreset },
+    hasRefs && { id: "VII", reason: `${references.map((r) => r.role).join(" + ")} reference attached` },
+    { id: "XI", reason: "artifact correction" },
+    { id: "XII", reason: "quality control checklist" },
+    { id: "III", reason: "camera, lens and depth behavior" },
+    { id: "VIII", reason: "backdrop and composition" },
+    { id: "I", reason: "studio philosophy" },
+  ].filter(Boolean);
+}
+
+// Returns the excerpt text plus which sections were injected and which were
+// relevant but left out for budget
+export function selectInstructions({ settings, references = [], budget = DEFAULT_BUDGET, sections = SECTIONS }) {
+  const byId = new Map(sections.map((s) => [s.id, s]));
+  const chosen = [];
+  const skipped = [];
+  let used = 0;
+
+  for (const want of rankSections({ settings, references })) {
+    const section = byId.get(want.id);
+    if (!section) continue;
+    const text = focusTable(section.text, want.focus);
+    const block = `${section.id}. ${section.title}\n${text}`;
+    if (used + block.length + 2 > budget) {
+      skipped.push({ id: section.id, title: section.title, reason: want.reason, chars: block.length });
+      continue;
+    }
+    used += block.length + 2;
+    chosen.push({ id: section.id, title: section.title, reason: want.reason, chars: block.length, block });
+  }
+
+  // Present in document order so the excerpt reads like the source
+  const order = sections.map((s) => s.id);
+  chosen.sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id));
+
+  return {
+    excerpt: chosen.map((c) => c.block).join("\n\n"),
+    injected: chosen.map(({ block, ...meta }) => meta),
+    skipped,
+    budget,
+    chars: used,
+  };
+}
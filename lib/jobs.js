@@ -0,0 +1,204 @@
+import { randomUUID } from "crypto";
+import { RequestError, errorBody } from "./errors.js";
+import { createProgress } from "./progress.js";
+
+// In-process job queue. Renders run here rather than inside the request that
+// asked for them, so a dropped connection doesn't lose the result: clients poll
+// GET /api/jobs/:id, and a finished job stays readable for JOB_TTL_SECONDS.
+// At most JOB_CONCURRENCY jobs talk to the provider at once; the rest wait in
+// submission order. Jobs that never call the provider (plans) skip the line.
+// A job is only visible to the user who submitted it (see lib/usage.js).
+//   queued -> running -> succeeded | failed | cancelled
+
+export const DEFAULT_CONCURRENCY = 2;
+export const DEFAULT_TTL_SECONDS = 3600;
+
+// Results carry image data URLs, so finished jobs are also capped by the size of
+// their results (JOB_RESULTS_MAX_MB); past either cap the oldest go early. The
+// newest finished job is always kept, however large.
+export const DEFAULT_RESULTS_MAX_MB = 128;
+const MAX_FINISHED_JOBS = 50;
+
+const FINISHED = new Set(["succeeded", "failed", "cancelled"]);
+
+function jobConfig(env = process.env) {
+  return {
+    concurrency: Math.max(1, Number.parseInt(env.JOB_CONCURRENCY, 10) || DEFAULT_CONCURRENCY),
+    ttlMs: Math.max(1, Number(env.JOB_TTL_SECONDS) || DEFAULT_TTL_SECONDS) * 1000,
+    resultBytes: Math.max(1, Number(env.JOB_RESULTS_MAX_MB) || DEFAULT_RESULTS_MAX_MB) * 1024 * 1024,
+  };
+}
+
+// One store per server process, kept on globalThis so dev-mode reloads don't drop it
+const store = (globalThis.__modelGenJobs ||= { jobs: new Map(), queue: [], running: 0 });
+
+const cancelledError = () => new RequestError("Job was cancelled.", { status: 409 });
+
+function prune(now = Date.now()) {
+  const finished = [];
+  for (const job of store.jobs.values()) {
+    if (!FINISHED.has(job.status)) continue;
+    if (job.expiresAt <= now) store.jobs.delete(job.id);
+    else finished.push(job);
+  }
+  finished.sort((a, b) => b.finishedAt - a.finishedAt);
+  const { resultBytes } = jobConfig();
+  let bytes = 0;
+  finished.forEach((job, i) => {
+    bytes += job.resultBytes;
+    if (i > 0 && (i >= MAX_FINISHED_JOBS || bytes > resultBytes)) store.jobs.delete(job.id);
+  });
+}
+
+function finish(job, status, { result, err }) {
+  // A running job cancelled mid-render was finished by cancelJob already
+  if (job.finishedAt) return;
+  job.status = status;
+  job.finishedAt = Date.now();
+  job.expiresAt = job.finishedAt + jobConfig().ttlMs;
+  if (err) {
+    job.failure = errorBody(err, `Error running ${job.type} job`);
+    job.record("error", { status: job.failure.status });
+    job.reject(err);
+  } else {
+    job.result = result;
+    job.resultBytes = Buffer.byteLength(JSON.stringify(result ?? null));
+    job.record("done");
+    job.resolve(result);
+  }
+  // Drop the uploads and listeners the work closure was holding on to
+  job.run = null;
+  job.onEvent = null;
+  prune();
+}
+
+async function execute(job) {
+  if (job.usesProvider) store.running += 1;
+  job.status = "running";
+  job.startedAt = Date.now();
+  try {
+    job.report("started", { waitedMs: job.startedAt - job.createdAt });
+    const result = await job.run(job.report);
+    finish(job, "succeeded", { result });
+  } catch (err) {
+    finish(job, job.controller.signal.aborted ? "cancelled" : "failed", { err });
+  } finally {
+    if (job.usesProvider) store.running -= 1;
+    pump();
+  }
+}
+
+function pump() {
+  const { concurrency } = jobConfig();
+  while (store.queue.length && store.running < concurrency) execute(store.queue.shift());
+}
+
+// spec: { type, user, detail, usesProvider, run(report) } as built by
+// lib/handlers.js. `onEvent(stage, detail)` mirrors the job's progress to a
+// waiting request.
+export function submitJob({ type, user, detail = {}, usesProvider = true, run }, { onEvent } = {}) {
+  prune();
+  const job = {
+    id: randomUUID(),
+    type,
+    user,
+    detail,
+    usesProvider,
+    status: "queued",
+    createdAt: Date.now(),
+    resultBytes: 0,
+    events: [],
+    controller: new AbortController(),
+    run,
+    onEvent,
+  };
+  job.record = createProgress((event) => job.events.push(event));
+  // Every stage boundary is a cancellation point: a provider call already in
+  // flight completes, but its result is thrown away
+  job.report = (stage, stageDetail = {}) => {
+    if (job.controller.signal.aborted) throw cancelledError();
+    job.record(stage, stageDetail);
+    job.onEvent?.(stage, stageDetail);
+  };
+  job.settled = new Promise((resolve, reject) => {
+    job.resolve = resolve;
+    job.reject = reject;
+  });
+  job.settled.catch(() => {}); // nobody has to await a job submitted via /api/jobs
+  store.jobs.set(job.id, job);
+
+  if (!usesProvider) {
+    job.report("queued", { jobId: job.id, position: 0 });
+    execute(job);
+  } else {
+    store.queue.push(job);
+    job.report("queued", { jobId: job.id, position: store.queue.length });
+    pump();
+  }
+  return job;
+}
+
+// Resolve to the job's result, or throw its failure as the same error body a
+// direct request would have answered with
+export async function jobResult(job) {
+  try {
+    return await job.settled;
+  } catch {
+    const { error, ...extra } = job.failure.body;
+    throw new RequestError(error, { status: job.failure.status, extra });
+  }
+}
+
+function requireJob(id, user) {
+  prune();
+  const job = store.jobs.get(id);
+  if (!job || job.user !== user) throw new RequestError(`Job "${id}" not found or expired.`, { status: 404 });
+  return job;
+}
+
+function iso(ms) {
+  return ms ? new Date(ms).toISOString() : undefined;
+}
+
+export function jobToJson(job, { withResult = true } = {}) {
+  return {
+    id: job.id,
+    type: job.type,
+    user: job.user,
+    status: job.status,
+    position: job.status === "queued" ? store.queue.indexOf(job) + 1 : undefined,
+    detail: job.detail,
+    createdAt: iso(job.createdAt),
+    startedAt: iso(job.startedAt),
+    finishedAt: iso(job.finishedAt),
+    expiresAt: iso(job.expiresAt),
+    progress: job.events,
+    result: withResult ? job.result : undefined,
+    error: job.failure && { status: job.failure.status, ...job.failure.body },
+  };
+}
+
+export function getJob(id, { user } = {}) {
+  return jobToJson(requireJob(id, user));
+}
+
+// The user's jobs, newest first, without results
+export function listJobs({ user } = {}) {
+  prune();
+  return [...store.jobs.values()]
+    .filter((job) => job.user === user)
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map((job) => jobToJson(job, { withResult: false }));
+}
+
+// Queued jobs leave the queue at once. A running job is marked cancelled right
+// away and stops at its next stage; its provider slot frees when it does.
+export function cancelJob(id, { user } = {}) {
+  const job = requireJob(id, user);
+  if (FINISHED.has(job.status)) throw new RequestError(`Job "${id}" has already ${job.status === "cancelled" ? "been cancelled" : job.status}.`, { status: 409 });
+  job.controller.abort();
+  const queued = store.queue.indexOf(job);
+  if (queued >= 0) store.queue.splice(queued, 1);
+  finish(job, "cancelled", { err: cancelledError() });
+  return jobToJson(job);
+}
@@ -0,0 +1,181 @@
+import path from "path";
+import { randomUUID } from "crypto";
+import { REQUEST_KEYS, buildSchema, validatePayload } from "./schema.js";
+import { listFilmStocks } from "./film.js";
+import { listCaptionVoices } from "./captions.js";
+import { REFERENCE_ROLES } from "./generate.js";
+import { RequestError } from "./errors.js";
+import { dataDir, isSafeId, readAllJson, readJson, removeFile, writeJson } from "./storage.js";
+
+// Saved looks: a named, complete selection (schema payload incl. bgColor, plus
+// optional pose/wardrobe references as data URLs) stored as one JSON file per
+// look under data/looks. The same JSON is the export/import format.
+//
+// { version, id, name, notes, selection, references: { pose?: { name, type, dataUrl } },
+//   createdAt, updatedAt }
+
+export const LOOK_VERSION = 1;
+
+const MAX_REFERENCE_BYTES = 8 * 1024 * 1024;
+const MAX_NAME_LENGTH = 80;
+
+// Derived from the example setups in Studio_Full_Instructions (sections V, VI, VIII, IX).
+// Read-only; duplicate one to change it.
+export const BUILT_IN_LOOKS = [
+  {
+    id: "builtin-skincare-focus",
+    name: "Skincare Focus",
+    notes: "Section V example setup: R5 + 100mm macro at f/4, Soft Pearl Light, Pro 400H, 5200K.",
+    selection: { skincareMode: true, cameras: "Canon EOS R5", lenses: "100mm macro", fStops: "f/4", lightingPreset: "Soft Pearl Light", filmStock: "Fujifilm Pro 400H", whiteBalance: "5200K", framing: "Close-up", aspectRatio: "4:5" },
+  },
+  {
+    id: "builtin-editorial-portrait",
+    name: "Editorial Portrait",
+    notes: "Section IX metadata example: R5 + 85mm, ISO 200, Soft Pearl Light, Portra 400, 5300K, 4:5.",
+    selection: { cameras: "Canon EOS R5", lenses: "85mm f/1.2", fStops: "f/2", iso: 200, lightingPreset: "Soft Pearl Light", filmStock: "Kodak Portra 400", whiteBalance: "5300K", angle: "¾", aspectRatio: "4:5" },
+  },
+  {
+    id: "builtin-beauty-close-up",
+    name: "Beauty Close-Up",
+    notes: "Section VIII framing preset: 85mm, shoulders-up, eyes on the upper third.",
+    selection: { framing: "Close-up", lenses: "85mm f/1.2", angle: "Eye-level", lightingPreset: "Soft Pearl Light", filmStock: "Kodak Portra 400", aspectRatio: "4:5" },
+  },
+  {
+    id: "builtin-half-length",
+    name: "Half-Length Editorial",
+    notes: "Section VIII framing preset: half-length on a 50mm with side daylight.",
+    selection: { framing: "Half-body", lenses: "50mm f/1.2", lightingPreset: "Window Glow", filmStock: "Kodak Portra 400", aspectRatio: "3:4 (Portrait)" },
+  },
+  {
+    id: "builtin-full-length",
+    name: "Full-Length Fashion",
+    notes: "Section VIII framing preset: full-length on a 35mm; Studio Edge Light and Ektar for color fashion.",
+    selection: { framing: "Wide", lenses: "35mm f/1.4", lightingPreset: "Studio Edge Light", filmStock: "Kodak Ektar 100", aspectRatio: "9:16 (Vertical)" },
+  },
+  {
+    id: "builtin-night-scene",
+    name: "Night Scene",
+    notes: "Section VI: CineStill 800T for night scenes, with Cinematic Contrast under tungsten.",
+    selection: { filmStock: "CineStill 800T", lightingPreset: "Cinematic Contrast", iso: 800, whiteBalance: "3200K", aspectRatio: "16:9 (Landscape)" },
+  },
+  {
+    id: "builtin-monochrome-portrait",
+    name: "Monochrome Portrait",
+    notes: "Section VI: Ilford Delta 100 for B&W, with Window Glow for editorial portraits.",
+    selection: { filmStock: "Ilford Delta 100", lightingPreset: "Window Glow", iso: 100, aspectRatio: "4:5" },
+  },
+].map((look) => ({ version: LOOK_VERSION, builtIn: true, references: {}, createdAt: null, updatedAt: null, ...look }));
+
+function lookFile(dir, id) {
+  return path.join(dir, `${id}.json`);
+}
+
+function validateReferences(references) {
+  const clean = {};
+  const errors = [];
+  for (const [role, ref] of Object.entries(references || {})) {
+    if (!REFERENCE_ROLES[role]) {
+      errors.push(`Unknown reference role "${role}".`);
+      continue;
+    }
+    if (!ref) continue;
+    const m = String(ref.dataUrl || "").match(/^data:(image\/[A-Za-z0-9.+-]+);base64,([A-Za-z0-9+/=]+)$/);
+    if (!m) {
+      errors.push(`${REFERENCE_ROLES[role].label} must be an image data URL.`);
+      continue;
+    }
+    if (Buffer.byteLength(m[2], "base64") > MAX_REFERENCE_BYTES) {
+      errors.push(`${REFERENCE_ROLES[role].label} exceeds the 8 MB limit for saved looks.`);
+      continue;
+    }
+    clean[role] = { name: String(ref.name || `${role}-reference`).slice(0, 120), type: m[1], dataUrl: ref.dataUrl };
+  }
+  return { references: clean, errors };
+}
+
+// Validate the user-editable part of a look. Request-only keys (action, provider, …)
+// are dropped from the selection rather than rejected, so a raw payload can be saved.
+function validateLookInput(input, { partial = false } = {}) {
+  const look = {};
+  if (!partial || input.name !== undefined) {
+    const name = String(input.name || "").trim();
+    if (!name) throw new RequestError("A look needs a name.");
+    if (name.length > MAX_NAME_LENGTH) throw new RequestError(`Look names are limited to ${MAX_NAME_LENGTH} characters.`);
+    look.name = name;
+  }
+  if (input.notes !== undefined) look.notes = String(input.notes || "").slice(0, 500);
+  if (!partial || input.selection !== undefined) {
+    const selection = { ...(input.selection || {}) };
+    for (const key of REQUEST_KEYS) delete selection[key];
+    const validation = validatePayload(selection, buildSchema({ filmStocks: listFilmStocks(), captionVoices: listCaptionVoices() }));
+    if (!validation.ok) {
+      throw new RequestError("Invalid look selection", {
+        extra: { unknownKeys: validation.unknownKeys, invalidValues: validation.invalidValues },
+      });
+    }
+    look.selection = validation.payload;
+  }
+  if (!partial || input.references !== undefined) {
+    const { references, errors } = validateReferences(input.references);
+    if (errors.length) throw new RequestError("Invalid look references", { extra: { referenceErrors: errors } });
+    look.references = references;
+  }
+  return look;
+}
+
+// Listing leaves out reference image data; fetch a single look to get it
+export function summarizeLook(look) {
+  const references = {};
+  for (const [role, ref] of Object.entries(look.references || {})) references[role] = { name: ref.name, type: ref.type };
+  return { ...look, references };
+}
+
+export async function listLooks() {
+  const saved = await readAllJson(await dataDir("looks"));
+  saved.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+  return [...BUILT_IN_LOOKS, ...saved];
+}
+
+export async function getLook(id) {
+  const builtIn = BUILT_IN_LOOKS.find((l) => l.id === id);
+  if (builtIn) return builtIn;
+  const look = isSafeId(id) ? await readJson(lookFile(await dataDir("looks"), id)) : null;
+  if (!look) throw new RequestError(`Look "${id}" not found.`, { status: 404 });
+  return look;
+}
+
+// Create a new look; also used for imports, so any incoming id is ignored
+export async function createLook(input) {
+  const now = new Date().toISOString();
+  const look = { version: LOOK_VERSION, id: randomUUID(), notes: "", ...validateLookInput(input), createdAt: now, updatedAt: now };
+  await writeJson(lookFile(await dataDir("looks"), look.id), look);
+  return look;
+}
+
+export async function updateLook(id, patch) {
+  const current = await getLook(id);
+  if (current.builtIn) throw new RequestError("Built-in looks are read-only; duplicate it first.", { status: 403 });
+  const look = { ...current, ...validateLookInput(patch, { partial: true }), updatedAt: new Date().toISOString() };
+  await writeJson(lookFile(await dataDir("looks"), id), look);
+  return look;
+}
+
+export async function duplicateLook(id, { name } = {}) {
+  const source = await getLook(id);
+  return createLook({ ...source, name: name || `${source.name} (copy)`.slice(0, MAX_NAME_LENGTH) });
+}
+
+export async function deleteLook(id) {
+  const current = await getLook(id);
+  if (current.builtIn) throw new RequestError("Built-in looks cannot be deleted.", { status: 403 });
+  await removeFile(lookFile(await dataDir("looks"), id));
+}
+
+// The import format is the exported look itself; older or foreign fields are ignored
+export function importLook(doc) {
+  if (!doc || typeof doc !== "object") throw new RequestError("Look file must be a JSON object.");
+  if (doc.version !== undefined && doc.version > LOOK_VERSION) {
+    throw new RequestError(`Look file version ${doc.version} is newer than this app supports (${LOOK_VERSION}).`);
+  }
+  return createLook({ name: doc.name, notes: doc.notes, selection: doc.selection, references: doc.references });
+}
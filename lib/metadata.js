@@ -0,0 +1,245 @@
+import { crc32 } from "./zip.js";
+
+// Camera-style metadata for rendered files: true EXIF (via sharp), a mirrored
+// XMP packet, the sRGB ICC profile, plus the exiftool fallback commands.
+
+export const COLOR_PROFILE = "sRGB IEC61966-2.1";
+export const ARTIST = "Photo Model Render";
+export const SHUTTER = "1/250";
+
+const XMP_HEADER = Buffer.from("http://ns.adobe.com/xap/1.0/\0", "ascii");
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+// EXIF wants "YYYY:MM:DD HH:MM:SS" in local time
+export function formatExifDate(date) {
+  return `${date.getFullYear()}:${pad2(date.getMonth() + 1)}:${pad2(date.getDate())} ${pad2(date.getHours())}:${pad2(date.getMinutes())}:${pad2(date.getSeconds())}`;
+}
+
+// XMP wants ISO 8601 with the local offset
+function formatXmpDate(date) {
+  const offset = -date.getTimezoneOffset();
+  const sign = offset >= 0 ? "+" : "-";
+  const abs = Math.abs(offset);
+  return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}T${pad2(date.getHours())}:${pad2(date.getMinutes())}:${pad2(date.getSeconds())}${sign}${pad2(Math.floor(abs / 60))}:${pad2(abs % 60)}`;
+}
+
+// "Canon EOS R5" -> { make: "Canon", model: "EOS R5" }
+export function splitCameraModel(cameraModel) {
+  const parts = String(cameraModel || "Canon EOS R5").trim().split(/\s+/);
+  if (parts.length === 1) return { make: parts[0], model: parts[0] };
+  return { make: parts[0], model: parts.slice(1).join(" ") };
+}
+
+function parseKelvin(wb) {
+  const m = String(wb || "").match(/(\d{4,5})\s*K/i);
+  return m ? Number(m[1]) : null;
+}
+
+function escapeXml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+export function buildExif({ settings, aspectRatio, filename, caption, altText, date = new Date() }) {
+  const aperture = String(settings.aperture || "f/2.0").replace(/^f\//i, "");
+  const { make, model } = splitCameraModel(settings.cameraModel);
+  return {
+    Camera: settings.cameraModel,
+    Make: make,
+    Model: model,
+    Lens: settings.lens,
+    Aperture: `f/${aperture}`,
+    FNumber: Number(aperture) || 2,
+    ISO: Number(settings.iso) || 200,
+    Lighting: settings.lightingPreset,
+    FilmStock: settings.filmStock,
+    WhiteBalance: settings.wb,
+    AspectRatio: aspectRatio || "1:1",
+    Angle: settings.angle,
+    Filename: filename,
+    ColorProfile: COLOR_PROFILE,
+    Shutter: SHUTTER,
+    ExposureMode: "Manual",
+    DateTimeOriginal: formatExifDate(date),
+    Artist: ARTIST,
+    Copyright: `© ${date.getFullYear()} ${ARTIST}`,
+    ImageDescription: `${settings.filmStock} simulation | ${caption}`,
+    ...(altText && { AltText: altText }),
+    Software: ARTIST,
+    CreatedAt: date.toISOString(),
+  };
+}
+
+// IFD layout understood by sharp's withMetadata({ exif }); IFD2 is the Exif sub-IFD
+export function toExifTags(exif) {
+  const fNumber = Math.round(exif.FNumber * 10);
+  return {
+    IFD0: {
+      Make: exif.Make,
+      Model: exif.Model,
+      Artist: exif.Artist,
+      Copyright: exif.Copyright,
+      ImageDescription: exif.ImageDescription,
+      Software: exif.Software,
+      DateTime: exif.DateTimeOriginal,
+    },
+    IFD2: {
+      LensModel: exif.Lens,
+      FNumber: `${fNumber}/10`,
+      ExposureTime: exif.Shutter,
+      ISOSpeedRatings: String(exif.ISO),
+      ExposureProgram: "1", // Manual
+      ExposureMode: "1", // Manual
+      WhiteBalance: "1", // Manual; the Kelvin value lives in XMP
+      ColorSpace: "1", // sRGB
+      DateTimeOriginal: exif.DateTimeOriginal,
+      DateTimeDigitized: exif.DateTimeOriginal,
+    },
+  };
+}
+
+export function buildXmpPacket(exif) {
+  const date = formatXmpDate(new Date(exif.CreatedAt));
+  const kelvin = parseKelvin(exif.WhiteBalance);
+  const lines = [
+    '<?xpacket begin="﻿" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    ' <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    '  <rdf:Description rdf:about=""',
+    '    xmlns:dc="http://purl.org/dc/elements/1.1/"',
+    '    xmlns:tiff="http://ns.adobe.com/tiff/1.0/"',
+    '    xmlns:exif="http://ns.adobe.com/exif/1.0/"',
+    '    xmlns:exifEX="http://cipa.jp/exif/1.0/"',
+    '    xmlns:xmp="http://ns.adobe.com/xap/1.0/"',
+    '    xmlns:photoshop="http://ns.adobe.com/photoshop/1.0/"',
+    '    xmlns:crs="http://ns.adobe.com/camera-raw-settings/1.0/"',
+    ...(exif.AltText ? ['    xmlns:Iptc4xmpCore="http://iptc.org/std/Iptc4xmpCore/1.0/xmlns/"'] : []),
+    `    tiff:Make="${escapeXml(exif.Make)}"`,
+    `    tiff:Model="${escapeXml(exif.Model)}"`,
+    `    exifEX:LensModel="${escapeXml(exif.Lens)}"`,
+    `    exif:FNumber="${Math.round(exif.FNumber * 10)}/10"`,
+    `    exif:ExposureTime="${escapeXml(exif.Shutter)}"`,
+    '    exif:ExposureProgram="1"',
+    '    exif:WhiteBalance="1"',
+    '    exif:ColorSpace="1"',
+    `    exif:DateTimeOriginal="${date}"`,
+    `    xmp:CreateDate="${date}"`,
+    `    xmp:CreatorTool="${escapeXml(exif.Software)}"`,
+    `    photoshop:ICCProfile="${escapeXml(exif.ColorProfile)}"`,
+    ...(kelvin ? [`    crs:Temperature="${kelvin}"`] : []),
+    "   >",
+    `   <exif:ISOSpeedRatings><rdf:Seq><rdf:li>${exif.ISO}</rdf:li></rdf:Seq></exif:ISOSpeedRatings>`,
+    `   <dc:creator><rdf:Seq><rdf:li>${escapeXml(exif.Artist)}</rdf:li></rdf:Seq></dc:creator>`,
+    `   <dc:rights><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(exif.Copyright)}</rdf:li></rdf:Alt></dc:rights>`,
+    `   <dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(exif.ImageDescription)}</rdf:li></rdf:Alt></dc:description>`,
+    ...(exif.AltText ? [`   <Iptc4xmpCore:AltTextAccessibility><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(exif.AltText)}</rdf:li></rdf:Alt></Iptc4xmpCore:AltTextAccessibility>`] : []),
+    "  </rdf:Description>",
+    " </rdf:RDF>",
+    "</x:xmpmeta>",
+    '<?xpacket end="w"?>',
+  ];
+  return lines.join("\n");
+}
+
+// Insert an APP1 XMP segment after the existing APPn segments (JFIF, EXIF, ICC)
+export function injectJpegXmp(jpeg, xmp) {
+  if (jpeg[0] !== 0xff || jpeg[1] !== 0xd8) throw new Error("Not a JPEG buffer");
+  const payload = Buffer.concat([XMP_HEADER, Buffer.from(xmp, "utf8")]);
+  if (payload.length + 2 > 0xffff) throw new Error("XMP packet too large for a single APP1 segment");
+
+  let offset = 2;
+  while (offset + 4 <= jpeg.length && jpeg[offset] === 0xff && jpeg[offset + 1] >= 0xe0 && jpeg[offset + 1] <= 0xef) {
+    offset += 2 + jpeg.readUInt16BE(offset + 2);
+  }
+
+  const header = Buffer.alloc(4);
+  header[0] = 0xff;
+  header[1] = 0xe1;
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([jpeg.subarray(0, offset), header, payload, jpeg.subarray(offset)]);
+}
+
+// PNG carries XMP in an uncompressed iTXt chunk keyed "XML:com.adobe.xmp";
+// it goes right after IHDR, ahead of the image data
+export function injectPngXmp(png, xmp) {
+  if (png.readUInt32BE(0) !== 0x89504e47) throw new Error("Not a PNG buffer");
+  const ihdrEnd = 8 + 12 + png.readUInt32BE(8);
+  const data = Buffer.concat([
+    Buffer.from("XML:com.adobe.xmp\0", "latin1"),
+    Buffer.from([0, 0]), // not compressed, method 0
+    Buffer.from("\0\0", "latin1"), // no language tag, no translated keyword
+    Buffer.from(xmp, "utf8"),
+  ]);
+  const type = Buffer.from("iTXt", "latin1");
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  type.copy(chunk, 4);
+  data.copy(chunk, 8);
+  chunk.writeUInt32BE(crc32(Buffer.concat([type, data])), 8 + data.length);
+  return Buffer.concat([png.subarray(0, ihdrEnd), chunk, png.subarray(ihdrEnd)]);
+}
+
+// Attach EXIF + sRGB ICC to a sharp pipeline before encoding
+export function withCameraMetadata(pipeline, exif) {
+  return pipeline.withMetadata({ icc: "srgb", exif: toExifTags(exif) });
+}
+
+export function buildExiftoolBlock(exif) {
+  const aperture = exif.Aperture.replace(/^f\//i, "");
+  const filename = exif.Filename;
+
+  const mac_linux_cmd = [
+    "exiftool \\",
+    "  -overwrite_original \\",
+    `  -Make=\"${exif.Make}\" \\`,
+    `  -Model=\"${exif.Model}\" \\`,
+    `  -LensModel=\"${exif.Lens}\" \\`,
+    `  -FNumber=${aperture} \\`,
+    `  -ExposureTime=${exif.Shutter} \\`,
+    `  -ISO=${exif.ISO} \\`,
+    "  -ExposureProgram=\"Manual\" \\",
+    `  -WhiteBalance=\"Daylight (${exif.WhiteBalance})\" \\`,
+    "  -ColorSpace=\"sRGB\" \\",
+    `  -ProfileDescription=\"${COLOR_PROFILE}\" \\`,
+    "  -DateTimeOriginal=\"$(date '+%Y:%m:%d %H:%M:%S')\" \\",
+    `  -Artist=\"${ARTIST}\" \\`,
+    `  -Copyright=\"© $(date +%Y) ${ARTIST}\" \\`,
+    `  -ImageDescription=\"${exif.ImageDescription}\" \\`,
+    `  \"${filename}\"`,
+  ].join("\n");
+
+  const windows_cmd = [
+    "exiftool.exe ^\n",
+    " -overwrite_original ^\n",
+    ` -Make=\"${exif.Make}\" ^\n`,
+    ` -Model=\"${exif.Model}\" ^\n`,
+    ` -LensModel=\"${exif.Lens}\" ^\n`,
+    ` -FNumber=${aperture} ^\n`,
+    ` -ExposureTime=${exif.Shutter} ^\n`,
+    ` -ISO=${exif.ISO} ^\n`,
+    " -ExposureProgram=\"Manual\" ^\n",
+    ` -WhiteBalance=\"Daylight (${exif.WhiteBalance})\" ^\n`,
+    " -ColorSpace=\"sRGB\" ^\n",
+    ` -ProfileDescription=\"${COLOR_PROFILE}\" ^\n`,
+    " -DateTimeOriginal=\"%DATE:~10,4%:%DATE:~4,2%:%DATE:~7,2% %TIME:~0,8%\" ^\n",
+    ` -Artist=\"${ARTIST}\" ^\n`,
+    ` -Copyright=\"© %DATE:~10,4% ${ARTIST}\" ^\n`,
+    ` -ImageDescription=\"${exif.ImageDescription}\" ^\n`,
+    ` \"${filename}\"`,
+  ].join("");
+
+  return {
+    file_hint: filename,
+    profile: COLOR_PROFILE,
+    embedded: true,
+    mac_linux_cmd,
+    windows_cmd,
+    notes: "EXIF, XMP and the sRGB ICC profile are already embedded in the JPEG. These commands are an optional fallback for re-tagging a copy; exported PNGs carry EXIF, XMP and ICC as well.",
+  };
+}
@@ -0,0 +1,55 @@
+import { RequestError } from "./errors.js";
+import { OPTION_SCHEMA, getPath } from "./schema.js";
+
+// The people in a shot. `modelCount` says how many; `modelDetails[i]` sets
+// model i+1's own attributes, and anything it leaves unset comes from the
+// shot-wide field it inherits (models, ethnicities, hair.colors, …). Values stay
+// undefined when neither is set, so callers keep their own wording for defaults.
+
+const ITEM_FIELDS = OPTION_SCHEMA.fields.find((f) => f.key === "modelDetails").itemFields;
+
+// Where models stand when no position is given, by group size
+const DEFAULT_POSITIONS = {
+  1: ["Center"],
+  2: ["Left", "Right"],
+  3: ["Left", "Center", "Right"],
+  4: ["Far left", "Left", "Right", "Far right"],
+  5: ["Far left", "Left", "Center", "Right", "Far right"],
+  6: ["Far left", "Left", "Center", "Right", "Far right", "Background"],
+};
+
+// [{ index, position, sex, ethnicity, age, expression, makeupFace, …, own: [keys set per model] }]
+export function resolveModels(payload) {
+  const details = payload.modelDetails || [];
+  const count = payload.modelCount ?? Math.max(1, details.length);
+  if (details.length > count) {
+    throw new RequestError(`modelDetails describes ${details.length} models but modelCount is ${count}.`);
+  }
+  return Array.from({ length: count }, (_, i) => {
+    const own = details[i] || {};
+    const model = { index: i + 1, own: Object.keys(own) };
+    for (const field of ITEM_FIELDS) {
+      model[field.key] = own[field.key] ?? (field.inherits ? getPath(payload, field.inherits) : undefined);
+    }
+    model.position ||= DEFAULT_POSITIONS[count][i];
+    return model;
+  });
+}
+
+// Shot-wide keys every model overrides, so the prompt report can say so
+export function overriddenByModels(models) {
+  return ITEM_FIELDS.filter((f) => f.inherits && models.every((m) => m.own.includes(f.key))).map((f) => f.inherits);
+}
+
+// The payload with a lone model's own attributes folded into the shot-wide
+// keys, so a one-model shot reads exactly like it always has
+export function foldSingleModel(payload, model) {
+  const folded = { ...payload, hair: { ...payload.hair } };
+  for (const field of ITEM_FIELDS) {
+    if (!field.inherits || !model.own.includes(field.key)) continue;
+    if (field.inherits.startsWith("hair.")) folded.hair[field.inherits.slice(5)] = model[field.key];
+    else folded[field.inherits] = model[field.key];
+  }
+  if (!Object.keys(folded.hair).length) delete folded.hair;
+  return folded;
+}
@@ -0,0 +1,165 @@
+import sharp from "sharp";
+import { applyFilmProfile, getFilmProfile, grainForProfile } from "./film.js";
+import { applyGrain, grainSettings } from "./grain.js";
+import { JPEG_QUALITY, encodeImage } from "./encode.js";
+import { cropBox } from "./aspect.js";
+import { createRng } from "./random.js";
+
+// Bump when a change below alters output bytes, so old recipes report a mismatch
+// instead of silently replaying differently
+export const POSTPROCESS_VERSION = 1;
+
+const SHARPEN_SIGMA = 0.6;
+const FACE_SCAN_EDGE = 96;
+
+// Skin-toned by a YCbCr box; also how lib/skincare.js finds the face
+export function isSkinTone(r, g, b) {
+  const luma = 0.299 * r + 0.587 * g + 0.114 * b;
+  const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+  const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+  return luma >= 40 && cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173;
+}
+
+// Where the face most likely is, without a face detector: the centroid of
+// skin-toned pixels, weighted toward the top of the frame where a portrait's
+// face sits above the neck and shoulders. Null when too little skin shows.
+async function findFaceFocus(buffer) {
+  const { data, info } = await sharp(buffer).resize(FACE_SCAN_EDGE, FACE_SCAN_EDGE, { fit: "inside" }).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  let sum = 0;
+  let sumX = 0;
+  let sumY = 0;
+  let skin = 0;
+  for (let y = 0; y < info.height; y++) {
+    for (let x = 0; x < info.width; x++) {
+      const i = (y * info.width + x) * 3;
+      if (!isSkinTone(data[i], data[i + 1], data[i + 2])) continue;
+      const weight = (1 - y / info.height) ** 2;
+      skin++;
+      sum += weight;
+      sumX += weight * (x + 0.5);
+      sumY += weight * (y + 0.5);
+    }
+  }
+  if (skin < info.width * info.height * 0.005 || !sum) return null;
+  return { x: sumX / sum / info.width, y: sumY / sum / info.height };
+}
+
+// Crop to the requested aspect ratio. focus.strategy picks the region:
+// "attention" (sharp's saliency), "face" (findFaceFocus, else attention),
+// "center", or "point" at focus.x / focus.y. `outputSize` then resizes the crop
+// to exact pixels.
+async function cropToRatio(buffer, targetRatio, { focus = { strategy: "attention" }, outputSize } = {}) {
+  let imgSharp = sharp(buffer);
+  const meta = await imgSharp.metadata();
+  const originalWidth = meta.width || 1024;
+  const originalHeight = meta.height || 1024;
+
+  let strategy = focus.strategy;
+  let focal = strategy === "point" ? { x: focus.x, y: focus.y } : strategy === "center" ? { x: 0.5, y: 0.5 } : null;
+  if (strategy === "face") {
+    focal = await findFaceFocus(buffer);
+    if (!focal) strategy = "attention";
+  }
+
+  let box = null;
+  if (targetRatio && originalWidth && originalHeight) {
+    if (focal) {
+      box = cropBox(originalWidth, originalHeight, targetRatio, focal);
+      imgSharp = imgSharp.extract(box);
+    } else {
+      const desiredW = Math.min(originalWidth, Math.round(originalHeight * targetRatio));
+      const desiredH = Math.min(originalHeight, Math.round(originalWidth / targetRatio));
+      imgSharp = imgSharp.resize({ width: desiredW, height: desiredH, fit: "cover", position: "attention" });
+    }
+  }
+  let { data, info } = await imgSharp.removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  const cropped = { left: box ? box.left : -(info.cropOffsetLeft || 0), top: box ? box.top : -(info.cropOffsetTop || 0), width: info.width, height: info.height };
+  if (outputSize) {
+    ({ data, info } = await sharp(data, { raw: { width: info.width, height: info.height, channels: 3 } })
+      .resize({ width: outputSize.width, height: outputSize.height, fit: "fill", kernel: "lanczos3" })
+      .raw()
+      .toBuffer({ resolveWithObject: true }));
+  }
+  const crop = {
+    strategy,
+    ...(strategy !== focus.strategy && { requested: focus.strategy }),
+    ...(focal && { focal }),
+    sourceWidth: originalWidth,
+    sourceHeight: originalHeight,
+    ...cropped,
+    ...(outputSize && { outputWidth: info.width, outputHeight: info.height }),
+  };
+  return { data, info, crop };
+}
+
+/* -------- QC corrections (lib/qc.js decides when they apply) -------- */
+
+// Soft shoulder above `knee`, so channels that would clip at 255 roll off to `ceiling`
+function rollOffHighlights(raw, { knee, ceiling }) {
+  const curve = new Uint8Array(256);
+  for (let v = 0; v < 256; v++) {
+    const t = Math.max(0, (v - knee) / (255 - knee));
+    curve[v] = v <= knee ? v : Math.round(knee + (ceiling - knee) * (1 - (1 - t) * (1 - t)));
+  }
+  const out = Buffer.alloc(raw.length);
+  for (let i = 0; i < raw.length; i++) out[i] = curve[raw[i]];
+  return out;
+}
+
+// Triangular (TPDF) dither of ±amplitude levels, seeded so replays match
+function dither(raw, { amplitude, seed }) {
+  const rng = createRng(seed);
+  const out = new Uint8ClampedArray(raw.length);
+  for (let i = 0; i < raw.length; i++) out[i] = Math.round(raw[i] + (rng() + rng() - 1) * amplitude);
+  return Buffer.from(out.buffer, out.byteOffset, out.byteLength);
+}
+
+// Crop -> film stock grade -> clarity -> seeded grain, as raw 8-bit RGB. The
+// delivered JPEG and every export format are encoded from these pixels.
+// Pass `grainSeed` from an earlier response to reproduce a render byte-for-byte;
+// `profile` overrides the stock lookup (replays use the profile a recipe recorded).
+// `corrections` ({ highlights, dither }) are QC fixes: a highlight roll-off before
+// the grain and a dither after it.
+export async function developImage(buffer, { targetRatio, focus, outputSize, filmStock, profile = getFilmProfile(filmStock), iso, grainSeed, corrections, onProgress = () => {} }) {
+  const { data, info, crop } = await cropToRatio(buffer, targetRatio, { focus, outputSize });
+  const width = info.width;
+  const height = info.height;
+  onProgress("cropped", { width, height });
+  const raw = { raw: { width, height, channels: 3 } };
+
+  const graded = await applyFilmProfile(data, { width, height }, profile);
+
+  // Subtle clarity to restore microcontrast (helps "restore pores")
+  let sharpened = await sharp(graded, raw).sharpen(SHARPEN_SIGMA).raw().toBuffer();
+  if (corrections?.highlights) sharpened = rollOffHighlights(sharpened, corrections.highlights);
+
+  const grain = grainSettings({
+    profileGrain: grainForProfile(profile),
+    profileIso: profile.iso,
+    iso,
+    monochrome: !!profile.monochrome,
+    seed: grainSeed,
+  });
+  let grained = applyGrain(sharpened, { width, height }, grain);
+  if (corrections?.dither) grained = dither(grained, { ...corrections.dither, seed: (grain.seed ^ 0x9e3779b9) >>> 0 });
+  onProgress("grain", { filmStock, seed: grain.seed });
+  return { raw: grained, ungrained: sharpened, width, height, grain, crop, profile };
+}
+
+// developImage, then the delivered JPEG with embedded EXIF/XMP/ICC. With
+// `keepUngrained` the raw pixels from just before the grain come back as well.
+export async function processImage(buffer, { targetRatio, focus, outputSize, filmStock, profile, iso, grainSeed, corrections, exif, keepUngrained = false, onProgress = () => {} }) {
+  const developed = await developImage(buffer, { targetRatio, focus, outputSize, filmStock, profile, iso, grainSeed, corrections, onProgress });
+  const { raw, width, height, grain, crop } = developed;
+  const encoded = await encodeImage(raw, { width, height }, "jpeg", { exif });
+  onProgress("encoded", { bytes: encoded.length });
+  return {
+    buffer: encoded,
+    width,
+    height,
+    grain,
+    ...(keepUngrained && { ungrained: developed.ungrained }),
+    // Everything needed to run this exact pass again
+    post: { version: POSTPROCESS_VERSION, targetRatio, focus, outputSize, crop, filmStock, profile: developed.profile, iso, sharpen: SHARPEN_SIGMA, jpegQuality: JPEG_QUALITY, grain, corrections, exif },
+  };
+}
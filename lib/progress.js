@@ -0,0 +1,42 @@
+// Render stages in pipeline order, as reported by the streaming generate API.
+// The per-frame stages (cropped → qc) repeat for every frame of a batch and
+// their events carry `frame`. "started" follows "queued" once the job queue has
+// a provider slot, so its time is the wait. Shared with the page, so no
+// server-only imports.
+export const STAGES = [
+  { id: "validated", label: "Request validated" },
+  { id: "queued", label: "Queued" },
+  { id: "started", label: "Provider slot free" },
+  { id: "prompt", label: "Prompt compiled" },
+  { id: "provider-request", label: "Provider request sent" },
+  { id: "provider-response", label: "Provider responded" },
+  { id: "image-fetched", label: "Image fetched" },
+  { id: "cropped", label: "Cropped" },
+  { id: "grain", label: "Film grade & grain applied" },
+  { id: "encoded", label: "Encoded" },
+  { id: "qc", label: "Quality checked" },
+  { id: "done", label: "Done" },
+];
+
+export const FRAME_STAGES = ["cropped", "grain", "encoded", "qc"];
+
+// Off the main line: reported only when a provider call has to be retried or handed over
+const NOTICES = [
+  { id: "provider-retry", label: "Retrying provider" },
+  { id: "provider-fallback", label: "Falling back to another provider" },
+  { id: "error", label: "Failed" },
+];
+
+const LABELS = Object.fromEntries([...STAGES, ...NOTICES].map((s) => [s.id, s.label]));
+
+// report(stage, detail) -> emit({ stage, label, ...detail, at, ms }): `at` is
+// milliseconds since the request started, `ms` since the previous event
+export function createProgress(emit = () => {}) {
+  const start = Date.now();
+  let last = start;
+  return (stage, detail = {}) => {
+    const now = Date.now();
+    emit({ stage, label: LABELS[stage] || stage, ...detail, at: now - start, ms: now - last });
+    last = now;
+  };
+}
@@ -0,0 +1,335 @@
+// Prompt compiler: turns the payload + resolved Shoot Sheet settings into an
+// ordered prompt (subject -> styling -> set -> camera -> light -> post) and a
+// report of which selections were used, overridden or not recognised.
+//
+// Precedence rules:
+// - Resolved Shoot Sheet settings (camera, lens, aperture, film, lighting preset)
+//   always win over raw payload values; Skincare Focus Mode defaults apply there.
+// - Skincare Focus Mode overrides softening lens filters (diffusion, Vaseline).
+// - A monochrome film stock overrides color palettes and color-driven tone styles.
+// - A pose reference image overrides the pose preset (the reference governs the body).
+// - Background color applies only to a seamless / unset backdrop.
+// - Editorial style sets overall direction but never replaces explicit selections.
+// - In a group shot, each model's own attributes (modelDetails) override the
+//   shot-wide model, makeup, hair and wardrobe selections for that model.
+// - A cast member (lib/casts.js) is described in their cast's locked wording,
+//   and their natural hair overrides the hair color selection for that model.
+
+import { getFilmProfile } from "./film.js";
+import { defaultFor } from "./schema.js";
+import { foldSingleModel, overriddenByModels, resolveModels } from "./models.js";
+
+export const SECTION_ORDER = ["subject", "styling", "set", "camera", "light", "post"];
+
+const SECTION_TITLES = {
+  subject: "SUBJECT",
+  styling: "STYLING",
+  set: "SET & COMPOSITION",
+  camera: "CAMERA",
+  light: "LIGHT",
+  post: "POST & FILM",
+};
+
+// Payload keys consumed outside the field rules (control flags, resolved settings)
+const CONTROL_KEYS = new Set([
+  "action",
+  "confirm",
+  "provider",
+  "grainSeed",
+  "variations",
+  "contactSheetStyle",
+  "sweep",
+  "export",
+  "autoCorrect",
+  "skinInsets",
+  "campaign",
+  "poseRef",
+  "wardrobeRef",
+  "aspectRatio",
+  "cropFocus",
+  "focalPoint",
+  "captionLength",
+  "captionVoice",
+]);
+
+const SOFTENING_FILTERS = /diffusion|vaseline/i;
+const COLOR_TONES = /saturated|color/i;
+
+function list(value) {
+  if (Array.isArray(value)) return value.filter(Boolean).map(String);
+  if (value === undefined || value === null || value === "") return [];
+  return [String(value)];
+}
+
+function lower(value) {
+  return list(value).join(", ").toLowerCase();
+}
+
+export const CORE_STANDARDS = `
+You are a professional AI image-generation assistant specialized in ultra-realistic fashion/skincare portraits.
+Render as high-end DSLR/medium-format photography with editorial realism and optical imperfections.
+Follow the reference framework (Studio_Full_Instructions). Key sections: Skin realism, Eye behavior, Optical depth, Lighting presets, Skincare Focus Mode, Film Stock simulation, Pose and Wardrobe cue handling, Artifact correction.
+
+Core Standards (from Studio_Full_Instructions):
+- Preserve pores, subtle blemishes, and natural tone variation; avoid plastic smoothing.
+- Eyes must be expressive, iris in sharp focus with catchlights matching key light.
+- Lighting includes real imperfections: edge glare, slight color temp offsets, uneven shadows.
+- Hair edges stay soft with realistic stray strands and gentle depth falloff.
+- Never imitate real people; outputs must be brand-safe and human-realistic.
+`.trim();
+
+const CLOSING = "The resulting image must maintain visible optical imperfections and realistic photographic texture.";
+
+function streakDetail(streaks, hair = {}) {
+  if (!streaks || streaks === "None") return "";
+  return (
+    ` with ${[hair.streakDensity && hair.streakDensity.toLowerCase(), streaks.toLowerCase()].filter(Boolean).join(" ")}` +
+    (hair.streakPlacement ? ` placed at the ${hair.streakPlacement.toLowerCase()}` : "")
+  );
+}
+
+function hairLines(hair = {}, payload) {
+  return [
+    `Hair: ${hair.colors || "medium brown"}${streakDetail(hair.streaks, hair)}, styled in a ${payload.hairStyles || "loose waves"} look with ${payload.hairFinish || "natural texture"}; realistic flyaways and ${payload.hairMotion || "subtle movement"}.`,
+    "The hair color and streaks must match the exact tone description; do not reinterpret hue.",
+  ];
+}
+
+// One line per model, left to right as placed, so the provider renders distinct people
+function groupSubjectLines(models) {
+  return [
+    `Group of ${models.length} models: ${models.length} distinct individuals, each with their own face, build and features; never duplicate or blend faces.`,
+    ...models.map(
+      (m) =>
+        `Model ${m.index} (${lower(m.position)}): ${lower(m.sex) || "female"}, ${m.ethnicity || "any"} ethnicity, age ${m.age || "25–30"}` +
+        (m.expression ? `; expression: ${lower(m.expression)}.` : ".")
+    ),
+  ];
+}
+
+function groupStylingLines(models, payload) {
+  return [
+    ...models.map(
+      (m) =>
+        `Model ${m.index} styling: makeup ${m.makeupFace || "natural"}, eyes ${m.makeupEyes || "defined"}, lips ${m.makeupLips || "soft"}; ` +
+        `hair ${m.hairColor || "medium brown"}${streakDetail(m.hairStreaks, payload.hair)} in a ${m.hairStyle || "loose waves"} look; wardrobe: ${m.wardrobe || "minimalist 90s"}.`
+    ),
+    `Hair for every model: ${payload.hairFinish || "natural texture"}; realistic flyaways and ${payload.hairMotion || "subtle movement"}.`,
+    "Each model's hair color and streaks must match their own tone description; do not reinterpret hue or swap between models.",
+  ];
+}
+
+export function compilePrompt({ payload: input, settings, references = [], cast = [], studioExcerpt = "", referenceGuidance = "" }) {
+  const sections = Object.fromEntries(SECTION_ORDER.map((s) => [s, []]));
+  const used = [];
+  const overridden = [];
+  const consumed = new Set(CONTROL_KEYS);
+
+  const use = (key, section, value) => {
+    consumed.add(key.split(".")[0]);
+    if (list(value).length) used.push({ key, value, section });
+  };
+  const override = (key, value, reason) => {
+    consumed.add(key.split(".")[0]);
+    if (list(value).length) overridden.push({ key, value, reason });
+  };
+
+  // A lone model reads exactly as before; a group is described model by model
+  const castFor = (index) => cast.find((c) => c.model === index);
+  const models = resolveModels(input).map((m) => (castFor(m.index)?.hair ? { ...m, hairColor: castFor(m.index).hair, own: [...m.own, "hairColor"] } : m));
+  const group = models.length > 1;
+  const payload = group ? input : foldSingleModel(input, models[0]);
+  const castHair = !group && castFor(1)?.hair;
+  use("modelCount", "subject", payload.modelCount);
+  use("cast", "subject", cast.length ? cast.map((c) => c.name) : undefined);
+  use("modelDetails", "subject", payload.modelDetails?.length ? models.map((m) => `model ${m.index}: ${m.own.join(", ") || "shot defaults"}`) : undefined);
+
+  // Shot-wide selections in a group: used as fallbacks unless every model sets its own
+  const perModel = new Set(group ? overriddenByModels(models) : []);
+  const useShared = (key, section, value) => (perModel.has(key) ? override(key, value, "set per model in modelDetails") : use(key, section, value));
+
+  const hasPoseRef = references.some((r) => r.role === "pose");
+  const monochrome = !!getFilmProfile(settings.filmStock).monochrome;
+  const backdrop = payload.backdrop || payload.backdropLocation;
+
+  /* -------- Subject -------- */
+  if (group) {
+    sections.subject.push(...groupSubjectLines(models));
+    for (const key of ["models", "ethnicities", "ageGroups", "expressions"]) useShared(key, "subject", payload[key]);
+  } else {
+    sections.subject.push(
+      `Model: ${payload.models || "female"} (${payload.ethnicities || "any"}, age ${payload.ageGroups || "25–30"}).`
+    );
+    use("models", "subject", payload.models);
+    use("ethnicities", "subject", payload.ethnicities);
+    use("ageGroups", "subject", payload.ageGroups);
+  }
+  // Locked wording: the cast's own text, never paraphrased, so a series stays one person
+  for (const member of cast) {
+    sections.subject.push(group ? `Model ${member.model} is cast member ${member.wording}` : `Cast (locked identity): ${member.wording}`);
+  }
+
+  if (payload.expressions && !group) {
+    sections.subject.push(`Expression: ${lower(payload.expressions)}.`);
+    use("expressions", "subject", payload.expressions);
+  }
+  if (payload.modelEmotion) {
+    sections.subject.push(`Emotional energy: ${lower(payload.modelEmotion)}.`);
+    use("modelEmotion", "subject", payload.modelEmotion);
+  }
+  if (payload.pose && hasPoseRef) {
+    override("pose", payload.pose, "pose reference image governs body orientation");
+  } else if (payload.pose) {
+    sections.subject.push(`Pose: ${lower(payload.pose)}.`);
+    use("pose", "subject", payload.pose);
+  }
+
+  /* -------- Styling -------- */
+  if (group) {
+    sections.styling.push(...groupStylingLines(models, payload));
+  } else {
+    sections.styling.push(
+      `Makeup: ${payload.makeupFace || "natural"}, eyes: ${payload.makeupEyes || "defined"}, lips: ${payload.makeupLips || "soft"}.`
+    );
+    sections.styling.push(...hairLines(payload.hair, payload));
+  }
+  useShared("makeupFace", "styling", payload.makeupFace);
+  useShared("makeupEyes", "styling", payload.makeupEyes);
+  useShared("makeupLips", "styling", payload.makeupLips);
+  const hasStreaks = group ? models.some((m) => m.hairStreaks && m.hairStreaks !== "None") : payload.hair?.streaks && payload.hair.streaks !== "None";
+  if (castHair) override("hair.colors", input.hair?.colors, `cast member ${castFor(1).name} has their own hair`);
+  else useShared("hair.colors", "styling", payload.hair?.colors);
+  useShared("hair.streaks", "styling", payload.hair?.streaks);
+  for (const sub of ["streakDensity", "streakPlacement"]) {
+    if (hasStreaks) use(`hair.${sub}`, "styling", payload.hair?.[sub]);
+    else override(`hair.${sub}`, payload.hair?.[sub], "no hair streaks selected");
+  }
+  consumed.add("hair");
+  useShared("hairStyles", "styling", payload.hairStyles);
+  use("hairFinish", "styling", payload.hairFinish);
+  use("hairMotion", "styling", payload.hairMotion);
+
+  sections.styling.push(
+    group
+      ? `Wardrobe texture: ${payload.wardrobeTextures || "satin / silk sheen"}.`
+      : `Wardrobe: ${payload.wardrobeStyles || "minimalist 90s"}, ${payload.wardrobeTextures || "satin / silk sheen"}.`
+  );
+  useShared("wardrobeStyles", "styling", payload.wardrobeStyles);
+  use("wardrobeTextures", "styling", payload.wardrobeTextures);
+  if (payload.wardrobeAccessories) {
+    sections.styling.push(`Accessories: ${lower(payload.wardrobeAccessories)}.`);
+    use("wardrobeAccessories", "styling", payload.wardrobeAccessories);
+  }
+
+  /* -------- Set & composition -------- */
+  sections.set.push(`Backdrop: ${backdrop || "soft gradient, neutral"}.`);
+  use("backdrop", "set", payload.backdrop);
+  use("backdropLocation", "set", payload.backdropLocation);
+  if (payload.bgColor) {
+    const seamless = !backdrop || /seamless|studio|gradient/i.test(backdrop);
+    if (seamless) {
+      sections.set.push(`Backdrop color: ${payload.bgColor} (match this hex tone on the seamless/backdrop).`);
+      use("bgColor", "set", payload.bgColor);
+    } else {
+      override("bgColor", payload.bgColor, "location backdrop selected; color applies to seamless only");
+    }
+  }
+  if (payload.backdropConcepts) {
+    sections.set.push(`Set concept: ${lower(payload.backdropConcepts)}.`);
+    use("backdropConcepts", "set", payload.backdropConcepts);
+  }
+  if (payload.environment) {
+    sections.set.push(`Environment: ${payload.environment}.`);
+    use("environment", "set", payload.environment);
+  }
+  if (payload.props) {
+    sections.set.push(`Props: ${lower(payload.props)}.`);
+    use("props", "set", payload.props);
+  }
+  if (!group && models[0].own.includes("position")) sections.set.push(`Model position: ${lower(models[0].position)} of frame.`);
+  sections.set.push(`Framing: ${payload.framing || defaultFor("framing")}; Angle: ${settings.angle}; Aspect target: ${payload.aspectRatio || "1:1"}.`);
+  use("framing", "set", payload.framing);
+  use("angle", "set", payload.angle);
+  if (payload.moodboardKeywords) {
+    sections.set.push(`Moodboard: ${list(payload.moodboardKeywords).join(", ")}.`);
+    use("moodboardKeywords", "set", payload.moodboardKeywords);
+  }
+
+  /* -------- Camera -------- */
+  const aperture = String(settings.aperture || "f/2.0").replace(/^f\//i, "");
+  sections.camera.push(`Camera: ${settings.cameraModel} with ${settings.lens} at f/${aperture}.`);
+  sections.camera.push(`White Balance: ${settings.wb}; ISO: ${settings.iso}.`);
+  use("cameras", "camera", payload.cameras);
+  use("lenses", "camera", payload.lenses);
+  use("fStops", "camera", payload.fStops);
+  use("iso", "camera", payload.iso);
+  use("whiteBalance", "camera", payload.whiteBalance);
+  if (payload.lensFilters) {
+    if (settings.skincare && SOFTENING_FILTERS.test(lower(payload.lensFilters))) {
+      override("lensFilters", payload.lensFilters, "Skincare Focus Mode keeps skin texture unsoftened");
+    } else {
+      sections.camera.push(`Lens filter: ${lower(payload.lensFilters)}.`);
+      use("lensFilters", "camera", payload.lensFilters);
+    }
+  }
+
+  /* -------- Light -------- */
+  sections.light.push(`Lighting Preset: ${settings.lightingPreset}.`);
+  use("lightingPreset", "light", payload.lightingPreset);
+  if (payload.lightingMood && payload.lightingMood !== settings.lightingPreset) {
+    sections.light.push(`Lighting character: ${lower(payload.lightingMood)}.`);
+  }
+  use("lightingMood", "light", payload.lightingMood);
+  if (payload.toneStyle && monochrome && COLOR_TONES.test(payload.toneStyle)) {
+    override("toneStyle", payload.toneStyle, `${settings.filmStock} is monochrome`);
+  } else {
+    sections.light.push(`Tone: ${payload.toneStyle ? lower(payload.toneStyle) : "cinematic"}.`);
+    use("toneStyle", "light", payload.toneStyle);
+  }
+
+  /* -------- Post & film -------- */
+  sections.post.push(`Skincare Focus Mode: ${settings.skincare ? "ON — boost microcontrast, keep pores and fine blemishes, rely on light not smoothing" : "OFF"}.`);
+  sections.post.push(`Film Stock Simulation: ${settings.filmStock}.`);
+  use("skincareMode", "post", payload.skincareMode === undefined ? undefined : String(payload.skincareMode));
+  use("filmStock", "post", payload.filmStock);
+  if (payload.colorPalettes) {
+    if (monochrome) {
+      override("colorPalettes", payload.colorPalettes, `${settings.filmStock} is monochrome`);
+    } else {
+      sections.post.push(`Color palette: ${lower(payload.colorPalettes)}.`);
+      use("colorPalettes", "post", payload.colorPalettes);
+    }
+  }
+  if (payload.filmDevelopment) {
+    sections.post.push(`Film development: ${lower(payload.filmDevelopment)}.`);
+    use("filmDevelopment", "post", payload.filmDevelopment);
+  }
+  if (payload.cameraTreatment) {
+    sections.post.push(`Camera treatment: ${lower(payload.cameraTreatment)}.`);
+    use("cameraTreatment", "post", payload.cameraTreatment);
+  }
+  if (payload.editorialStyle) {
+    sections.post.push(
+      `Editorial direction: ${list(payload.editorialStyle).join("; ")} — borrow the photographic approach only; explicit selections above take precedence.`
+    );
+    use("editorialStyle", "post", payload.editorialStyle);
+  }
+
+  const unknown = Object.keys(payload).filter((k) => !consumed.has(k) && list(payload[k]).length);
+
+  const body = SECTION_ORDER.filter((s) => sections[s].length)
+    .map((s) => `${SECTION_TITLES[s]}\n${sections[s].join("\n")}`)
+    .join("\n\n");
+
+  const prompt = [
+    CORE_STANDARDS,
+    studioExcerpt ? `Reference framework excerpt:\n${studioExcerpt}` : "",
+    body,
+    referenceGuidance,
+    CLOSING,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+
+  return { prompt, sections, report: { used, overridden, unknown } };
+}
@@ -0,0 +1,91 @@
+// Shared pieces for image-provider backends. A provider is a plain object:
+//   { name, model, sizes, configError(), mapSize(aspectLabel, ratio, pixels),
+//     generate({ prompt, size, n, onProgress }), edit({ prompt, size, references, mask, n, onProgress }) }
+// generate/edit resolve to { buffer, buffers, raw } and reject with ProviderError.
+// `mask` (optional, retouching) is a PNG the size of the first reference whose
+// transparent pixels mark the region to repaint; everything opaque is kept.
+// `n` asks for that many variations; a backend may return fewer. `onProgress`,
+// when given, is called with "provider-response" once the backend answers, and
+// `signal` aborts the call (see resilience.js, which supplies timeouts).
+
+export class ProviderError extends Error {
+  // retryAfter: the response's Retry-After header, if any
+  constructor(message, { status = 502, details, provider, retryAfter } = {}) {
+    super(message);
+    this.name = "ProviderError";
+    this.status = status;
+    this.details = details;
+    this.provider = provider;
+    this.retryAfter = retryAfter;
+  }
+}
+
+function parseSize(size) {
+  const m = String(size).match(/^(\d+)x(\d+)$/);
+  return m ? { width: Number(m[1]), height: Number(m[2]) } : null;
+}
+
+// Pick the supported "WxH" whose ratio is closest to the target (in log space,
+// so 2:1 and 1:2 are equally far from 1:1)
+export function closestSize(sizes, ratio) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const size of sizes) {
+    const dims = parseSize(size);
+    if (!dims) continue;
+    const distance = Math.abs(Math.log(dims.width / dims.height) - Math.log(ratio || 1));
+    if (distance < bestDistance) {
+      best = size;
+      bestDistance = distance;
+    }
+  }
+  return best || sizes[0];
+}
+
+// Pick the supported "WxH" that keeps the most pixels once cropped to `ratio`,
+// ties going to the closest ratio. With exact target `pixels`, every size whose
+// crop already covers them is a full fit, so the closest ratio among those wins.
+export function bestFitSize(sizes, ratio, pixels) {
+  const target = ratio || 1;
+  let best = null;
+  let bestKept = -1;
+  let bestDistance = Infinity;
+  for (const size of sizes) {
+    const dims = parseSize(size);
+    if (!dims) continue;
+    const cropped = Math.min(dims.width, dims.height * target) * Math.min(dims.height, dims.width / target);
+    const kept = Math.round(pixels ? Math.min(cropped, pixels.width * pixels.height) : cropped);
+    const distance = Math.abs(Math.log(dims.width / dims.height) - Math.log(target));
+    if (kept > bestKept || (kept === bestKept && distance < bestDistance)) {
+      best = size;
+      bestKept = kept;
+      bestDistance = distance;
+    }
+  }
+  return best || sizes[0];
+}
+
+// Normalize an OpenAI-style { data: [{ url | b64_json }] } body into image buffers
+export async function imagesFromResponse(data, providerName, { signal } = {}) {
+  const entries = Array.isArray(data?.data) ? data.data : [];
+  const buffers = [];
+  for (const entry of entries) {
+    const imageUrl = entry.url;
+    const b64 = entry.b64_json || entry.b64json || entry.b64;
+    if (b64) {
+      buffers.push(Buffer.from(b64, "base64"));
+    } else if (imageUrl) {
+      const imgRes = await fetch(imageUrl, { signal });
+      if (!imgRes.ok) {
+        throw new ProviderError(`Failed fetching generated image URL: ${imgRes.status}`, {
+          status: imgRes.status === 429 || imgRes.status >= 500 ? imgRes.status : 502,
+          provider: providerName,
+          retryAfter: imgRes.headers.get("retry-after"),
+        });
+      }
+      buffers.push(Buffer.from(await imgRes.arrayBuffer()));
+    }
+  }
+  if (!buffers.length) throw new ProviderError("No image returned", { status: 500, details: data, provider: providerName });
+  return buffers;
+}
@@ -0,0 +1,20 @@
+import { createOpenAICompatibleProvider } from "./openai.js";
+
+// Generic OpenAI-compatible backend (self-hosted gateways, proxies, other vendors)
+//   IMAGE_PROVIDER_BASE_URL  e.g. http://localhost:8080/v1
+//   IMAGE_PROVIDER_API_KEY   optional bearer token
+//   IMAGE_PROVIDER_MODEL     model name sent with each request
+//   IMAGE_PROVIDER_SIZES     comma-separated "WxH" list the backend accepts
+export function createHttpProvider(env = process.env) {
+  const sizes = (env.IMAGE_PROVIDER_SIZES || "1024x1024,1024x1536,1536x1024")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  return createOpenAICompatibleProvider({
+    name: "http",
+    baseUrl: env.IMAGE_PROVIDER_BASE_URL,
+    apiKey: env.IMAGE_PROVIDER_API_KEY,
+    model: env.IMAGE_PROVIDER_MODEL || "gpt-image-1",
+    sizes,
+  });
+}
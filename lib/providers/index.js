@@ -0,0 +1,28 @@
+import { createOpenAIProvider } from "./openai.js";
+import { createHttpProvider } from "./http.js";
+import { createMockProvider } from "./mock.js";
+import { withResilience } from "./resilience.js";
+
+export { ProviderError } from "./base.js";
+
+const FACTORIES = {
+  openai: createOpenAIProvider,
+  http: createHttpProvider,
+  mock: createMockProvider,
+};
+
+export const PROVIDER_NAMES = Object.keys(FACTORIES);
+
+// IMAGE_PROVIDER selects the backend (openai | http | mock); defaults to openai.
+// IMAGE_PROVIDER_FALLBACK optionally names a second backend to use when the
+// first keeps failing; pass { fallback: false } when only the named one will do.
+export function getProvider(name = process.env.IMAGE_PROVIDER || "openai", { fallback = true } = {}) {
+  const factory = FACTORIES[String(name).toLowerCase()];
+  if (!factory) return null;
+  const primary = factory(process.env);
+
+  const fallbackName = String(process.env.IMAGE_PROVIDER_FALLBACK || "").toLowerCase();
+  const fallbackFactory = fallback && fallbackName !== primary.name ? FACTORIES[fallbackName] : null;
+  const secondary = fallbackFactory?.(process.env);
+  return withResilience(primary, { fallback: secondary && !secondary.configError() ? secondary : undefined });
+}
@@ -0,0 +1,96 @@
+import sharp from "sharp";
+import { bestFitSize } from "./base.js";
+import { createRng, hashString } from "../random.js";
+
+const MOCK_SIZES = ["1024x1024", "1024x1536", "1536x1024"];
+
+function hsl(rng, sat, light) {
+  return `hsl(${Math.floor(rng() * 360)}, ${sat}%, ${light}%)`;
+}
+
+// Deterministic stand-in "portrait": backdrop gradient, a soft-lit figure and a
+// vignette, all derived from a hash of the request so identical input gives
+// identical bytes. Works offline and needs no key. `variant` > 0 re-seeds for
+// batch frames.
+async function renderMock({ prompt, size, references = [], variant = 0 }) {
+  const [width, height] = String(size).split("x").map(Number);
+  const key = `${prompt}|${size}|${references.map((r) => r.role).join(",")}`;
+  const rng = createRng(hashString(variant ? `${key}|${variant}` : key));
+  const backdropTop = hsl(rng, 25, 78);
+  const backdropBottom = hsl(rng, 20, 42);
+  const skin = `hsl(${20 + Math.floor(rng() * 15)}, ${35 + Math.floor(rng() * 20)}%, ${35 + Math.floor(rng() * 40)}%)`;
+  const wardrobe = hsl(rng, 30, 30);
+  const hair = hsl(rng, 30, 18);
+
+  const cx = width * (0.42 + rng() * 0.16);
+  const headR = Math.min(width, height) * 0.11;
+  const headY = height * 0.36;
+  const shoulderY = headY + headR * 2.1;
+  const keyX = rng() < 0.5 ? 0.2 : 0.8;
+
+  const svg = `
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+  <defs>
+    <linearGradient id="bg" x1="0" y1="0" x2="0" y2="1">
+      <stop offset="0" stop-color="${backdropTop}"/>
+      <stop offset="1" stop-color="${backdropBottom}"/>
+    </linearGradient>
+    <radialGradient id="key" cx="${keyX}" cy="0.3" r="0.8">
+      <stop offset="0" stop-color="#fff" stop-opacity="0.35"/>
+      <stop offset="1" stop-color="#000" stop-opacity="0.35"/>
+    </radialGradient>
+  </defs>
+  <rect width="100%" height="100%" fill="url(#bg)"/>
+  <path d="M ${cx - headR * 3.2} ${height} Q ${cx - headR * 2.8} ${shoulderY} ${cx} ${shoulderY - headR * 0.2} Q ${cx + headR * 2.8} ${shoulderY} ${cx + headR * 3.2} ${height} Z" fill="${wardrobe}"/>
+  <rect x="${cx - headR * 0.38}" y="${headY + headR * 0.6}" width="${headR * 0.76}" height="${headR * 1.3}" fill="${skin}"/>
+  <ellipse cx="${cx}" cy="${headY - headR * 0.25}" rx="${headR * 1.15}" ry="${headR * 1.25}" fill="${hair}"/>
+  <ellipse cx="${cx}" cy="${headY}" rx="${headR * 0.86}" ry="${headR * 1.08}" fill="${skin}"/>
+  <rect width="100%" height="100%" fill="url(#key)"/>
+</svg>`;
+
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+// A retouch keeps the first reference outside the mask and paints a fresh mock
+// render inside it, so masked edits are visible and everything else stays put
+async function applyMask(render, references, mask) {
+  const original = Buffer.from(await references[0].file.arrayBuffer());
+  const { width, height } = await sharp(original).metadata();
+  const region = await sharp(mask).resize(width, height, { fit: "fill" }).ensureAlpha().extractChannel(3).negate().raw().toBuffer();
+  // sharp runs removeAlpha after joinChannel whatever the call order, so they need separate passes
+  const rgb = await sharp(render).resize(width, height, { fit: "fill" }).removeAlpha().raw().toBuffer();
+  const patch = await sharp(rgb, { raw: { width, height, channels: 3 } })
+    .joinChannel(region, { raw: { width, height, channels: 1 } })
+    .png()
+    .toBuffer();
+  return sharp(original).composite([{ input: patch }]).png().toBuffer();
+}
+
+export function createMockProvider() {
+  return {
+    name: "mock",
+    model: "mock-portrait-1",
+    sizes: MOCK_SIZES,
+    configError() {
+      return null;
+    },
+    mapSize(aspectLabel, ratio, pixels) {
+      return bestFitSize(MOCK_SIZES, ratio, pixels);
+    },
+    async generate({ prompt, size, n = 1, offset = 0, onProgress = () => {} }) {
+      const buffers = [];
+      for (let i = 0; i < n; i++) buffers.push(await renderMock({ prompt, size, variant: offset + i }));
+      onProgress("provider-response", { status: 200 });
+      return { buffer: buffers[0], buffers, raw: { provider: "mock", size, n } };
+    },
+    async edit({ prompt, size, references, mask, n = 1, offset = 0, onProgress = () => {} }) {
+      const buffers = [];
+      for (let i = 0; i < n; i++) {
+        const render = await renderMock({ prompt, size, references, variant: offset + i });
+        buffers.push(mask ? await applyMask(render, references, mask) : render);
+      }
+      onProgress("provider-response", { status: 200 });
+      return { buffer: buffers[0], buffers, raw: { provider: "mock", size, n, references: references.map((r) => r.role), masked: !!mask } };
+    },
+  };
+}
@@ -0,0 +1,84 @@
+import { ProviderError, bestFitSize, imagesFromResponse } from "./base.js";
+
+const OPENAI_SIZES = ["1024x1024", "1024x1536", "1536x1024"];
+
+async function readJson(res, name) {
+  const text = await res.text();
+  try {
+    return JSON.parse(text);
+  } catch (parseErr) {
+    console.error(`Failed to parse ${name} response as JSON:`, parseErr);
+    throw new ProviderError("Unexpected response from image provider.", { status: 502, details: text, provider: name });
+  }
+}
+
+// Any backend speaking the OpenAI Images API (generations + edits) at `baseUrl`
+export function createOpenAICompatibleProvider({ name, baseUrl, apiKey, model, sizes = OPENAI_SIZES, mapSize }) {
+  const root = String(baseUrl || "").replace(/\/+$/, "");
+  const authHeaders = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  async function send(endpoint, init, { onProgress = () => {}, signal } = {}) {
+    const res = await fetch(`${root}${endpoint}`, { method: "POST", ...init, signal });
+    onProgress("provider-response", { status: res.status });
+    const data = await readJson(res, name);
+    if (!res.ok) {
+      const providerMessage = data?.error?.message || `Image provider returned status ${res.status}`;
+      console.error(`${name} image request failed:`, res.status, data);
+      const status = res.status >= 400 && res.status < 600 ? res.status : 502;
+      throw new ProviderError(providerMessage, { status, details: data, provider: name, retryAfter: res.headers.get("retry-after") });
+    }
+    const buffers = await imagesFromResponse(data, name, { signal });
+    return { buffer: buffers[0], buffers, raw: data };
+  }
+
+  return {
+    name,
+    model,
+    sizes,
+    configError() {
+      if (!root) return `Server configuration error: base URL for provider "${name}" is missing.`;
+      return null;
+    },
+    mapSize(aspectLabel, ratio, pixels) {
+      return mapSize ? mapSize(aspectLabel, ratio, pixels) : bestFitSize(sizes, ratio, pixels);
+    },
+    generate({ prompt, size, n = 1, onProgress, signal }) {
+      return send(
+        "/images/generations",
+        {
+          headers: { "Content-Type": "application/json", ...authHeaders },
+          body: JSON.stringify({ model, prompt, size, ...(n > 1 ? { n } : {}) }),
+        },
+        { onProgress, signal }
+      );
+    },
+    // References go up as multipart image inputs, in order; a mask applies to the first
+    edit({ prompt, size, references, mask, n = 1, onProgress, signal }) {
+      const form = new FormData();
+      form.append("model", model);
+      form.append("prompt", prompt);
+      form.append("size", size);
+      if (n > 1) form.append("n", String(n));
+      for (const { role, file } of references) form.append("image[]", file, file.name || `${role}-reference.png`);
+      if (mask) form.append("mask", new Blob([mask], { type: "image/png" }), "mask.png");
+      return send("/images/edits", { headers: authHeaders, body: form }, { onProgress, signal });
+    },
+  };
+}
+
+export function createOpenAIProvider(env = process.env) {
+  const provider = createOpenAICompatibleProvider({
+    name: "openai",
+    baseUrl: "https://api.openai.com/v1",
+    apiKey: env.OPENAI_API_KEY,
+    model: env.OPENAI_IMAGE_MODEL || "gpt-image-1",
+    sizes: OPENAI_SIZES,
+  });
+  return {
+    ...provider,
+    configError() {
+      if (!env.OPENAI_API_KEY) return "Server configuration error: OpenAI API key is missing.";
+      return null;
+    },
+  };
+}
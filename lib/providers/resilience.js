@@ -0,0 +1,167 @@
+import { ProviderError, closestSize } from "./base.js";
+
+// Timeouts, retries, a circuit breaker and an optional fallback around any
+// provider. Each generate/edit call gets up to 1 + PROVIDER_MAX_RETRIES attempts,
+// each limited to PROVIDER_TIMEOUT_MS. 429s, 5xx, timeouts and network errors are
+// retried with exponential backoff and full jitter, or after the server's
+// Retry-After. After CIRCUIT_FAILURE_THRESHOLD such failures in a row a
+// provider's circuit opens: calls fail fast (or go to the fallback) until
+// CIRCUIT_COOLDOWN_MS has passed, then the next call is let through as a trial.
+// While that trial is in flight every other call still fails fast.
+// Every attempt is listed on the resulting ProviderError as `attempts`.
+
+export function resilienceConfig(env = process.env) {
+  const int = (value, fallback) => {
+    const n = Number.parseInt(value, 10);
+    return Number.isFinite(n) && n >= 0 ? n : fallback;
+  };
+  return {
+    timeoutMs: int(env.PROVIDER_TIMEOUT_MS, 120000), // 0 disables
+    maxRetries: int(env.PROVIDER_MAX_RETRIES, 2),
+    retryBaseMs: int(env.PROVIDER_RETRY_BASE_MS, 1000),
+    retryMaxMs: int(env.PROVIDER_RETRY_MAX_MS, 30000),
+    failureThreshold: Math.max(1, int(env.CIRCUIT_FAILURE_THRESHOLD, 5)),
+    cooldownMs: int(env.CIRCUIT_COOLDOWN_MS, 30000),
+  };
+}
+
+// Circuit state per provider name, shared by every request in this process
+const circuits = (globalThis.__modelGenCircuits ||= new Map());
+
+function circuitFor(name) {
+  if (!circuits.has(name)) circuits.set(name, { failures: 0, openedAt: null, trial: false });
+  return circuits.get(name);
+}
+
+export function circuitState(name, config = resilienceConfig(), now = Date.now()) {
+  const circuit = circuitFor(name);
+  if (circuit.openedAt === null) return "closed";
+  return now - circuit.openedAt >= config.cooldownMs ? "half-open" : "open";
+}
+
+// Retryable: rate limits, server errors, timeouts and network failures. A
+// rejected prompt or bad size (other 4xx) would fail the same way again.
+function isRetryable(err) {
+  return err instanceof ProviderError && (err.status === 429 || err.status >= 500);
+}
+
+// fetch rejects with the timeout signal's reason, or a TypeError when the
+// connection itself fails; both become ProviderErrors. `reason` is the short
+// form used in attempt lists.
+function normalizeError(err, name, config) {
+  if (err instanceof ProviderError) return Object.assign(err, { reason: err.reason || `HTTP ${err.status}` });
+  if (err?.name === "TimeoutError" || err?.name === "AbortError") {
+    const timeout = new ProviderError(`Image provider "${name}" timed out after ${config.timeoutMs / 1000}s.`, { status: 504, provider: name });
+    return Object.assign(timeout, { reason: "timeout" });
+  }
+  if (err instanceof TypeError) {
+    const cause = err.cause?.code || err.cause?.message || err.message;
+    const network = new ProviderError(`Could not reach image provider "${name}" (${cause}).`, { status: 502, provider: name });
+    return Object.assign(network, { reason: `network error (${cause})` });
+  }
+  return err;
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === "") return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Full jitter: anywhere from 0 to the exponential cap, so a burst of clients
+// that failed together doesn't retry together. null: waiting is pointless.
+function retryDelay(err, retry, config) {
+  const retryAfter = parseRetryAfter(err.retryAfter);
+  if (retryAfter !== null) return retryAfter <= config.retryMaxMs ? retryAfter : null;
+  return Math.round(Math.random() * Math.min(config.retryMaxMs, config.retryBaseMs * 2 ** retry));
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function callWithRetries(provider, method, args, { config, attempts, onProgress }) {
+  const circuit = circuitFor(provider.name);
+  for (let retry = 0; ; retry++) {
+    const state = circuitState(provider.name, config);
+    if (state === "open" || (state === "half-open" && circuit.trial)) {
+      attempts.push({ provider: provider.name, attempt: retry + 1, status: 503, error: "circuit open, not called", reason: "circuit open" });
+      throw new ProviderError(`Image provider "${provider.name}" is failing; paused for up to ${Math.round(config.cooldownMs / 1000)}s before trying again.`, {
+        status: 503,
+        provider: provider.name,
+      });
+    }
+
+    // A half-open circuit lets this call through as its one trial
+    const trial = state === "half-open";
+    if (trial) circuit.trial = true;
+    const started = Date.now();
+    const entry = { provider: provider.name, attempt: retry + 1 };
+    attempts.push(entry);
+    try {
+      const signal = config.timeoutMs ? AbortSignal.timeout(config.timeoutMs) : undefined;
+      let result;
+      try {
+        result = await provider[method]({ ...args, signal });
+      } finally {
+        if (trial) circuit.trial = false;
+      }
+      Object.assign(entry, { status: 200, ms: Date.now() - started });
+      circuit.failures = 0;
+      circuit.openedAt = null;
+      return result;
+    } catch (raw) {
+      const err = normalizeError(raw, provider.name, config);
+      Object.assign(entry, { status: err.status, error: err.message, reason: err.reason, ms: Date.now() - started });
+      if (!isRetryable(err)) throw err;
+
+      circuit.failures += 1;
+      if (trial || circuit.failures >= config.failureThreshold) circuit.openedAt = Date.now();
+      const wait = retry < config.maxRetries ? retryDelay(err, retry, config) : null;
+      if (wait === null) throw err;
+      entry.retryInMs = wait;
+      onProgress("provider-retry", { provider: provider.name, attempt: retry + 1, status: err.status, waitMs: wait });
+      await sleep(wait);
+    }
+  }
+}
+
+function summarizeAttempts(attempts) {
+  return attempts.map((a) => `${a.provider} #${a.attempt} ${a.status === 200 ? "ok" : a.reason || a.status}`).join(", ");
+}
+
+// `fallback` (optional) is another provider tried once `primary` has used up its
+// retries on a retryable failure, or while its circuit is open. Results say
+// which provider answered in `servedBy`.
+export function withResilience(primary, { fallback, config = resilienceConfig() } = {}) {
+  async function call(method, args) {
+    const onProgress = args.onProgress || (() => {});
+    const attempts = [];
+    const served = (result, provider, size) => ({ ...result, servedBy: { name: provider.name, model: provider.model, size }, attempts });
+    try {
+      try {
+        return served(await callWithRetries(primary, method, args, { config, attempts, onProgress }), primary, args.size);
+      } catch (err) {
+        if (!fallback || !isRetryable(err)) throw err;
+        const [width, height] = String(args.size).split("x").map(Number);
+        const size = fallback.sizes.includes(args.size) ? args.size : closestSize(fallback.sizes, width / height);
+        onProgress("provider-fallback", { from: primary.name, to: fallback.name, size });
+        return served(await callWithRetries(fallback, method, { ...args, size }, { config, attempts, onProgress }), fallback, size);
+      }
+    } catch (err) {
+      if (!(err instanceof ProviderError)) throw err;
+      const tries = attempts.length === 1 ? "1 attempt" : `${attempts.length} attempts`;
+      err.message = `${err.message} Gave up after ${tries} (${summarizeAttempts(attempts)}).`;
+      err.attempts = attempts;
+      throw err;
+    }
+  }
+
+  return {
+    ...primary,
+    fallback: fallback?.name,
+    generate: (args) => call("generate", args),
+    edit: (args) => call("edit", args),
+  };
+}
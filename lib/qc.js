@@ -0,0 +1,204 @@
+import sharp from "sharp";
+import { processImage } from "./postprocess.js";
+
+// Automated QC of a delivered frame against Studio_Full_Instructions XI
+// (Artifact Correction) and XII (Quality Control Checklist). Plain pixel
+// statistics, no ML: each check measures one thing on the encoded JPEG and is
+// graded pass / warn / fail against fixed thresholds. With auto-correction,
+// banding and clipped highlights get the fixes in lib/postprocess.js and the
+// frame is developed and scored again.
+
+export const QC_VERSION = 1;
+
+// lowerIsWorse: the value is a quality (more is better) rather than a defect
+const CHECKS = [
+  { id: "banding", label: "Backdrop banding", section: "XI / XII.4", rule: "Add light grain to remove banding.", unit: "% of backdrop in flat bands", warn: 15, fail: 35 },
+  { id: "highlights", label: "Highlight clipping", section: "XII.1", rule: "Natural skin tone and lighting direction.", unit: "% of pixels clipped", warn: 0.5, fail: 2 },
+  { id: "shadows", label: "Shadow clipping", section: "XII.1", rule: "Natural skin tone and lighting direction.", unit: "% of pixels crushed", warn: 1, fail: 5 },
+  { id: "detail", label: "Surface detail", section: "XI / XII.5", rule: "Restore pores if diffusion removes them.", unit: "median local detail (levels)", warn: 2, fail: 1.2, lowerIsWorse: true },
+  { id: "halos", label: "Edge halos", section: "XI / XII.4", rule: "Blend halos between skin and light.", unit: "median edge overshoot (levels)", warn: 6, fail: 12 },
+  { id: "aspect", label: "Aspect ratio", section: "Shoot Sheet", rule: "Deliver the requested aspect ratio.", unit: "% off the requested ratio", warn: 0.5, fail: 2 },
+];
+
+const RANK = { pass: 0, warn: 1, fail: 2 };
+
+// Runs of identical values at least this long, ending in a 1–2 level step, are bands
+const BAND_MIN_RUN = 8;
+// Luma jump across two pixels that counts as a high-contrast edge
+const EDGE_STEP = 48;
+const MIN_EDGES = 20;
+
+function grade(value, { warn, fail, lowerIsWorse }) {
+  if (lowerIsWorse) return value <= fail ? "fail" : value <= warn ? "warn" : "pass";
+  return value >= fail ? "fail" : value >= warn ? "warn" : "pass";
+}
+
+function median(values) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// Backdrop = the top fifth and the outer eighths of the frame, where portraits
+// show seamless paper. Scanned down each column, a gradient that was quantized
+// without dither shows up as long flat runs separated by one- or two-level steps.
+function measureBanding(luma, width, height) {
+  let banded = 0;
+  let smooth = 0;
+  const side = Math.round(width * 0.12);
+  for (let x = 0; x < width; x += 2) {
+    const bottom = x < side || x >= width - side ? height : Math.round(height * 0.2);
+    let run = 1;
+    for (let y = 1; y < bottom; y++) {
+      const step = Math.abs(luma[y * width + x] - luma[(y - 1) * width + x]);
+      if (step === 0) {
+        run++;
+        continue;
+      }
+      // Clipped runs are reported by the clipping checks, not as bands
+      const level = luma[(y - 1) * width + x];
+      if (step <= 2 && level > 1 && level < 254) {
+        smooth += run;
+        if (run >= BAND_MIN_RUN) banded += run;
+      }
+      run = 1;
+    }
+  }
+  return { value: smooth ? (banded / smooth) * 100 : 0 };
+}
+
+// From the histogram of each pixel's brightest channel: clipped when any
+// channel is at 254+, crushed when every channel is at 2 or below
+function measureClipping(rgb, pixels) {
+  const histogram = new Uint32Array(256);
+  for (let i = 0; i < rgb.length; i += 3) histogram[Math.max(rgb[i], rgb[i + 1], rgb[i + 2])]++;
+  return {
+    highlights: { value: ((histogram[254] + histogram[255]) / pixels) * 100 },
+    shadows: { value: ((histogram[0] + histogram[1] + histogram[2]) / pixels) * 100 },
+  };
+}
+
+// Spread of fine detail (the image minus a blur of itself) in 8px blocks over
+// the subject area, at half size so film grain weighs less than real texture
+async function measureDetail(buffer, width) {
+  const half = Math.max(1, Math.round(width / 2));
+  const base = sharp(buffer).greyscale().resize({ width: half });
+  const [{ data: plain, info }, blurred] = await Promise.all([base.clone().raw().toBuffer({ resolveWithObject: true }), base.clone().blur(1.2).raw().toBuffer()]);
+  const { width: w, height: h } = info;
+  const spreads = [];
+  for (let by = Math.round(h * 0.2); by + 8 <= Math.round(h * 0.8); by += 8) {
+    for (let bx = Math.round(w * 0.25); bx + 8 <= Math.round(w * 0.75); bx += 8) {
+      let sum = 0;
+      let sumSq = 0;
+      for (let y = by; y < by + 8; y++) {
+        for (let x = bx; x < bx + 8; x++) {
+          const d = plain[y * w + x] - blurred[y * w + x];
+          sum += d;
+          sumSq += d * d;
+        }
+      }
+      spreads.push(Math.sqrt(Math.max(0, sumSq / 64 - (sum / 64) ** 2)));
+    }
+  }
+  return { value: median(spreads) };
+}
+
+// Across each strong edge, a halo is a rim brighter than the bright side's
+// plateau (or darker than the dark side's) right next to the edge
+function measureHalos(luma, width, height) {
+  const overshoots = [];
+  const mean = (get, from, to) => {
+    let sum = 0;
+    for (let k = from; k <= to; k++) sum += get(k);
+    return sum / (to - from + 1);
+  };
+  const scan = (length, at) => {
+    for (let i = 10; i < length - 10; i++) {
+      const before = at(i - 1);
+      const after = at(i + 1);
+      if (Math.abs(after - before) < EDGE_STEP) continue;
+      const dir = after > before ? 1 : -1;
+      const bright = (k) => at(i + dir * k);
+      const dark = (k) => at(i - dir * k);
+      const over = mean(bright, 1, 3) - mean(bright, 6, 9);
+      const under = mean(dark, 6, 9) - mean(dark, 1, 3);
+      overshoots.push(Math.max(0, over, under));
+      i += 9;
+    }
+  };
+  for (let y = 0; y < height; y += 4) scan(width, (x) => luma[y * width + x]);
+  for (let x = 0; x < width; x += 4) scan(height, (y) => luma[y * width + x]);
+  return overshoots.length < MIN_EDGES ? { value: 0, detail: "too few high-contrast edges to judge" } : { value: median(overshoots), detail: `${overshoots.length} edges sampled` };
+}
+
+function measureAspect(width, height, { ratio, pixels } = {}) {
+  if (pixels) {
+    const exact = width === pixels.width && height === pixels.height;
+    return { value: exact ? 0 : Math.abs(Math.log(width / height / (pixels.width / pixels.height))) * 100, detail: `${width}x${height}, requested ${pixels.width}x${pixels.height}`, exact };
+  }
+  return { value: Math.abs(Math.log(width / height / (ratio || 1))) * 100, detail: `${width}x${height} (${(width / height).toFixed(3)}), requested ${(ratio || 1).toFixed(3)}` };
+}
+
+// { version, status, checks: [{ id, label, section, rule, status, value, unit, detail? }] }.
+// `requested` is the shoot's { ratio, pixels? } aspect.
+export async function analyzeImage(buffer, requested) {
+  const { data: rgb, info } = await sharp(buffer).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  const { width, height } = info;
+  const pixels = width * height;
+  const luma = new Uint8Array(pixels);
+  for (let p = 0, i = 0; p < pixels; p++, i += 3) luma[p] = Math.round(0.2126 * rgb[i] + 0.7152 * rgb[i + 1] + 0.0722 * rgb[i + 2]);
+
+  const aspect = measureAspect(width, height, requested);
+  const measured = {
+    banding: measureBanding(luma, width, height),
+    ...measureClipping(rgb, pixels),
+    detail: await measureDetail(buffer, width),
+    halos: measureHalos(luma, width, height),
+    aspect,
+  };
+
+  const checks = CHECKS.map(({ warn, fail, lowerIsWorse, ...check }) => {
+    const { value, detail } = measured[check.id];
+    // Exact pixel sizes are either delivered or not
+    const status = check.id === "aspect" && requested?.pixels ? (aspect.exact ? "pass" : "fail") : grade(value, { warn, fail, lowerIsWorse });
+    return { ...check, status, value: Number(value.toFixed(2)), ...(detail && { detail }) };
+  });
+  const status = checks.reduce((worst, c) => (RANK[c.status] > RANK[worst] ? c.status : worst), "pass");
+  return { version: QC_VERSION, status, checks };
+}
+
+// The post-processing fixes a report calls for, or null: a dither for banding
+// and a highlight roll-off for clipping. Shadows, detail, halos and the aspect
+// ratio are reported only.
+export function correctionsFor(report) {
+  const status = Object.fromEntries(report.checks.map((c) => [c.id, c.status]));
+  const corrections = {};
+  if (status.banding !== "pass") corrections.dither = { amplitude: status.banding === "fail" ? 2 : 1 };
+  if (status.highlights !== "pass") corrections.highlights = { knee: 224, ceiling: 248 };
+  return Object.keys(corrections).length ? corrections : null;
+}
+
+// processImage plus a QC report on the result. With `autoCorrect`, a frame that
+// needs fixes is developed again with them (same grain seed) and re-scored;
+// `qc.corrected` then lists what was applied and the scores before.
+export async function processWithQc(buffer, options, { requested, autoCorrect = false } = {}) {
+  const { onProgress = () => {} } = options;
+  const first = await processImage(buffer, options);
+  const qc = await analyzeImage(first.buffer, requested);
+  const corrections = autoCorrect && correctionsFor(qc);
+  if (!corrections) {
+    onProgress("qc", { status: qc.status });
+    return { ...first, qc };
+  }
+
+  const corrected = await processImage(buffer, { ...options, grainSeed: first.grain.seed, corrections: { ...options.corrections, ...corrections }, onProgress: () => {} });
+  const rescored = await analyzeImage(corrected.buffer, requested);
+  onProgress("qc", { status: rescored.status, corrected: Object.keys(corrections) });
+  return {
+    ...corrected,
+    qc: {
+      ...rescored,
+      corrected: { applied: Object.keys(corrections), before: { status: qc.status, checks: qc.checks.map(({ id, status, value }) => ({ id, status, value })) } },
+    },
+  };
+}
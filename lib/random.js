@@ -0,0 +1,24 @@
+// Small deterministic helpers so renders can be reproduced from a seed
+
+// 32-bit FNV-1a hash of a string
+export function hashString(input) {
+  let h = 0x811c9dc5;
+  const s = String(input);
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// mulberry32: fast seeded PRNG returning floats in [0, 1)
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return function next() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
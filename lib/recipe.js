@@ -0,0 +1,114 @@
+import { createHash } from "crypto";
+import { developImage, processImage } from "./postprocess.js";
+import { RequestError } from "./errors.js";
+
+// Render recipes: everything that decided one frame, as versioned JSON. With the
+// stored source image a recipe replays the post-processing byte-for-byte; without
+// it the recipe still carries the exact prompt and provider size to regenerate.
+
+export const RECIPE_VERSION = 1;
+export const RECIPE_KIND = "model_gen.recipe";
+
+export function sha256(buffer) {
+  return createHash("sha256").update(buffer).digest("hex");
+}
+
+// frame: a renderShoot frame ({ buffer, source, post, filename, … });
+// source.historyId is filled in once the source image has been stored
+export function buildRecipe({ frame, payload, settings, prompt, instructions, provider, references = [], variations = 1, cast = [], campaign = null, createdAt = new Date() }) {
+  return {
+    kind: RECIPE_KIND,
+    version: RECIPE_VERSION,
+    createdAt: createdAt.toISOString(),
+    input: { payload, ...(cast.length && { cast }), ...(campaign && { campaign }) },
+    shoot: { settings },
+    prompt: { text: prompt, instructions: (instructions?.injected || []).map((i) => i.id) },
+    provider: { name: provider.name, model: provider.model, size: provider.size },
+    references: references.map((r) => r.role),
+    frame: { index: frame.index, count: variations },
+    source: { sha256: sha256(frame.source), bytes: frame.source.length, historyId: null },
+    post: frame.post,
+    output: { filename: frame.filename, caption: frame.caption, captions: frame.captions, sha256: sha256(frame.buffer), bytes: frame.buffer.length, width: frame.width, height: frame.height },
+  };
+}
+
+// Recipe for a fresh render of an existing recipe: same inputs, new source and output
+export function regeneratedRecipe(recipe, { source, result, createdAt = new Date() }) {
+  return {
+    ...recipe,
+    createdAt: createdAt.toISOString(),
+    regeneratedFrom: recipe.source?.historyId || null,
+    source: { sha256: sha256(source), bytes: source.length, historyId: null },
+    post: result.post,
+    output: { ...recipe.output, sha256: result.sha256, bytes: result.buffer.length, width: result.width, height: result.height },
+  };
+}
+
+// Recipe for a retouched version: the parent's inputs, the edited source and the
+// retouch itself ({ parentId, rootId, version, instruction, prompt, maskSha256 })
+export function retouchedRecipe(recipe, { source, result, filename, provider, retouch, createdAt = new Date() }) {
+  return {
+    ...recipe,
+    createdAt: createdAt.toISOString(),
+    provider: { name: provider.name, model: provider.model, size: provider.size },
+    retouch,
+    source: { sha256: sha256(source), bytes: source.length, historyId: null },
+    post: result.post,
+    output: { ...recipe.output, filename, sha256: sha256(result.buffer), bytes: result.buffer.length, width: result.width, height: result.height },
+  };
+}
+
+export function validateRecipe(recipe) {
+  if (!recipe || typeof recipe !== "object" || recipe.kind !== RECIPE_KIND) {
+    throw new RequestError("Not a render recipe.");
+  }
+  if (recipe.version > RECIPE_VERSION) {
+    throw new RequestError(`Recipe version ${recipe.version} is newer than this app supports (${RECIPE_VERSION}).`);
+  }
+  if (!recipe.post?.profile || !recipe.post?.grain || !recipe.post?.exif) {
+    throw new RequestError("Recipe is missing its post-processing parameters.");
+  }
+  return recipe;
+}
+
+// Run a recipe's post-processing pass on a source image. `exact` is false when
+// the pipeline version differs, in which case a hash mismatch is expected.
+export async function replayPost(recipe, source) {
+  const { post } = recipe;
+  const result = await processImage(source, {
+    targetRatio: post.targetRatio,
+    focus: post.focus,
+    outputSize: post.outputSize,
+    filmStock: post.filmStock,
+    profile: post.profile,
+    iso: post.iso,
+    grainSeed: post.grain.seed,
+    corrections: post.corrections,
+    exif: post.exif,
+  });
+  const digest = sha256(result.buffer);
+  return {
+    ...result,
+    sha256: digest,
+    matches: digest === recipe.output?.sha256,
+    exact: result.post.version === post.version,
+  };
+}
+
+// The recipe's developed pixels (before encoding), for re-encoding into other
+// formats; `crop` ({ targetRatio, focus, outputSize }) cuts a different crop
+// from the same source with the same grade and grain
+export async function developFromRecipe(recipe, source, crop = {}) {
+  const { post } = recipe;
+  return developImage(source, {
+    targetRatio: post.targetRatio,
+    focus: post.focus,
+    outputSize: post.outputSize,
+    ...crop,
+    filmStock: post.filmStock,
+    profile: post.profile,
+    iso: post.iso,
+    grainSeed: post.grain.seed,
+    corrections: post.corrections,
+  });
+}
@@ -0,0 +1,176 @@
+import sharp from "sharp";
+import { cropCenter } from "./aspect.js";
+import { RequestError } from "./errors.js";
+import { requestImages } from "./generate.js";
+import { getHistoryEntry, listVersions, readHistoryImage, recordGeneration } from "./history.js";
+import { buildExiftoolBlock } from "./metadata.js";
+import { closestSize } from "./providers/base.js";
+import { getProvider } from "./providers/index.js";
+import { processWithQc } from "./qc.js";
+import { retouchedRecipe, sha256 } from "./recipe.js";
+import { resolveSkinInsets, skincareDeliverables } from "./skincare.js";
+
+// Mask-based retouching of a stored frame. The mask is painted over the
+// delivered image and mapped back onto the provider's uncropped source through
+// the frame's recorded crop. Source, mask and a region-only instruction go to
+// the provider's edit path, and the edited source is developed again with the
+// parent's crop, grade, grain seed and EXIF. The result is a new history entry:
+// the next version of the frame, linked to the one it was made from.
+
+export const MAX_INSTRUCTION_LENGTH = 400;
+
+// How far the mask's shape may stray from the delivered frame's
+const MASK_RATIO_TOLERANCE = 0.02;
+
+export function buildRetouchPrompt(instruction) {
+  return [
+    `Retouch only the masked region: ${instruction}`,
+    "Leave everything outside the mask exactly as it is: same person, face, pose, framing, lighting and colors.",
+    "Blend the edit into its surroundings with matching light direction, color temperature, skin texture and photographic grain; no visible seams.",
+  ].join("\n");
+}
+
+// The painted mask (the delivered frame's shape; painted pixels are opaque, or
+// white when the image has no alpha) as the provider's mask over the whole
+// source: transparent where painted, opaque everywhere else
+export async function sourceMask(upload, crop) {
+  const delivered = { width: crop.outputWidth || crop.width, height: crop.outputHeight || crop.height };
+  let meta;
+  let painted;
+  try {
+    const image = sharp(upload);
+    meta = await image.metadata();
+    painted = await (meta.hasAlpha ? image.extractChannel(3) : image.greyscale())
+      .resize(crop.width, crop.height, { fit: "fill" })
+      .threshold(meta.hasAlpha ? 1 : 128)
+      .raw()
+      .toBuffer();
+  } catch {
+    throw new RequestError("mask is not a readable image.");
+  }
+  if (Math.abs(Math.log(meta.width / meta.height / (delivered.width / delivered.height))) > MASK_RATIO_TOLERANCE) {
+    throw new RequestError(`mask is ${meta.width}x${meta.height} but the frame is ${delivered.width}x${delivered.height}; paint it over the delivered image.`);
+  }
+
+  const { sourceWidth: width, sourceHeight: height, left, top } = crop;
+  const rgba = Buffer.alloc(width * height * 4);
+  for (let i = 3; i < rgba.length; i += 4) rgba[i] = 255;
+  let area = 0;
+  for (let y = 0; y < crop.height; y++) {
+    for (let x = 0; x < crop.width; x++) {
+      if (!painted[y * crop.width + x]) continue;
+      rgba[((top + y) * width + left + x) * 4 + 3] = 0;
+      area++;
+    }
+  }
+  if (!area) throw new RequestError("The mask is empty; paint over the region to retouch.");
+  return sharp(rgba, { raw: { width, height, channels: 4 } }).png().toBuffer();
+}
+
+// Checks a retouch of history entry `historyId` and resolves to { provider, size,
+// run(onProgress) }; run calls the provider, records the new version and resolves
+// to { frame, historyId, retouch }. `providerName` defaults to the provider that
+// made the frame. Quotas are the caller's (lib/handlers.js).
+export async function prepareRetouchFrame({ historyId, instruction, mask, providerName, user }) {
+  if (!historyId) throw new RequestError("historyId is required: the frame to retouch.");
+  const text = String(instruction || "").trim();
+  if (!text) throw new RequestError("instruction is required: say what to change in the painted region.");
+  if (text.length > MAX_INSTRUCTION_LENGTH) throw new RequestError(`instruction is limited to ${MAX_INSTRUCTION_LENGTH} characters.`);
+  if (!mask) throw new RequestError("mask is required: a PNG of the painted region.");
+
+  const parent = await getHistoryEntry(historyId);
+  const { recipe } = parent;
+  if (!recipe?.post?.crop) throw new RequestError(`History entry "${historyId}" has no recipe with a recorded crop, so it cannot be retouched.`);
+  const { buffer: source } = await readHistoryImage(historyId, { kind: "source" });
+  const providerMask = await sourceMask(mask, recipe.post.crop);
+
+  // The frame's own provider or a named one, never a silent fallback
+  const provider = getProvider(providerName || recipe.provider?.name, { fallback: false });
+  if (!provider) throw new RequestError(`Unknown image provider: ${providerName || recipe.provider?.name}`);
+  const configError = provider.configError();
+  if (configError) throw new RequestError(configError, { status: 500 });
+  const size = provider.sizes.includes(recipe.provider.size) ? recipe.provider.size : closestSize(provider.sizes, recipe.post.crop.sourceWidth / recipe.post.crop.sourceHeight);
+
+  return { provider, size, run: (onProgress) => renderRetouch({ parent, source, providerMask, provider, size, text, user, onProgress }) };
+}
+
+// The provider call and development behind a prepared retouch
+async function renderRetouch({ parent, source, providerMask, provider, size, text, user, onProgress, date = new Date() }) {
+  const { recipe } = parent;
+  const prompt = buildRetouchPrompt(text);
+  const { format } = await sharp(source).metadata();
+  const {
+    buffers: [edited],
+    servedBy: [served],
+  } = await requestImages(provider, {
+    prompt,
+    size,
+    references: [{ role: "retouch", file: new File([source], `source.${format}`, { type: `image/${format}` }) }],
+    mask: providerMask,
+    n: 1,
+    user,
+    onProgress,
+  });
+
+  // Versions count up across the whole chain, so retouching an older version never reuses a number
+  const rootId = parent.retouch?.rootId || parent.id;
+  const version = Math.max(...(await listVersions(rootId)).map((v) => v.retouch?.version || 1)) + 1;
+  const filename = `${parent.filename.replace(/(_v\d+)?\.jpg$/i, "")}_v${version}.jpg`;
+
+  const { post } = recipe;
+  const exif = { ...post.exif, Filename: filename };
+  const skincare = parent.settings?.skincare === true;
+  const { ungrained, ...result } = await processWithQc(
+    edited,
+    {
+      targetRatio: post.targetRatio,
+      focus: { strategy: "point", ...cropCenter(post.crop) },
+      outputSize: post.outputSize,
+      filmStock: post.filmStock,
+      profile: post.profile,
+      iso: post.iso,
+      grainSeed: post.grain.seed,
+      corrections: post.corrections,
+      exif,
+      keepUngrained: skincare,
+    },
+    { requested: { ratio: post.targetRatio, pixels: post.outputSize } }
+  );
+
+  const retouch = { parentId: parent.id, rootId, version, instruction: text };
+  const frame = {
+    ...result,
+    index: 1,
+    source: edited,
+    mask: providerMask,
+    filename,
+    caption: parent.caption,
+    captions: parent.captions,
+    exif,
+    exifBlock: buildExiftoolBlock(exif),
+  };
+  // A skincare frame's insets and panels are cut again from the retouched pixels
+  if (skincare) {
+    frame.deliverables = await skincareDeliverables({ ...result, ungrained, filename, filmStock: post.filmStock, insets: resolveSkinInsets(parent.payload || {}) });
+  }
+  frame.recipe = retouchedRecipe(recipe, {
+    source: edited,
+    result,
+    filename,
+    provider: served,
+    retouch: { ...retouch, prompt, maskSha256: sha256(providerMask) },
+    createdAt: date,
+  });
+  const [id] = await recordGeneration({
+    frames: [frame],
+    payload: parent.payload,
+    shoot: { summary: parent.shootSheet, settings: parent.settings },
+    prompt,
+    provider: served,
+    cast: parent.cast,
+    campaign: parent.campaign,
+    retouch,
+    date,
+  });
+  return { frame, historyId: id, retouch };
+}
@@ -0,0 +1,369 @@
+// Single source of truth for every selectable option. Shared by the page (which
+// renders its categories from it) and the API (which validates payloads against
+// it). Keep this module free of server-only imports so the client can bundle it.
+//
+// Field shape:
+//   key       payload key ("hair.colors" addresses payload.hair.colors)
+//   label     UI label
+//   group     UI grouping, see OPTION_GROUPS
+//   type      "single" | "multi" | "boolean" | "color" | "number" | "text" | "list"
+//   values    allowed values for single/multi/number
+//   integer, min, max  for a number without `values`: whole numbers in [min, max]
+//   pattern   regex for text values; on a single field, custom values it accepts besides `values`
+//   default   value the server uses when the key is unset
+//   skincareDefault  default while Skincare Focus Mode is on
+//   aliases   legacy keys accepted and folded into `key`
+//   itemFields  for "list": the keys of each item object; an item field with
+//               `inherits` takes its type and values from that shot-wide field,
+//               which also supplies the value when an item leaves it unset
+//   maxItems  for "list": the longest list accepted
+
+import { ASPECT_PRESETS, CROP_FOCUS, CUSTOM_ASPECT_PATTERN } from "./aspect.js";
+
+export const SCHEMA_VERSION = 1;
+
+export const OPTION_GROUPS = [
+  { id: "editorial", label: "Editorial Direction" },
+  { id: "model", label: "Models & Demographics" },
+  { id: "expression", label: "Expression & Emotion" },
+  { id: "makeup", label: "Makeup" },
+  { id: "hair", label: "Hair & Movement" },
+  { id: "wardrobe", label: "Wardrobe" },
+  { id: "set", label: "Backdrop, Set & Props" },
+  { id: "composition", label: "Framing, Angle & Pose" },
+  { id: "lighting", label: "Lighting & Tone" },
+  { id: "camera", label: "Camera & Lens" },
+  { id: "post", label: "Lens Effects & Post" },
+  { id: "film", label: "Skincare Mode & Film Stock" },
+  { id: "output", label: "Output" },
+];
+
+export const LIGHTING_PRESETS = [
+  "Soft Pearl Light",
+  "Window Glow",
+  "Studio Edge Light",
+  "Golden Hour Fade",
+  "High-Key Clarity",
+  "Cinematic Contrast",
+];
+
+export const FILM_STOCKS = [
+  "Kodak Portra 400",
+  "Fujifilm Pro 400H",
+  "Kodak Ektar 100",
+  "Ilford Delta 100",
+  "CineStill 800T",
+];
+
+export const ASPECT_RATIOS = ASPECT_PRESETS;
+
+// Built-in caption voices (lib/captions.js); studios can add their own
+export const CAPTION_VOICES = ["Studio", "Minimal"];
+
+export const MAX_MODELS = 6;
+export const MODEL_POSITIONS = ["Far left", "Left", "Center", "Right", "Far right", "Foreground", "Background"];
+
+// One model of a group shot; unset keys fall back to the shot-wide field
+const MODEL_ITEM_FIELDS = [
+  { key: "sex", label: "Sex", inherits: "models" },
+  { key: "ethnicity", label: "Ethnicity", inherits: "ethnicities" },
+  { key: "age", label: "Age", inherits: "ageGroups" },
+  { key: "expression", label: "Expression", inherits: "expressions" },
+  { key: "makeupFace", label: "Makeup: Face", inherits: "makeupFace" },
+  { key: "makeupEyes", label: "Makeup: Eyes", inherits: "makeupEyes" },
+  { key: "makeupLips", label: "Makeup: Lips", inherits: "makeupLips" },
+  { key: "hairColor", label: "Hair Color", inherits: "hair.colors" },
+  { key: "hairStreaks", label: "Hair Streaks", inherits: "hair.streaks" },
+  { key: "hairStyle", label: "Hair Style", inherits: "hairStyles" },
+  { key: "wardrobe", label: "Wardrobe", inherits: "wardrobeStyles" },
+  { key: "position", label: "Position in Frame", type: "single", values: MODEL_POSITIONS },
+];
+
+export const OPTION_FIELDS = [
+  // --- EDITORIAL STYLE REFERENCES ---
+  {
+    key: "editorialStyle",
+    label: "Editorial Style",
+    group: "editorial",
+    type: "single",
+    values: [
+      "Helmut Newton (bold black & white glamour)",
+      "Peter Lindbergh (natural daylight & emotion)",
+      "Corinne Day (grunge realism)",
+      "Steven Meisel (polished fantasy)",
+      "Ellen von Unwerth (playful feminine energy)",
+      "Juergen Teller (flash rawness)",
+      "David Sims (experimental minimalism)",
+      "Nick Knight (experimental color)",
+      "Terry Richardson (raw high-flash portraits)",
+      "Nan Goldin (intimate realism)",
+      "Herb Ritts (sculptural light)",
+      "Patrick Demarchelier (classic elegance)",
+      "Mario Sorrenti (dreamlike sensual minimalism)",
+      "Mario Testino (luxury candid)",
+      "Annie Leibovitz (cinematic storytelling)",
+      "Bruce Weber (youthful Americana energy)",
+    ],
+  },
+  {
+    key: "moodboardKeywords",
+    label: "Moodboard",
+    group: "editorial",
+    type: "multi",
+    values: ["Backstage Chaos","Hotel Room Intimacy","Street Flash Realism","Luxury Isolation","Industrial Romance","Afterparty Glow","Cinematic Still","Faux Candid","Untouched Beauty"],
+  },
+
+  // --- MODEL SETUP ---
+  { key: "modelCount", label: "Number of Models", group: "model", type: "number", values: Array.from({ length: MAX_MODELS }, (_, i) => i + 1), default: 1 },
+  { key: "modelDetails", label: "Per-model Details", group: "model", type: "list", maxItems: MAX_MODELS, itemFields: MODEL_ITEM_FIELDS },
+  { key: "models", label: "Model", group: "model", type: "single", values: ["Female", "Male"], default: "Female" },
+  { key: "ethnicities", label: "Ethnicity", group: "model", type: "single", values: ["Caucasian","Black","East Asian","South Asian","Latina","Mixed","Middle Eastern","Indigenous"] },
+  { key: "ageGroups", label: "Age", group: "model", type: "single", values: ["18-22","22-25","25-30","30-35","35-40","40-45","45-50","50-55","55-60","60-65","65-70","70-75"], default: "25-30" },
+
+  // --- EXPRESSION & EMOTION ---
+  { key: "expressions", label: "Expression", group: "expression", type: "single", values: ["Neutral","Soft smile","Eyes-only smile","Warm friendly","Serious / editorial","Confident gaze","Calm focus","Playful","Intense gaze","Gentle laugh","Sultry","Pensive","Eyes closed","Laugh mid-shot","Side glance","Bold stare","Smirk","Dramatic"] },
+  { key: "modelEmotion", label: "Emotion", group: "expression", type: "single", values: ["Detached and cool","Rebellious street energy","Subtle confidence","Melancholic / introspective","Avant-garde expression","Joyful chaos"] },
+
+  // --- APPEARANCE ---
+  { key: "makeupFace", label: "Face", group: "makeup", type: "single", values: ["Natural skin-like","Matte velvet","Dewy glow","Soft glam","Editorial highlight","Bronzed contour","Bare minimal","90s powder matte","Porcelain","Fresh gloss"] },
+  { key: "makeupEyes", label: "Eyes", group: "makeup", type: "single", values: ["Bare","Clean mascara","Winged liner","Smoky","Glossy lid","Color accent","Thin 90s line","Metallic","Underliner","Soft fade","Dark rim"] },
+  { key: "makeupLips", label: "Lips", group: "makeup", type: "single", values: ["Nude gloss","Satin nude","Soft pink","Red matte","Berry tint","Bare balm","Chocolate brown","Glossy red","Ombre fade","Muted mauve"] },
+
+  // --- HAIR ---
+  { key: "hair.colors", label: "Hair Color", group: "hair", type: "single", values: ["Black","Dark brown","Medium brown","Blonde","Platinum","Red/Auburn","Silver/Grey","Dyed green","Dyed blue","Dyed red","Dyed pink","Two-tone"], default: "Medium brown", aliases: ["colors"] },
+  { key: "hair.streaks", label: "Hair Streaks", group: "hair", type: "single", values: ["None","Blonde streaks","Red streaks","Green streaks","Blue streaks","Pink streaks","Purple streaks","Copper streaks","Platinum streaks"], default: "None", aliases: ["streaks"] },
+  { key: "hair.streakDensity", label: "Streak Density", group: "hair", type: "single", values: ["Subtle","Medium","Heavy"], aliases: ["streakDensity"] },
+  { key: "hair.streakPlacement", label: "Streak Placement", group: "hair", type: "single", values: ["Front pieces","Underlayer","Face-framing","Crown","Tips/ends","Random micro-streaks"], aliases: ["streakPlacement"] },
+  { key: "hairStyles", label: "Hair Style", group: "hair", type: "single", values: ["Straight","Loose waves","Defined curls","Slicked back","Low bun","High bun","Bob","Wet look","Pixie cut","Messy bob","Curtain bangs","Half-up","Tousled layers","Long blowout","Pinned sides"], default: "Loose waves" },
+  { key: "hairFinish", label: "Hair Finish", group: "hair", type: "single", values: ["Wet & glossy","Dry and textured","Frizzed natural edge","Sleek ironed finish","Voluminous blowout","Sculptural gel shapes","Wispy flyaways (editorial realism)"] },
+  { key: "hairMotion", label: "Hair Motion", group: "hair", type: "single", values: ["Static","Light move","Wind-blown","Motion blur","High wind"] },
+
+  // --- WARDROBE ---
+  { key: "wardrobeStyles", label: "Wardrobe Style", group: "wardrobe", type: "single", values: ["Minimalist 90s","Avant-garde couture","Sports luxe","Grunge editorial","Classic power suit","Lingerie layering","Streetwear fusion","Soft romantic","Sheer textures","Structured tailoring","Leather & denim","Maximalist prints"], default: "Minimalist 90s" },
+  { key: "wardrobeTextures", label: "Wardrobe Texture", group: "wardrobe", type: "single", values: ["Satin / silk sheen","Crinkled nylon","Leather & latex","Sheer mesh layers","Velvet richness","Denim & distressed cotton","Metallic lamé","Organza transparency","Lace overlay"], default: "Satin / silk sheen" },
+  { key: "wardrobeAccessories", label: "Accessories", group: "wardrobe", type: "multi", values: ["Sunglasses (oval / cat-eye / wraparound)","Gloves (leather / satin / mesh)","Statement jewelry (choker / hoops / chain)","Headwear (beret / cap / bandana)","Belts (logo buckle / chain link)","Sheer scarf or veil"] },
+
+  // --- ENVIRONMENT ---
+  { key: "backdrop", label: "Backdrop", group: "set", type: "single", values: ["Studio seamless (white, gray, pink, black)","Textured concrete wall","Fabric backdrop (crinkled muslin, velvet, metallic foil)","Vintage apartment interior","Rooftop daylight","Alley or fire escape","Desert landscape","City street flash","Neon storefronts"], default: "Studio seamless (white, gray, pink, black)", aliases: ["backdropLocation"] },
+  { key: "bgColor", label: "Background Color", group: "set", type: "color", default: "#ffffff" },
+  { key: "backdropConcepts", label: "Backdrop Concept", group: "set", type: "single", values: ["Chromatic seamless (orange / teal / lilac)","Muslin crumple (texture depth)","Checker floor (Vogue Italia set style)","Velvet curtain drape","Tiled bathroom / kitchen realism","Plastic wrap / metallic foil","Collaged paper wall","High-gloss resin backdrop"] },
+  { key: "props", label: "Props", group: "set", type: "multi", values: ["Magazine stacks / cigarette / coffee cup","Old CRT TV or VHS props","Studio stool / ladder / mirror","Plastic chair / lucite cube","Handbag as prop","Telephone cord wrap","Compact mirror reflection","Bare bulb light fixture","Industrial fan wind effect"] },
+  { key: "environment", label: "Environment", group: "set", type: "text", default: "minimal studio set", maxLength: 200 },
+
+  // --- COMPOSITION ---
+  { key: "framing", label: "Framing", group: "composition", type: "single", values: ["Extreme close-up","Close-up","Medium","Wide","Super wide","Editorial crop","Half-body"], default: "Close-up", aliases: ["framings"] },
+  { key: "angle", label: "Angle", group: "composition", type: "single", values: ["Eye-level","¾","Low","Top-down","Side profile","Dutch tilt","Over-shoulder"], default: "¾", aliases: ["angles"] },
+  { key: "pose", label: "Pose", group: "composition", type: "single", values: ["Candid motion shot","Model leaning forward","Head tilt with tensioned neck","Seated introspection","Arm-in-frame gesture","Over-the-shoulder look","Reclined attitude","Jump shot motion","Mirror interaction"], default: "Head tilt with tensioned neck", aliases: ["poses"] },
+
+  // --- LIGHTING & TONE ---
+  { key: "lightingPreset", label: "Lighting Preset", group: "lighting", type: "single", values: LIGHTING_PRESETS, default: "Studio Edge Light", skincareDefault: "Soft Pearl Light" },
+  { key: "lightingMood", label: "Lighting Mood", group: "lighting", type: "single", values: ["Flash on camera (90s paparazzi)","Single strobe with spill","Soft daylight with haze","Mixed fluorescent and daylight","Tungsten warm tone","Color gel split (cyan/magenta)","Hard overhead spot (Vogue Italia style)","Silhouette rim light","Harsh spotlight contrast","Fluorescent wash","Cross-light twin source"] },
+  { key: "toneStyle", label: "Tone", group: "lighting", type: "single", values: ["Hyper-saturated magazine color","Film grain nostalgia","Dreamlike blur / lens flare","Backstage energy","Cinematic still frame","Afterparty glow","Industrial romance","Luxury isolation"] },
+
+  // --- CAMERA ---
+  { key: "cameras", label: "Camera", group: "camera", type: "single", values: ["Canon EOS R5","Nikon Z7 II","Sony A7R IV","Fujifilm GFX 100","Hasselblad X2D","Pentax 645Z (emul)","Contax 645 (90s)"], default: "Canon EOS R5" },
+  { key: "lenses", label: "Lens", group: "camera", type: "single", values: ["35mm f/1.4","50mm f/1.2","85mm f/1.2","100mm macro","70-200mm f/2.8","135mm f/2","24-70mm f/2.8"], default: "85mm f/1.2", skincareDefault: "100mm macro" },
+  { key: "fStops", label: "Aperture", group: "camera", type: "single", values: ["f/1.2","f/1.4","f/2","f/2.8","f/4","f/5.6","f/8","f/11"], default: "f/2", skincareDefault: "f/4" },
+  { key: "iso", label: "ISO", group: "camera", type: "number", values: [100, 160, 200, 400, 800, 1600, 3200], default: 200 },
+  { key: "whiteBalance", label: "White Balance", group: "camera", type: "text", pattern: "^\\d{4,5}K$", default: "5300K", skincareDefault: "5200K" },
+
+  // --- LENS & POST ---
+  { key: "lensFilters", label: "Lens Filter", group: "post", type: "multi", values: ["Diffusion filter (soft glow)","Star filter (specular sparkle)","Vaseline edge blur (DIY style)","Tilt-shift fashion focus","Chromatic aberration edges"] },
+  { key: "cameraTreatment", label: "Camera Treatment", group: "post", type: "multi", values: ["Film grain intensity (none / subtle / heavy)","Motion blur level","Lens flare / specular highlight","Overexposed fashion flash","Cross-processed tones","Sepia or faded print tone"] },
+  { key: "filmDevelopment", label: "Film Development", group: "post", type: "multi", values: ["Push-processed contrast","Pull-processed flat tone","Cross-processed cyan tint","Expired film effect","Print-scan blur","Light leak edge flare","Dust & scratch texture"] },
+  { key: "colorPalettes", label: "Color Palette", group: "post", type: "single", values: ["Cool chrome & mauve","Warm beige & terracotta","Desaturated neutrals","Jewel tones (emerald, sapphire, ruby)","Washed pastel 90s tones","Filmic cyan-magenta contrast"] },
+
+  // --- SKINCARE & FILM ---
+  { key: "skincareMode", label: "Skincare Focus Mode", group: "film", type: "boolean", default: false },
+  { key: "filmStock", label: "Film Stock", group: "film", type: "single", values: FILM_STOCKS, default: "Kodak Portra 400", skincareDefault: "Fujifilm Pro 400H" },
+  { key: "grainSeed", label: "Grain Seed", group: "film", type: "number", integer: true, min: 0, max: 4294967295 },
+
+  // --- OUTPUT ---
+  { key: "aspectRatio", label: "Aspect Ratio", group: "output", type: "single", values: ASPECT_RATIOS, pattern: CUSTOM_ASPECT_PATTERN, default: "1:1 (Square)" },
+  { key: "cropFocus", label: "Crop Focus", group: "output", type: "single", values: Object.keys(CROP_FOCUS), default: "Attention" },
+  { key: "focalPoint", label: "Focal Point", group: "output", type: "text", pattern: "^\\s*(0|1|0?\\.\\d+|1\\.0+)\\s*,\\s*(0|1|0?\\.\\d+|1\\.0+)\\s*$" },
+  { key: "captionLength", label: "Caption", group: "output", type: "single", values: ["Short", "Editorial", "Social post"], default: "Editorial" },
+  { key: "captionVoice", label: "Caption Voice", group: "output", type: "single", values: CAPTION_VOICES, default: "Studio" },
+  { key: "autoCorrect", label: "Auto-correct QC", group: "output", type: "boolean", default: false },
+];
+
+// Request parameters that are not creative options
+export const REQUEST_KEYS = ["action", "confirm", "provider", "variations", "contactSheetStyle", "sweep", "export", "skinInsets", "cast", "campaign"];
+
+// Schema with extra film stocks and caption voices (e.g. studio ones loaded on the server)
+export function buildSchema({ filmStocks, captionVoices } = {}) {
+  const extra = { filmStock: filmStocks, captionVoice: captionVoices };
+  const withExtras = OPTION_FIELDS.map((f) => (extra[f.key] ? { ...f, values: [...new Set([...f.values, ...extra[f.key]])] } : f));
+  const byKey = new Map(withExtras.map((f) => [f.key, f]));
+  const fields = withExtras.map((f) =>
+    f.type === "list"
+      ? {
+          ...f,
+          itemFields: f.itemFields.map((item) => {
+            const source = item.inherits && byKey.get(item.inherits);
+            return source ? { type: source.type, values: source.values, ...item } : item;
+          }),
+        }
+      : f
+  );
+  return { version: SCHEMA_VERSION, groups: OPTION_GROUPS, fields, requestKeys: REQUEST_KEYS };
+}
+
+export const OPTION_SCHEMA = buildSchema();
+
+// Fields a sweep can vary: one value per cell, so single-choice, numeric or on/off
+export function sweepableFields(schema = OPTION_SCHEMA) {
+  return schema.fields.filter((f) => f.type === "single" || (f.type === "number" && f.values) || f.type === "boolean");
+}
+
+export function getField(key, schema = OPTION_SCHEMA) {
+  return schema.fields.find((f) => f.key === key) || null;
+}
+
+// Server-side default for an unset key; Skincare Focus Mode has its own where defined
+export function defaultFor(key, { skincare = false } = {}, schema = OPTION_SCHEMA) {
+  const field = getField(key, schema);
+  if (!field) return undefined;
+  return skincare && field.skincareDefault !== undefined ? field.skincareDefault : field.default;
+}
+
+export function getPath(obj, key) {
+  return key.split(".").reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+export function setPath(obj, key, value) {
+  const parts = key.split(".");
+  let target = obj;
+  for (const p of parts.slice(0, -1)) {
+    if (typeof target[p] !== "object" || target[p] === null) target[p] = {};
+    target = target[p];
+  }
+  target[parts[parts.length - 1]] = value;
+}
+
+function checkValue(field, value) {
+  const allowed = field.values;
+  switch (field.type) {
+    case "single":
+      return allowed.includes(value) || (!!field.pattern && typeof value === "string" && new RegExp(field.pattern).test(value));
+    case "multi": {
+      const items = Array.isArray(value) ? value : [value];
+      return items.every((v) => allowed.includes(v));
+    }
+    case "boolean":
+      return [true, false, "on", "off", "true", "false"].includes(value);
+    case "color":
+      return /^#[0-9a-f]{6}$/i.test(String(value));
+    case "number": {
+      // Numbers or numeric strings (multipart forms send strings), never booleans
+      const n = typeof value === "number" || (typeof value === "string" && value.trim()) ? Number(value) : NaN;
+      if (allowed) return allowed.includes(n);
+      if (!Number.isFinite(n) || (field.integer && !Number.isInteger(n))) return false;
+      return !(n < field.min || n > field.max);
+    }
+    case "text":
+      if (typeof value !== "string") return false;
+      if (field.maxLength && value.length > field.maxLength) return false;
+      return field.pattern ? new RegExp(field.pattern).test(value) : true;
+    default:
+      return false;
+  }
+}
+
+// Validate a payload against the schema. Aliased keys are folded into their
+// canonical key; nested objects (hair) are checked per sub-key. Returns the
+// normalized payload plus any unknown keys and invalid values.
+// "list" values: an array of up to maxItems objects, each checked against itemFields.
+// Problems are reported per item as "key[index].itemKey".
+function acceptList(field, value, { unknownKeys, invalidValues }) {
+  if (!Array.isArray(value) || value.length > field.maxItems) {
+    invalidValues.push({ key: field.key, value, allowed: `a list of up to ${field.maxItems} objects` });
+    return undefined;
+  }
+  const items = new Map(field.itemFields.map((f) => [f.key, f]));
+  return value.map((item, index) => {
+    const normalized = {};
+    if (item === null || item === undefined) return normalized;
+    if (typeof item !== "object" || Array.isArray(item)) {
+      invalidValues.push({ key: `${field.key}[${index}]`, value: item, allowed: "an object" });
+      return normalized;
+    }
+    for (const [key, itemValue] of Object.entries(item)) {
+      const itemField = items.get(key);
+      if (!itemField) unknownKeys.push(`${field.key}[${index}].${key}`);
+      else if (itemValue === undefined || itemValue === null || itemValue === "") continue;
+      else if (!checkValue(itemField, itemValue)) invalidValues.push({ key: `${field.key}[${index}].${key}`, value: itemValue, allowed: itemField.values });
+      else normalized[key] = itemField.type === "number" ? Number(itemValue) : itemValue;
+    }
+    return normalized;
+  });
+}
+
+export function validatePayload(input, schema = OPTION_SCHEMA) {
+  const byKey = new Map(schema.fields.map((f) => [f.key, f]));
+  const aliasTo = new Map();
+  for (const f of schema.fields) for (const a of f.aliases || []) aliasTo.set(a, f.key);
+  const nestedRoots = new Set(schema.fields.filter((f) => f.key.includes(".")).map((f) => f.key.split(".")[0]));
+  const requestKeys = new Set(schema.requestKeys || REQUEST_KEYS);
+
+  const payload = {};
+  const unknownKeys = [];
+  const invalidValues = [];
+
+  const accept = (key, value) => {
+    if (value === undefined || value === null || value === "") return;
+    const field = byKey.get(key);
+    if (field.type === "list") {
+      const items = acceptList(field, value, { unknownKeys, invalidValues });
+      if (items) setPath(payload, key, items);
+      return;
+    }
+    if (!checkValue(field, value)) {
+      invalidValues.push({ key, value, allowed: field.values || (field.pattern ? `pattern ${field.pattern}` : field.integer ? `a whole number from ${field.min} to ${field.max}` : field.type) });
+      return;
+    }
+    let normalized = value;
+    if (field.type === "boolean") normalized = value === true || value === "on" || value === "true";
+    if (field.type === "number") normalized = Number(value);
+    if (field.type === "multi" && !Array.isArray(value)) normalized = [value];
+    setPath(payload, key, normalized);
+  };
+
+  for (const [key, value] of Object.entries(input || {})) {
+    if (requestKeys.has(key)) {
+      payload[key] = value;
+    } else if (nestedRoots.has(key) && value && typeof value === "object" && !Array.isArray(value)) {
+      for (const [sub, subValue] of Object.entries(value)) {
+        const full = `${key}.${sub}`;
+        if (byKey.has(full)) accept(full, subValue);
+        else unknownKeys.push(full);
+      }
+    } else if (byKey.has(key)) {
+      accept(key, value);
+    } else if (aliasTo.has(key)) {
+      if (getPath(input, aliasTo.get(key)) === undefined) accept(aliasTo.get(key), value);
+    } else {
+      unknownKeys.push(key);
+    }
+  }
+
+  return { payload, unknownKeys, invalidValues, ok: !unknownKeys.length && !invalidValues.length };
+}
+
+// Defaults the API would reject, as "key.default" / "key.skincareDefault" entries
+export function invalidDefaults(schema = OPTION_SCHEMA) {
+  const problems = [];
+  for (const field of schema.fields) {
+    for (const prop of ["default", "skincareDefault"]) {
+      if (field[prop] === undefined) continue;
+      const input = {};
+      setPath(input, field.key, field[prop]);
+      if (!validatePayload(input, schema).ok) problems.push(`${field.key}.${prop} ${JSON.stringify(field[prop])}`);
+    }
+  }
+  return problems;
+}
+
+// /api/options advertises these defaults, so a bad one fails at import (and the build)
+const badDefaults = invalidDefaults();
+if (badDefaults.length) throw new Error(`Schema defaults outside their field's values: ${badDefaults.join(", ")}`);
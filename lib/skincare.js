@@ -0,0 +1,186 @@
+import sharp from "sharp";
+import { parseFocalPoint } from "./aspect.js";
+import { composeBeforeAfter, composeTexturePanel } from "./contactSheet.js";
+import { JPEG_QUALITY } from "./encode.js";
+import { RequestError } from "./errors.js";
+import { isSkinTone } from "./postprocess.js";
+
+// Skincare Focus Mode deliverables, derived from the delivered frame: 100% crop
+// insets of the forehead, under-eye and cheek, a texture panel (the frame with
+// the insets beside it) and a before/after panel of the frame without and with
+// grain. Regions sit at fixed places on a face box found from skin-toned pixels,
+// or wherever `skinInsets` puts them.
+
+// `at` is the region's centre as a fraction of the face box; the under-eye and
+// cheek are the ones on the viewer's left
+export const SKIN_REGIONS = [
+  { id: "forehead", code: "FOREHEAD", label: "Forehead", at: { x: 0.5, y: 0.2 } },
+  { id: "underEye", code: "UNDEREYE", label: "Under-eye", at: { x: 0.32, y: 0.5 } },
+  { id: "cheek", code: "CHEEK", label: "Cheek", at: { x: 0.3, y: 0.68 } },
+];
+
+const SCAN_EDGE = 160;
+// Smallest skin region, as shares of the frame's area and width, taken for a face
+const MIN_FACE_AREA = 0.005;
+const MIN_FACE_WIDTH = 0.06;
+const MIN_INSET = 160;
+const MAX_INSET = 512;
+// An inset covers this share of the face width
+const INSET_SHARE = 0.3;
+// Where the face is assumed to be when no skin shows: centred, in the upper half
+const ESTIMATED_FACE = { x: 0.325, y: 0.18, width: 0.35, height: 0.42 };
+
+// "skinInsets": { "cheek": "0.34,0.62", ... } as fractions of the delivered
+// frame; regions left out are located automatically. Resolves to { id: { x, y } }.
+export function resolveSkinInsets(payload) {
+  const insets = payload.skinInsets;
+  if (insets === undefined) return {};
+  if (!insets || typeof insets !== "object" || Array.isArray(insets)) {
+    throw new RequestError('skinInsets must be an object like { "cheek": "0.34,0.62" }.');
+  }
+  const points = {};
+  for (const [id, value] of Object.entries(insets)) {
+    if (!SKIN_REGIONS.some((r) => r.id === id)) {
+      throw new RequestError(`skinInsets has no region "${id}"; use ${SKIN_REGIONS.map((r) => r.id).join(", ")}.`);
+    }
+    const point = parseFocalPoint(value);
+    if (!point) throw new RequestError(`skinInsets.${id} must be a point like "0.5,0.35" (fractions of width and height).`);
+    points[id] = point;
+  }
+  return points;
+}
+
+// The face as { x, y, width, height } fractions of the frame, or null. Takes
+// the connected skin-toned region with the most pixels, weighted toward the top
+// of the frame, and its rows from the top down until they widen into shoulders
+// or run past a face's proportions.
+async function findFaceBox(buffer) {
+  const { data, info } = await sharp(buffer).resize(SCAN_EDGE, SCAN_EDGE, { fit: "inside" }).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  const { width, height } = info;
+  const skin = new Uint8Array(width * height);
+  for (let p = 0; p < skin.length; p++) skin[p] = isSkinTone(data[p * 3], data[p * 3 + 1], data[p * 3 + 2]) ? 1 : 0;
+
+  // Label each region; keep the pixels of the best one
+  const label = new Int32Array(width * height);
+  let best = { score: 0, pixels: [] };
+  for (let start = 0, next = 1; start < skin.length; start++) {
+    if (!skin[start] || label[start]) continue;
+    const pixels = [];
+    const stack = [start];
+    let score = 0;
+    label[start] = next;
+    while (stack.length) {
+      const p = stack.pop();
+      const x = p % width;
+      const y = Math.floor(p / width);
+      pixels.push(p);
+      score += (1 - y / height) ** 2;
+      for (const [nx, ny] of [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]]) {
+        const q = ny * width + nx;
+        if (nx >= 0 && nx < width && ny >= 0 && ny < height && skin[q] && !label[q]) {
+          label[q] = next;
+          stack.push(q);
+        }
+      }
+    }
+    if (score > best.score) best = { score, pixels };
+    next++;
+  }
+  if (best.pixels.length < skin.length * MIN_FACE_AREA) return null;
+
+  // Each row's leftmost and rightmost pixel of the region
+  const left = new Int32Array(height).fill(width);
+  const right = new Int32Array(height).fill(-1);
+  for (const p of best.pixels) {
+    const x = p % width;
+    const y = Math.floor(p / width);
+    left[y] = Math.min(left[y], x);
+    right[y] = Math.max(right[y], x);
+  }
+
+  const top = right.findIndex((r) => r >= 0);
+  let faceWidth = 0;
+  let bottom = top;
+  let centre = 0;
+  for (let y = top; y < height && right[y] >= 0; y++) {
+    const span = right[y] - left[y] + 1;
+    if (faceWidth && (span > faceWidth * 1.5 || y - top > faceWidth * 1.3)) break;
+    faceWidth = Math.max(faceWidth, span);
+    centre += (left[y] + right[y] + 1) / 2;
+    bottom = y;
+  }
+  if (faceWidth < width * MIN_FACE_WIDTH) return null;
+  const centreX = centre / (bottom - top + 1);
+  return { x: (centreX - faceWidth / 2) / width, y: top / height, width: faceWidth / width, height: (bottom - top + 1) / height };
+}
+
+// Square pixel boxes for every region of a width × height frame:
+// [{ ...region, box: { left, top, width, height }, located: "manual" | "auto" | "estimated" }]
+export async function locateSkinRegions(buffer, { width, height }, manual = {}) {
+  const needsFace = SKIN_REGIONS.some((r) => !manual[r.id]);
+  const found = needsFace ? await findFaceBox(buffer) : null;
+  const face = found || ESTIMATED_FACE;
+  const shortEdge = Math.min(width, height);
+  const side = Math.min(shortEdge, Math.max(MIN_INSET, Math.min(MAX_INSET, Math.round(face.width * width * INSET_SHARE))));
+
+  return SKIN_REGIONS.map((region) => {
+    const point = manual[region.id] || { x: face.x + region.at.x * face.width, y: face.y + region.at.y * face.height };
+    const left = Math.min(width - side, Math.max(0, Math.round(point.x * width - side / 2)));
+    const top = Math.min(height - side, Math.max(0, Math.round(point.y * height - side / 2)));
+    return { ...region, box: { left, top, width: side, height: side }, located: manual[region.id] ? "manual" : found ? "auto" : "estimated" };
+  });
+}
+
+function encodeJpeg(pipeline) {
+  return pipeline.jpeg({ quality: JPEG_QUALITY }).withMetadata({ icc: "srgb" }).toBuffer();
+}
+
+// Deliverables of one skincare frame: [{ name, kind, filename, width, height,
+// buffer, region?, label?, box?, located? }]. `buffer` is the delivered JPEG,
+// `ungrained` the raw pixels from just before the grain (processImage's
+// keepUngrained), `insets` the resolved skinInsets.
+export async function skincareDeliverables({ buffer, ungrained, width, height, filename, filmStock, grain, insets = {} }) {
+  const base = filename.replace(/\.jpg$/i, "");
+  const regions = await locateSkinRegions(buffer, { width, height }, insets);
+
+  const deliverables = [];
+  for (const region of regions) {
+    deliverables.push({
+      name: `inset-${region.code.toLowerCase()}`,
+      kind: "inset",
+      region: region.id,
+      label: region.label,
+      filename: `${base}_INSET_${region.code}.jpg`,
+      width: region.box.width,
+      height: region.box.height,
+      box: region.box,
+      located: region.located,
+      buffer: await encodeJpeg(sharp(buffer).extract(region.box)),
+    });
+  }
+
+  const panel = await composeTexturePanel({
+    frame: { buffer, width, height },
+    insets: deliverables,
+    title: "Texture Panel",
+    subtitle: `${filename} · ${filmStock} · insets at 100%`,
+  });
+  deliverables.push({ name: "texture-panel", kind: "panel", filename: `${base}_TEXTURE_PANEL.jpg`, width: panel.width, height: panel.height, buffer: panel.buffer });
+
+  if (ungrained) {
+    const before = await encodeJpeg(sharp(ungrained, { raw: { width, height, channels: 3 } }));
+    const cheek = regions.find((r) => r.id === "cheek");
+    const comparison = await composeBeforeAfter({
+      before,
+      after: buffer,
+      width,
+      height,
+      box: cheek.box,
+      boxLabel: cheek.label,
+      title: "Before / After Grain",
+      subtitle: `${filmStock} · grain seed ${grain.seed} · size ${grain.size} · strength ${grain.strength}`,
+    });
+    deliverables.push({ name: "before-after", kind: "panel", filename: `${base}_BEFORE_AFTER.jpg`, width: comparison.width, height: comparison.height, buffer: comparison.buffer });
+  }
+  return deliverables;
+}
@@ -0,0 +1,49 @@
+import { errorBody } from "./errors.js";
+import { createProgress } from "./progress.js";
+
+// Clients opt in to streaming with `Accept: text/event-stream` or `?stream=1`
+export function wantsEventStream(req) {
+  if ((req.headers.get("accept") || "").includes("text/event-stream")) return true;
+  return new URL(req.url).searchParams.get("stream") === "1";
+}
+
+// Run `work(report)` and stream its progress as server-sent events:
+//   event: stage   { stage, label, at, ms, ...detail }   while working
+//   event: done    { stage: "done", result }             result = the usual JSON body
+//   event: error   { stage: "error", status, error, … }  the usual JSON error body
+// The HTTP status is always 200 once the stream opens; failures arrive as the
+// terminal error event.
+export function eventStreamResponse(work, context) {
+  const encoder = new TextEncoder();
+  let closed = false;
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (event) => {
+        if (closed) return;
+        const name = event.stage === "done" || event.stage === "error" ? event.stage : "stage";
+        controller.enqueue(encoder.encode(`event: ${name}\ndata: ${JSON.stringify(event)}\n\n`));
+      };
+      const report = createProgress(send);
+      try {
+        report("done", { result: await work(report) });
+      } catch (err) {
+        const { status, body } = errorBody(err, context);
+        report("error", { status, ...body });
+      }
+      if (!closed) controller.close();
+    },
+    // Client went away: keep rendering (history still records it), stop writing
+    cancel() {
+      closed = true;
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+    },
+  });
+}
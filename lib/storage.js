@@ -0,0 +1,59 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Server-side persistence: plain files under STUDIO_DATA_DIR (default ./data),
+// one subdirectory per feature.
+
+export const DATA_DIR = process.env.STUDIO_DATA_DIR || path.join(process.cwd(), "data");
+
+// Ids become file names, so only allow a conservative character set
+export function isSafeId(id) {
+  return /^[A-Za-z0-9_-]{1,80}$/.test(String(id || ""));
+}
+
+export async function dataDir(name) {
+  const dir = path.join(DATA_DIR, name);
+  await fs.mkdir(dir, { recursive: true });
+  return dir;
+}
+
+// null when the file does not exist
+export async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw e;
+  }
+}
+
+// Write to a temp file and rename so readers never see a half-written file
+export async function writeJson(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+  await fs.rename(tmp, file);
+}
+
+export async function removeFile(file) {
+  try {
+    await fs.unlink(file);
+    return true;
+  } catch (e) {
+    if (e.code === "ENOENT") return false;
+    throw e;
+  }
+}
+
+// Every *.json document in a directory; unreadable files are skipped with a warning
+export async function readAllJson(dir) {
+  const names = (await fs.readdir(dir)).filter((n) => n.endsWith(".json"));
+  const docs = [];
+  for (const name of names) {
+    try {
+      docs.push(JSON.parse(await fs.readFile(path.join(dir, name), "utf8")));
+    } catch (e) {
+      console.warn(`Skipping unreadable ${name}:`, e?.message);
+    }
+  }
+  return docs;
+}
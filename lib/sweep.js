@@ -0,0 +1,106 @@
+import { getPath, setPath, sweepableFields, validatePayload } from "./schema.js";
+import { buildShootSheet, renderShoot } from "./generate.js";
+import { RequestError } from "./errors.js";
+import { newGrainSeed } from "./grain.js";
+import { createCaptioner } from "./captions.js";
+
+// Bracketing: one base Shoot Sheet rendered across one or two schema axes, e.g.
+// lightingPreset × filmStock. The first axis runs across the columns, the second
+// down the rows.
+
+export const MAX_SWEEP_AXES = 2;
+export const MAX_SWEEP_CELLS = 12;
+
+export function formatSweepValue(value) {
+  if (value === true) return "on";
+  if (value === false) return "off";
+  return String(value);
+}
+
+// sweep: { axes: [{ key, values? }] }. Values default to every allowed value and
+// are normalized through the schema like any payload value.
+export function parseSweep(sweep, schema) {
+  const axes = Array.isArray(sweep?.axes) ? sweep.axes : [];
+  if (axes.length < 1 || axes.length > MAX_SWEEP_AXES) {
+    throw new RequestError(`sweep.axes needs one or ${MAX_SWEEP_AXES} axes.`);
+  }
+  const fields = new Map(sweepableFields(schema).map((f) => [f.key, f]));
+
+  const parsed = axes.map((axis) => {
+    const field = fields.get(axis?.key);
+    if (!field) {
+      throw new RequestError(`Cannot sweep "${axis?.key}".`, { extra: { sweepable: [...fields.keys()] } });
+    }
+    const requested = Array.isArray(axis.values) && axis.values.length ? axis.values : field.type === "boolean" ? [false, true] : field.values;
+    const values = [];
+    const invalidValues = [];
+    for (const value of requested) {
+      const check = validatePayload({ [field.key]: value }, schema);
+      if (!check.ok) invalidValues.push(...check.invalidValues);
+      else if (!values.includes(getPath(check.payload, field.key))) values.push(getPath(check.payload, field.key));
+    }
+    if (invalidValues.length) throw new RequestError("Invalid sweep values", { extra: { invalidValues } });
+    return { key: field.key, label: field.label, values };
+  });
+
+  if (parsed.length === 2 && parsed[0].key === parsed[1].key) {
+    throw new RequestError("Sweep axes must use different keys.");
+  }
+  const cells = parsed.reduce((n, axis) => n * axis.values.length, 1);
+  if (cells > MAX_SWEEP_CELLS) {
+    throw new RequestError(`Sweep has ${cells} cells; the limit is ${MAX_SWEEP_CELLS}.`);
+  }
+  return parsed;
+}
+
+// Render every cell in row-major order. All cells share one grain seed so the
+// only differences between them are the swept settings.
+export async function runSweep({ payload, provider, references = [], cast = [], campaign = null, axes, date = new Date(), user, onProgress = () => {} }) {
+  const [columnAxis, rowAxis] = axes;
+  const { sweep: _sweep, variations: _variations, ...base } = payload;
+  const grainSeed = Number.isInteger(payload.grainSeed) ? payload.grainSeed >>> 0 : newGrainSeed();
+  const rowValues = rowAxis ? rowAxis.values : [undefined];
+  const cellCount = rowValues.length * columnAxis.values.length;
+
+  const cells = [];
+  const captioner = createCaptioner();
+  for (let row = 0; row < rowValues.length; row++) {
+    for (let column = 0; column < columnAxis.values.length; column++) {
+      const cellPayload = structuredClone({ ...base, grainSeed });
+      const values = { [columnAxis.key]: columnAxis.values[column] };
+      if (rowAxis) values[rowAxis.key] = rowValues[row];
+      for (const [key, value] of Object.entries(values)) setPath(cellPayload, key, value);
+
+      const shoot = buildShootSheet(cellPayload, { cast, campaign });
+      const cell = cells.length + 1;
+      const result = await renderShoot({
+        payload: cellPayload,
+        provider,
+        references,
+        cast,
+        campaign,
+        shoot,
+        frame: cell,
+        note: `Sweep cell ${cell} of ${cellCount}: ${axes.map((axis) => `${axis.label} ${formatSweepValue(values[axis.key])}`).join(", ")}`,
+        date,
+        user,
+        captioner,
+        onProgress: (stage, detail) => onProgress(stage, { ...detail, cell, cells: cellCount }),
+      });
+      const frame = { ...result.frames[0], index: cell };
+      cells.push({
+        row,
+        column,
+        values,
+        payload: cellPayload,
+        shoot,
+        settings: shoot.settings,
+        frame,
+        prompt: result.prompt,
+        promptReport: result.promptReport,
+        provider: result.provider,
+      });
+    }
+  }
+  return { grainSeed, cells };
+}
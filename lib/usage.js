@@ -0,0 +1,219 @@
+import fs from "fs/promises";
+import path from "path";
+import { randomBytes } from "crypto";
+import { RequestError } from "./errors.js";
+import { dataDir } from "./storage.js";
+
+// Who is spending what. Every provider call is appended to a monthly ledger,
+// data/usage/<YYYY-MM>.jsonl, with the caller, size, image count, outcome and
+// an estimated cost from the price table. Quotas are checked against the ledger
+// before a render is queued. Days and months are UTC.
+
+/* -------- Identity -------- */
+
+// STUDIO_API_KEYS="alice:sk-studio-1,bob:sk-studio-2". With no keys configured
+// the studio is open and everyone is "studio".
+export const ANONYMOUS_USER = "studio";
+
+export function parseApiKeys(value = process.env.STUDIO_API_KEYS) {
+  const keys = new Map();
+  for (const pair of String(value || "").split(",")) {
+    const i = pair.indexOf(":");
+    if (i <= 0) continue;
+    const user = pair.slice(0, i).trim();
+    const key = pair.slice(i + 1).trim();
+    if (user && key) keys.set(key, user);
+  }
+  return keys;
+}
+
+// Key from `X-API-Key` or `Authorization: Bearer …`
+export function identify(req) {
+  const keys = parseApiKeys();
+  if (!keys.size) return ANONYMOUS_USER;
+  const bearer = (req.headers.get("authorization") || "").match(/^Bearer\s+(.+)$/i)?.[1];
+  const key = req.headers.get("x-api-key") || bearer;
+  if (!key) throw new RequestError("An API key is required (X-API-Key header).", { status: 401 });
+  const user = keys.get(key.trim());
+  if (!user) throw new RequestError("Unknown API key.", { status: 401 });
+  return user;
+}
+
+/* -------- Prices -------- */
+
+// USD per image, keyed "provider/model" then "provider"; "default" covers sizes
+// not listed. Estimates for gpt-image-1 at medium quality. IMAGE_PRICES (JSON
+// in the same shape) overrides or extends this table.
+const DEFAULT_PRICES = {
+  "openai/gpt-image-1": { "1024x1024": 0.042, "1024x1536": 0.063, "1536x1024": 0.063, default: 0.063 },
+  mock: { default: 0 },
+};
+
+export function priceTable(env = process.env) {
+  if (!env.IMAGE_PRICES) return DEFAULT_PRICES;
+  try {
+    return { ...DEFAULT_PRICES, ...JSON.parse(env.IMAGE_PRICES) };
+  } catch {
+    console.warn("IMAGE_PRICES is not valid JSON; using the built-in price table.");
+    return DEFAULT_PRICES;
+  }
+}
+
+// Unknown providers cost 0: the ledger still counts their images
+export function pricePerImage({ name, model, size }, table = priceTable()) {
+  const entry = table[`${name}/${model}`] || table[name];
+  if (!entry) return 0;
+  return Number(entry[size] ?? entry.default ?? 0);
+}
+
+export function estimateCost(provider, images, table = priceTable()) {
+  return roundUsd(pricePerImage(provider, table) * images);
+}
+
+function roundUsd(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/* -------- Ledger -------- */
+
+const monthOf = (date) => date.toISOString().slice(0, 7);
+const dayOf = (date) => date.toISOString().slice(0, 10);
+
+async function ledgerFile(month) {
+  return path.join(await dataDir("usage"), `${month}.jsonl`);
+}
+
+// One line per provider call (after retries). A failed write is logged, never
+// thrown: the render already happened.
+export async function recordUsage({ user = ANONYMOUS_USER, provider, size, requested, images = 0, ok, status, error, attempts, date = new Date() }) {
+  const entry = {
+    id: `${date.getTime().toString(36)}-${randomBytes(3).toString("hex")}`,
+    at: date.toISOString(),
+    user,
+    provider: provider.name,
+    model: provider.model,
+    size,
+    requested,
+    images,
+    ok,
+    status,
+    error,
+    attempts,
+    costUsd: estimateCost({ ...provider, size }, images),
+  };
+  try {
+    await fs.appendFile(await ledgerFile(monthOf(date)), `${JSON.stringify(entry)}\n`);
+  } catch (e) {
+    console.warn("Could not write usage ledger:", e?.message);
+  }
+  return entry;
+}
+
+export async function readLedger(month = monthOf(new Date())) {
+  if (!/^\d{4}-\d{2}$/.test(month)) throw new RequestError("month must look like 2025-11.");
+  let text;
+  try {
+    text = await fs.readFile(await ledgerFile(month), "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+  return text
+    .split("\n")
+    .filter(Boolean)
+    .flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return []; // a torn last line from a crash
+      }
+    });
+}
+
+function totals(entries) {
+  const sum = { calls: 0, failures: 0, images: 0, costUsd: 0 };
+  for (const e of entries) {
+    sum.calls += 1;
+    if (!e.ok) sum.failures += 1;
+    sum.images += e.images || 0;
+    sum.costUsd += e.costUsd || 0;
+  }
+  sum.costUsd = roundUsd(sum.costUsd);
+  return sum;
+}
+
+function groupTotals(entries, key) {
+  const groups = {};
+  for (const e of entries) (groups[key(e)] ||= []).push(e);
+  return Object.fromEntries(Object.entries(groups).map(([k, list]) => [k, totals(list)]));
+}
+
+/* -------- Quotas -------- */
+
+// Per user: QUOTA_DAILY_IMAGES, QUOTA_MONTHLY_IMAGES. Studio-wide:
+// SPEND_CAP_MONTHLY_USD. Unset or 0 means no limit.
+export function quotaConfig(env = process.env) {
+  const limit = (value) => (Number(value) > 0 ? Number(value) : null);
+  return {
+    dailyImages: limit(env.QUOTA_DAILY_IMAGES),
+    monthlyImages: limit(env.QUOTA_MONTHLY_IMAGES),
+    spendCapUsd: limit(env.SPEND_CAP_MONTHLY_USD),
+  };
+}
+
+function nextDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1)).toISOString();
+}
+
+function nextMonth(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)).toISOString();
+}
+
+// Throws a 429 RequestError when `images` more (costing about `estimateUsd`)
+// would pass a quota or the spend cap
+export async function assertWithinQuota(user, { images, estimateUsd = 0, date = new Date() }) {
+  const quota = quotaConfig();
+  if (!quota.dailyImages && !quota.monthlyImages && !quota.spendCapUsd) return;
+
+  const month = await readLedger(monthOf(date));
+  const mine = month.filter((e) => e.user === user);
+  const today = dayOf(date);
+  const checks = [
+    { quota: "daily", limit: quota.dailyImages, used: totals(mine.filter((e) => e.at.startsWith(today))).images, needs: images, resetsAt: nextDay(date), unit: "images today" },
+    { quota: "monthly", limit: quota.monthlyImages, used: totals(mine).images, needs: images, resetsAt: nextMonth(date), unit: "images this month" },
+    { quota: "spend-cap", limit: quota.spendCapUsd, used: totals(month).costUsd, needs: estimateUsd, resetsAt: nextMonth(date), unit: "USD this month" },
+  ];
+  const titles = { daily: "Daily quota", monthly: "Monthly quota", "spend-cap": "Monthly spend cap" };
+  for (const check of checks) {
+    if (!check.limit || check.used + check.needs <= check.limit) continue;
+    const who = check.quota === "spend-cap" ? "the studio has" : `${user} has`;
+    throw new RequestError(
+      `${titles[check.quota]} reached: ${who} used ${check.used} of ${check.limit} ${check.unit} and this request needs ${check.needs} more. Resets ${check.resetsAt}.`,
+      { status: 429, extra: { quota: check.quota, user, used: check.used, limit: check.limit, requested: check.needs, resetsAt: check.resetsAt } }
+    );
+  }
+}
+
+/* -------- Summary -------- */
+
+export async function usageSummary(user, { month: monthParam, date = new Date() } = {}) {
+  const month = monthParam || monthOf(date);
+  const entries = await readLedger(month);
+  const mine = entries.filter((e) => e.user === user);
+  const today = dayOf(date);
+  return {
+    user,
+    month,
+    quotas: quotaConfig(),
+    you: {
+      today: totals(mine.filter((e) => e.at.startsWith(today))),
+      month: totals(mine),
+    },
+    studio: {
+      month: totals(entries),
+      byUser: groupTotals(entries, (e) => e.user),
+      byProvider: groupTotals(entries, (e) => `${e.provider}/${e.model}`),
+    },
+    recent: mine.slice(-20).reverse(),
+  };
+}